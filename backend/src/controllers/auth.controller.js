@@ -0,0 +1,188 @@
+import User from "../models/User.js";
+import {
+  hashPassword,
+  verifyPassword,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+  AuthError,
+} from "../services/auth.service.js";
+import { purgeUserAccount } from "../services/accountDeletion.service.js";
+import { recordSkinProfileChange } from "../services/skinJournal.service.js";
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Credentials must be strings: objects would reach the user query as operators ({ "$ne": "" })
+const areStrings = (...values) => values.every((value) => typeof value === "string");
+
+const handleAuthError = (res, error, fallbackMessage) => {
+  if (error instanceof AuthError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  res.status(500).json({ message: fallbackMessage, error: error.message });
+};
+
+// Strip credential fields before a user document leaves the API
+const toPublicUser = (user) => {
+  const { passwordHash, ...publicUser } = user.toObject();
+  return publicUser;
+};
+
+// Register a new account with a hashed password
+export const register = async (req, res) => {
+  try {
+    const { username, name, email, password, skinType, concerns, latitude, longitude } =
+      req.body;
+
+    if (!username || !name || !password) {
+      return res.status(400).json({
+        message: "Username, name and password are required",
+      });
+    }
+    if (!areStrings(username, name, password) || (email && !areStrings(email))) {
+      return res.status(400).json({
+        message: "Username, name, email and password must be strings",
+      });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`,
+      });
+    }
+
+    const user = new User({
+      username,
+      name,
+      email: email || undefined,
+      passwordHash: await hashPassword(password),
+      skinType: skinType || "normal",
+      concerns: concerns || [],
+      latitude,
+      longitude,
+    });
+    await user.save();
+    await recordSkinProfileChange(user);
+
+    const tokens = await issueTokens(user);
+    res.status(201).json({
+      message: "User registered successfully",
+      user: toPublicUser(user),
+      ...tokens,
+    });
+  } catch (error) {
+    console.error("Error in register:", error);
+
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern || {})[0] || "username";
+      return res.status(409).json({
+        message: `${field.charAt(0).toUpperCase() + field.slice(1)} already exists`,
+        error: field === "email" ? "DUPLICATE_EMAIL" : "DUPLICATE_USERNAME",
+      });
+    }
+
+    handleAuthError(res, error, "Error registering user");
+  }
+};
+
+// Log in with username (or email) and password
+export const login = async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (!username || !password) {
+      return res
+        .status(400)
+        .json({ message: "Username and password are required" });
+    }
+    if (!areStrings(username, password)) {
+      return res
+        .status(400)
+        .json({ message: "Username and password must be strings" });
+    }
+
+    const user = await User.findOne({
+      $or: [{ username }, { email: username.toLowerCase() }],
+    }).select("+passwordHash");
+
+    // Same message for unknown user and wrong password to avoid account enumeration
+    const valid = user && (await verifyPassword(password, user.passwordHash));
+    if (!valid) {
+      return res.status(401).json({ message: "Invalid username or password" });
+    }
+
+    // Grace period over but the purge job has not run yet: finish the deletion now
+    if (user.deletionScheduledFor && user.deletionScheduledFor <= new Date()) {
+      await purgeUserAccount(user._id);
+      return res.status(401).json({ message: "Invalid username or password" });
+    }
+
+    const tokens = await issueTokens(user);
+    res.status(200).json({
+      message: "Logged in successfully",
+      user: toPublicUser(user),
+      ...tokens,
+    });
+  } catch (error) {
+    console.error("Error in login:", error);
+    handleAuthError(res, error, "Error logging in");
+  }
+};
+
+// Exchange a refresh token for a fresh token pair
+export const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: "refreshToken is required" });
+    }
+
+    const { user, tokens } = await rotateRefreshToken(refreshToken, (id) =>
+      User.findById(id)
+    );
+    res.status(200).json({ user: toPublicUser(user), ...tokens });
+  } catch (error) {
+    handleAuthError(res, error, "Error refreshing session");
+  }
+};
+
+// Revoke the refresh token of the current device
+export const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: "refreshToken is required" });
+    }
+
+    await revokeRefreshToken(refreshToken);
+    res.status(200).json({ message: "Logged out successfully" });
+  } catch (error) {
+    handleAuthError(res, error, "Error logging out");
+  }
+};
+
+// Revoke every refresh token of the authenticated caller
+export const logoutAll = async (req, res) => {
+  try {
+    const revokedCount = await revokeAllUserTokens(req.auth.userId);
+    res
+      .status(200)
+      .json({ message: "Logged out from all devices", revokedCount });
+  } catch (error) {
+    handleAuthError(res, error, "Error logging out");
+  }
+};
+
+// Return the profile of the authenticated caller
+export const getCurrentUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.auth.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.status(200).json({ user });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error retrieving user", error: error.message });
+  }
+};
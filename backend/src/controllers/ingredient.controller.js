@@ -1,114 +1,290 @@
-import { runOcrService, getOcrTextFromData } from "../services/ocr.service.js";
-import { convertImageToPng } from "../services/imageConvert.service.js";
-import { extractIngredientsFromTextService } from "../services/ingredientExtract.service.js";
-import { extractProductInfoFromTextService } from "../services/productInfoExtract.service.js";
-import { summarizeBenefitsFromIngredients } from "../services/benefitSummarization.service.js";
-import { calculateSuitableScore } from "../services/calcSuitableScore.service.js";
-import path from "path";
+import { analyzeProductImages, analyzeIngredientText, validateImageAnalysisInput, validateTextAnalysisInput, AnalysisInputError } from "../services/analysisPipeline.service.js";
+import { createAnalysisJob, getAnalysisJob, subscribeToAnalysisJob, toAnalysisJobResponse } from "../services/analysisJob.service.js";
+import { saveIngredientCorrections, recordUnmatchedReport, CorrectionError } from "../services/ingredientCorrection.service.js";
+import {
+  searchIngredients,
+  getIngredientProfile,
+  MIN_SEARCH_QUERY_LENGTH,
+  MAX_SEARCH_QUERY_LENGTH,
+  MAX_SEARCH_RESULTS,
+} from "../services/ingredientSearch.service.js";
+import { findIngredientConflicts, MAX_INTERACTION_INGREDIENTS } from "../services/ingredientInteraction.service.js";
 import dotenv from "dotenv";
 dotenv.config();
 
+// force=true (query string or form field) skips the analysis cache
+const isForcedAnalysis = (req) =>
+  String(req.query.force ?? req.body?.force ?? "").toLowerCase() === "true";
+
+// Signed-in callers can later correct the tokens their analysis left unmatched
+const withUnmatchedReport = (req) => async (result) => {
+  if (req.auth) {
+    await recordUnmatchedReport(req.auth.userId, result?.data?.unmatched || []).catch((err) =>
+      console.warn(`[IngredientCorrection] Could not record unmatched tokens: ${err.message}`)
+    );
+  }
+  return result;
+};
+
 /**
- * Handles product analysis from front and back images
+ * Handles product analysis from label images: an optional front image and one or
+ * more back images (curved bottles, folded boxes) given in reading order
  * @param {Request} req
  * @param {Response} res
  */
 export const productAnalyzeFromImages = async (req, res) => {
   try {
-    const frontImageFile = req.files?.frontImage?.[0];
-    const backImageFile = req.files?.backImage?.[0];
-    let user_skin = req.body.userSkin;
+    res.json(await analyzeProductImages({
+      frontImageFile: req.files?.frontImage?.[0],
+      backImageFiles: req.files?.backImage || [],
+      body: req.body,
+    }, { force: isForcedAnalysis(req), userId: req.auth?.userId }).then(withUnmatchedReport(req)));
+  } catch (err) {
+    const status = err instanceof AnalysisInputError ? err.status : 500;
+    res.status(status).json({ error: err.message });
+  }
+};
+
+/**
+ * Handles product analysis from a pasted ingredient list (no OCR)
+ * @param {Request} req
+ * @param {Response} res
+ */
+export const productAnalyzeFromText = async (req, res) => {
+  try {
+    res.json(await analyzeIngredientText(req.body, { userId: req.auth?.userId })
+      .then(withUnmatchedReport(req)));
+  } catch (err) {
+    const status = err instanceof AnalysisInputError ? err.status : 500;
+    res.status(status).json({ error: err.message });
+  }
+};
 
-    if (typeof user_skin === "string") {
-      user_skin = [user_skin];
+/**
+ * Starts a product analysis in the background. Takes the label images of /upload
+ * (multipart) or the ingredientsText body of /text (JSON) and answers 202 with the job id.
+ * @param {Request} req
+ * @param {Response} res
+ */
+export const submitAnalysisJob = async (req, res) => {
+  try {
+    const body = { ...(req.body || {}) };
+    const backImageFiles = req.files?.backImage || [];
+    let job;
+    if (backImageFiles.length > 0 || req.files?.frontImage) {
+      const frontImageFile = req.files?.frontImage?.[0];
+      validateImageAnalysisInput(backImageFiles);
+      const force = isForcedAnalysis(req);
+      job = await createAnalysisJob("images", ({ onStage }) =>
+        analyzeProductImages({ frontImageFile, backImageFiles, body }, { onStage, force, userId: req.auth?.userId })
+          .then(withUnmatchedReport(req))
+      );
+    } else {
+      validateTextAnalysisInput(body);
+      job = await createAnalysisJob("text", ({ onStage }) =>
+        analyzeIngredientText(body, { onStage, userId: req.auth?.userId })
+          .then(withUnmatchedReport(req))
+      );
     }
+    const statusUrl = `${req.baseUrl}/jobs/${job.jobId}`;
+    res.status(202).json({
+      job_id: job.jobId,
+      status: job.status,
+      status_url: statusUrl,
+      events_url: `${statusUrl}/events`,
+    });
+  } catch (err) {
+    const status = err instanceof AnalysisInputError ? err.status : 500;
+    res.status(status).json({ error: err.message });
+  }
+};
 
-    if (!frontImageFile || !backImageFile) {
-      return res
-        .status(400)
-        .json({ error: "Both front and back images are required." });
+/**
+ * Returns a job's status and stages, with the analysis result once completed
+ * @param {Request} req
+ * @param {Response} res
+ */
+export const getAnalysisJobStatus = async (req, res) => {
+  try {
+    const job = await getAnalysisJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: "Analysis job not found." });
+    res.json(toAnalysisJobResponse(job));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Keeps proxies from closing an idle stream and picks up jobs running on another instance
+const JOB_EVENTS_HEARTBEAT_MS = 15000;
+
+/**
+ * Streams a job's progress as server-sent events: "snapshot" (the job as from
+ * getAnalysisJobStatus), then "stage" per stage started and a final "completed" or "failed"
+ * @param {Request} req
+ * @param {Response} res
+ */
+export const streamAnalysisJobEvents = async (req, res) => {
+  const { jobId } = req.params;
+  let ended = false;
+  let snapshotSent = false;
+  let lastStage = null;
+  const pending = [];
+  let heartbeat = null;
+  let unsubscribe = () => {};
+
+  const finish = () => {
+    if (ended) return;
+    ended = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+  const send = (event) => {
+    if (ended) return;
+    const { type, ...data } = event;
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (type === "stage") lastStage = data.stage;
+    if (type === "completed" || type === "failed") finish();
+  };
+
+  try {
+    // Subscribe before reading the job so no event falls between the two
+    unsubscribe = subscribeToAnalysisJob(jobId, (event) =>
+      snapshotSent ? send(event) : pending.push(event)
+    );
+    const job = await getAnalysisJob(jobId);
+    if (!job) {
+      unsubscribe();
+      return res.status(404).json({ error: "Analysis job not found." });
     }
-    let frontImagePath = path.resolve(frontImageFile.path);
-    let backImagePath = path.resolve(backImageFile.path);
-
-    // Convert images to PNG if needed
-    frontImagePath = await convertImageToPng(frontImagePath);
-    backImagePath = await convertImageToPng(backImagePath);
-    const secretKey = process.env.OCR_SECRET_KEY;
-    const apiUrl = process.env.OCR_API_URL;
-    if (!secretKey || !apiUrl) {
-      return res.status(500).json({
-        error: "OCR API credentials are not set in environment variables.",
+
+    // The stream lasts as long as the analysis, past the request timeout
+    req.setTimeout(0);
+    res.setTimeout(0);
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    req.on("close", finish);
+
+    const snapshot = toAnalysisJobResponse(job);
+    send({ type: "snapshot", ...snapshot });
+    lastStage = snapshot.stage;
+    snapshotSent = true;
+    if (job.status === "completed") return send({ type: "completed", progress: 100, result: job.result });
+    if (job.status === "failed") return send({ type: "failed", error: job.error });
+    pending.splice(0).forEach(send);
+
+    heartbeat = setInterval(async () => {
+      try {
+        const current = await getAnalysisJob(jobId);
+        if (!current) return finish();
+        if (current.status === "completed") return send({ type: "completed", progress: 100, result: current.result });
+        if (current.status === "failed") return send({ type: "failed", error: current.error });
+        if (current.stage && current.stage !== lastStage) {
+          return send({ type: "stage", stage: current.stage, progress: current.progress });
+        }
+        if (!ended) res.write(": ping\n\n");
+      } catch (err) {
+        console.error(`[AnalysisJob] ${jobId} heartbeat failed:`, err.message);
+      }
+    }, JOB_EVENTS_HEARTBEAT_MS);
+  } catch (err) {
+    if (res.headersSent) return finish();
+    unsubscribe();
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * Stores OCR corrections accepted by the user for tokens their latest analysis left unmatched.
+ * They apply to the user's later analyses, and to everyone's once enough users accepted them.
+ * Body: { corrections: [{ ocr_text, inci_name }] }
+ * @param {Request} req
+ * @param {Response} res
+ */
+export const submitIngredientCorrections = async (req, res) => {
+  try {
+    const corrections = await saveIngredientCorrections(
+      req.body?.corrections,
+      req.auth.userId
+    );
+    res.status(201).json({ corrections });
+  } catch (err) {
+    const status = err instanceof CorrectionError ? err.status : 500;
+    res.status(status).json({ error: err.message });
+  }
+};
+
+/**
+ * Autocompletes ingredient names across CosIng, Renude and IngredientAI
+ * Query: q (search text), limit (default 10)
+ * @param {Request} req
+ * @param {Response} res
+ */
+export const searchIngredientNames = async (req, res) => {
+  try {
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (query.length < MIN_SEARCH_QUERY_LENGTH || query.length > MAX_SEARCH_QUERY_LENGTH) {
+      return res.status(400).json({
+        error: `q must be ${MIN_SEARCH_QUERY_LENGTH} to ${MAX_SEARCH_QUERY_LENGTH} characters.`,
       });
     }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), MAX_SEARCH_RESULTS);
+    res.json({ query, results: await searchIngredients(query, { limit }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
 
-    const startOcr = Date.now();
-    const [frontOcrData, backOcrData] = await Promise.all([
-      runOcrService(secretKey, apiUrl, frontImagePath),
-      runOcrService(secretKey, apiUrl, backImagePath)
-    ]);
-
-    // Get OCR text from both images
-    const frontOcrText = getOcrTextFromData(frontOcrData);
-    const backOcrText = getOcrTextFromData(backOcrData);
-    console.log(backOcrText);
-
-    const startExtract = Date.now();
-    const [ingredientResult, productInfo] = await Promise.all([
-      extractIngredientsFromTextService(backOcrText),
-      extractProductInfoFromTextService(frontOcrText)
-    ]);
-    
-    // Ensure all risk levels are present in the result
-    const riskLevels = ["no-risk", "low-risk", "moderate-risk", "high-risk"];
-    const groupedByRisk = ingredientResult.reduce((acc, ingredient) => {
-      const riskLevel = ingredient.risk_level.toLowerCase() || 'unknown';
-      if (!acc[riskLevel]) {
-        acc[riskLevel] = [];
-      }
-      acc[riskLevel].push({
-        name: ingredient.name,
-        reason: ingredient.reason,
+/**
+ * Checks whether a set of ingredients can be combined (e.g. the actives of a routine)
+ * Body: { ingredients: [name] }
+ * @param {Request} req
+ * @param {Response} res
+ */
+export const checkIngredientInteractions = async (req, res) => {
+  try {
+    const ingredients = req.body?.ingredients;
+    const isValid = Array.isArray(ingredients) &&
+      ingredients.length > 0 &&
+      ingredients.length <= MAX_INTERACTION_INGREDIENTS &&
+      ingredients.every((name) =>
+        typeof name === "string" && name.trim().length > 0 && name.trim().length <= MAX_SEARCH_QUERY_LENGTH);
+    if (!isValid) {
+      return res.status(400).json({
+        error: `ingredients must be a list of 1 to ${MAX_INTERACTION_INGREDIENTS} ingredient names.`,
       });
-      return acc;
-    }, {});
-    // Add missing risk levels as empty arrays
-    riskLevels.forEach((level) => {
-      if (!groupedByRisk[level]) {
-        groupedByRisk[level] = [];
-      }
-    });
+    }
+    res.json(await findIngredientConflicts(ingredients));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
 
-    // Calculate suitability scores
-    const suitabilityScores = Array.isArray(user_skin) && user_skin.length > 0
-      ? calculateSuitableScore(ingredientResult, user_skin)
-      : null;
-    
-    // Summarize benefits from ingredients using LLM
-    const summarizedBenefits = await summarizeBenefitsFromIngredients(ingredientResult);
-    
-    // Enrich product info by combining original benefits with ingredient-based benefits
-    const enrichedProductInfo = {
-      ...productInfo,
-      benefits: [...productInfo.benefits, ...summarizedBenefits],
-    };
-
-    // If no ingredients or no product info found, set success to false
-    const hasIngredients = Array.isArray(ingredientResult) && ingredientResult.length > 0;
-    const hasProductInfo = productInfo && Array.isArray(productInfo.benefits) && productInfo.benefits.length > 0;
-    const success = hasIngredients && hasProductInfo;
-    res.json({
-    success,
-    data: success
-        ? {
-            product: enrichedProductInfo,
-            suitable: suitabilityScores,
-            risk: groupedByRisk,
-            ingredients: ingredientResult,
-        }
-        : null,
-    });
-    } catch (err) {
-        res.status(500).json({ error: err.message });
+/**
+ * Returns one ingredient's profile merged from every knowledge source, or 404 with
+ * the closest names
+ * @param {Request} req
+ * @param {Response} res
+ */
+export const getIngredientDetails = async (req, res) => {
+  try {
+    const name = req.params.name.trim();
+    const ingredient = name.length <= MAX_SEARCH_QUERY_LENGTH ? await getIngredientProfile(name) : null;
+    if (!ingredient) {
+      const suggestions = name.length >= MIN_SEARCH_QUERY_LENGTH && name.length <= MAX_SEARCH_QUERY_LENGTH
+        ? await searchIngredients(name, { limit: 5 })
+        : [];
+      return res.status(404).json({
+        error: "Ingredient not found.",
+        suggestions: suggestions.map(({ name: suggestion, score }) => ({ name: suggestion, score })),
+      });
     }
+    res.json({ ingredient });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 };
@@ -1,5 +1,10 @@
 import Product from "../models/Product.js";
 import { skinFieldMap } from "../utils/dataParser.js";
+import { normalizeRetailBarcode } from "../services/barcode.service.js";
+
+// Duplicate key on the unique barcode index
+const isDuplicateBarcodeError = (error) =>
+  error?.code === 11000 && Boolean(error.keyPattern?.barcode);
 
 export const addProduct = async (req, res) => {
   try {
@@ -14,9 +19,16 @@ export const addProduct = async (req, res) => {
       dry_skin,
       oily_skin,
       normal_skin,
+      sensitive_skin,
       rank,
+      barcode,
     } = req.body;
 
+    const normalizedBarcode = barcode ? normalizeRetailBarcode(barcode) : undefined;
+    if (normalizedBarcode === null) {
+      return res.status(400).json({ message: "barcode must be a valid EAN-13 or UPC-A code" });
+    }
+
     const newProduct = new Product({
       name,
       brand,
@@ -30,11 +42,15 @@ export const addProduct = async (req, res) => {
       normal_skin: Boolean(normal_skin),
       sensitive_skin: Boolean(sensitive_skin),
       rank,
+      barcode: normalizedBarcode,
     });
 
     const savedProduct = await newProduct.save();
     res.status(200).json(savedProduct);
   } catch (error) {
+    if (isDuplicateBarcodeError(error)) {
+      return res.status(409).json({ message: "Another product already has this barcode" });
+    }
     res
       .status(500)
       .json({ message: "Error adding product", error: error.message });
@@ -82,6 +98,34 @@ export const addProductUrl = async (req, res) => {
   }
 };
 
+// Links a catalog product to its barcode, so scans showing it are answered from the catalog
+export const addProductBarcode = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const barcode = normalizeRetailBarcode(req.body.barcode);
+    if (!barcode) {
+      return res.status(400).json({ message: "barcode must be a valid EAN-13 or UPC-A code" });
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    product.barcode = barcode;
+    const updatedProduct = await product.save();
+    res.status(200).json(updatedProduct);
+  } catch (error) {
+    if (isDuplicateBarcodeError(error)) {
+      return res.status(409).json({ message: "Another product already has this barcode" });
+    }
+    res.status(500).json({
+      message: "Error updating product barcode",
+      error: error.message,
+    });
+  }
+};
+
 export const getProductById = async (req, res) => {
   try {
     const { id } = req.params;
@@ -0,0 +1,43 @@
+import { getScanImage, getJournalPhoto } from "../services/imageStorage.service.js";
+
+// Image keys are random and never change content, so browsers can keep them
+const IMAGE_CACHE_CONTROL = "private, max-age=31536000, immutable";
+
+const sendStoredImage = (loadImage) => async (req, res) => {
+  try {
+    const image = await loadImage(req.params.file);
+    if (!image) return res.status(404).json({ error: "Image not found." });
+    res.set({
+      "Content-Type": image.contentType,
+      "Cache-Control": IMAGE_CACHE_CONTROL,
+      // helmet defaults to same-origin, but the web app is served from another origin
+      "Cross-Origin-Resource-Policy": "cross-origin",
+    });
+    res.send(image.buffer);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * Serves a stored scan image. The key ("scans/<uuid>.jpg") is the capability: it is only
+ * known to the user whose analysis or scan history holds it, so <img> tags work without a token.
+ * @param {Request} req
+ * @param {Response} res
+ */
+export const getScanImageFile = sendStoredImage((file) => getScanImage(`scans/${file}`));
+
+/**
+ * Serves the thumbnail (at most 320px) of a stored scan image
+ * @param {Request} req
+ * @param {Response} res
+ */
+export const getScanImageThumbnail = sendStoredImage((file) => getScanImage(`scans/${file}`, { thumbnail: true }));
+
+/**
+ * Serves a stored skin journal photo. Like scan images, the random key ("journal/<uuid>.jpg")
+ * is only handed to the user who owns the entry.
+ * @param {Request} req
+ * @param {Response} res
+ */
+export const getJournalPhotoFile = sendStoredImage((file) => getJournalPhoto(`journal/${file}`));
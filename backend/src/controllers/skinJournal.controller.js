@@ -0,0 +1,200 @@
+import mongoose from "mongoose";
+import SkinJournalEntry from "../models/SkinJournalEntry.js";
+import {
+  ImageStorageError,
+  isJournalPhotoKey,
+  storeJournalPhoto,
+  deleteJournalPhoto,
+} from "../services/imageStorage.service.js";
+
+const MAX_PHOTO_LENGTH = 7 * 1024 * 1024; // ~5MB image as base64
+
+// currentPhoto: key already on the entry, which an update may send back unchanged
+const validateNoteFields = ({ irritationLevel, photo }, currentPhoto = "") => {
+  if (
+    irritationLevel !== undefined &&
+    irritationLevel !== null &&
+    !(Number.isInteger(Number(irritationLevel)) &&
+      irritationLevel >= 0 &&
+      irritationLevel <= 5)
+  ) {
+    return "irritationLevel must be an integer between 0 and 5";
+  }
+  if (photo && photo !== currentPhoto &&
+      (typeof photo !== "string" || !/^data:image\//.test(photo) || photo.length > MAX_PHOTO_LENGTH)) {
+    return "photo must be an image data URL under 5MB";
+  }
+  return null;
+};
+
+// Photos live in image storage and entries keep their key; clients get the URL to load them from.
+// Entries saved before that still hold a data URL until migrateJournalPhotos.js has run.
+const toJournalResponse = (entry) => {
+  const data = typeof entry.toObject === "function" ? entry.toObject() : entry;
+  const stored = isJournalPhotoKey(data.photo);
+  return {
+    ...data,
+    photo: stored ? data.photo : "",
+    photoUrl: stored ? `/api/images/${data.photo}` : data.photo || "",
+  };
+};
+
+const removePhoto = (key) =>
+  deleteJournalPhoto(key).catch((err) =>
+    console.error(`Failed to delete journal photo ${key}:`, err.message)
+  );
+
+const sendJournalError = (res, error, message) => {
+  if (error instanceof ImageStorageError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  // Malformed input (an unparsable entryDate, an invalid entry id) is the client's to fix
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ message, error: error.message });
+  }
+  res.status(500).json({ message, error: error.message });
+};
+
+// Get a user's journal timeline (profile changes and notes), newest first
+export const getJournal = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limit = 50, page = 1, type } = req.query;
+
+    const filter = { userId: id };
+    if (type) filter.type = type;
+
+    const skip = (page - 1) * limit;
+    const [entries, total] = await Promise.all([
+      SkinJournalEntry.find(filter)
+        .sort({ entryDate: -1 })
+        .limit(parseInt(limit))
+        .skip(skip)
+        .lean(),
+      SkinJournalEntry.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: entries.map(toJournalResponse),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    sendJournalError(res, error, "Error retrieving skin journal");
+  }
+};
+
+// Add a free-form journal entry
+export const createJournalEntry = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes, irritationLevel, photo, entryDate } = req.body;
+
+    if (!notes && (irritationLevel === undefined || irritationLevel === null) && !photo) {
+      return res.status(400).json({
+        message: "notes, irritationLevel or photo is required",
+      });
+    }
+    const validationError = validateNoteFields({ irritationLevel, photo });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const photoKey = photo ? await storeJournalPhoto(photo) : "";
+    const entry = new SkinJournalEntry({
+      userId: id,
+      type: "note",
+      notes: notes || "",
+      irritationLevel: irritationLevel ?? null,
+      photo: photoKey,
+      entryDate: entryDate || Date.now(),
+    });
+    try {
+      await entry.save();
+    } catch (error) {
+      if (photoKey) await removePhoto(photoKey);
+      throw error;
+    }
+
+    res.status(201).json({
+      message: "Journal entry saved successfully",
+      data: toJournalResponse(entry),
+    });
+  } catch (error) {
+    sendJournalError(res, error, "Error saving journal entry");
+  }
+};
+
+// Edit a journal note (profile change snapshots are read-only)
+export const updateJournalEntry = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    const { notes, irritationLevel, photo, entryDate } = req.body;
+
+    const entry = await SkinJournalEntry.findOne({ _id: entryId, userId: id });
+    if (!entry) {
+      return res.status(404).json({ message: "Journal entry not found" });
+    }
+    if (entry.type !== "note") {
+      return res
+        .status(400)
+        .json({ message: "Skin profile changes cannot be edited" });
+    }
+
+    const previousPhoto = entry.photo;
+    const validationError = validateNoteFields({ irritationLevel, photo }, previousPhoto);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    // A new photo is stored before the entry points at it, the replaced one removed after
+    const photoChanged = photo !== undefined && (photo || "") !== previousPhoto;
+    const photoKey = photoChanged && photo ? await storeJournalPhoto(photo) : "";
+
+    if (notes !== undefined) entry.notes = notes;
+    if (irritationLevel !== undefined) entry.irritationLevel = irritationLevel;
+    if (photoChanged) entry.photo = photoKey;
+    if (entryDate !== undefined) entry.entryDate = entryDate;
+    try {
+      await entry.save();
+    } catch (error) {
+      if (photoKey) await removePhoto(photoKey);
+      throw error;
+    }
+    if (photoChanged && isJournalPhotoKey(previousPhoto)) await removePhoto(previousPhoto);
+
+    res.status(200).json({
+      message: "Journal entry updated successfully",
+      data: toJournalResponse(entry),
+    });
+  } catch (error) {
+    sendJournalError(res, error, "Error updating journal entry");
+  }
+};
+
+// Delete a journal entry
+export const deleteJournalEntry = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+
+    const deletedEntry = await SkinJournalEntry.findOneAndDelete({
+      _id: entryId,
+      userId: id,
+    });
+    if (!deletedEntry) {
+      return res.status(404).json({ message: "Journal entry not found" });
+    }
+    if (isJournalPhotoKey(deletedEntry.photo)) await removePhoto(deletedEntry.photo);
+
+    res.status(200).json({
+      message: "Journal entry deleted successfully",
+      data: toJournalResponse(deletedEntry),
+    });
+  } catch (error) {
+    sendJournalError(res, error, "Error deleting journal entry");
+  }
+};
@@ -2,6 +2,23 @@ import mongoose from "mongoose";
 import User from "../models/User.js";
 import SavedRoutine from "../models/SavedRoutine.js";
 import ScanHistory from "../models/ScanHistory.js";
+import { recordSkinProfileChange } from "../services/skinJournal.service.js";
+import {
+  collectAccountData,
+  writeAccountExportZip,
+} from "../services/accountExport.service.js";
+import {
+  previewAccountDeletion,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeUserAccount,
+} from "../services/accountDeletion.service.js";
+import {
+  resolveScanImageReference,
+  ImageStorageError,
+} from "../services/imageStorage.service.js";
+import { normalizeRetailBarcode } from "../services/barcode.service.js";
+import { ingredientNamePattern } from "../services/ingredientSearch.service.js";
 
 // Create or update user
 export const createOrUpdateUser = async (req, res) => {
@@ -21,6 +38,11 @@ export const createOrUpdateUser = async (req, res) => {
     let user = await User.findOne({ username });
 
     if (user) {
+      const previous = {
+        skinType: user.skinType,
+        concerns: [...(user.concerns || [])],
+      };
+
       // Update existing user
       user.name = name || user.name;
       user.skinType = skinType || user.skinType;
@@ -29,6 +51,7 @@ export const createOrUpdateUser = async (req, res) => {
       if (longitude !== undefined) user.longitude = longitude;
 
       await user.save();
+      await recordSkinProfileChange(user, previous);
       console.log("User updated successfully:", user._id);
       res.status(200).json({ message: "User updated successfully", user });
     } else {
@@ -42,6 +65,7 @@ export const createOrUpdateUser = async (req, res) => {
         longitude,
       });
       await user.save();
+      await recordSkinProfileChange(user);
       res.status(201).json({ message: "User created successfully", user });
     }
   } catch (error) {
@@ -121,16 +145,32 @@ export const getUser = async (req, res) => {
   }
 };
 
+// Schedule account deletion after a grace period, or purge now with ?immediate=true.
+// Either way every SavedRoutine, ScanHistory (with its images) and session goes with the user.
 export const deleteUser = async (req, res) => {
   try {
     const { id } = req.params;
-    const deletedUser = await User.findByIdAndDelete(id);
-    if (!deletedUser) {
+    const immediate = req.query.immediate === "true";
+
+    const user = await User.findById(id);
+    if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
-    res
-      .status(200)
-      .json({ message: "User deleted successfully", user: deletedUser });
+
+    if (immediate) {
+      const removed = await purgeUserAccount(id);
+      return res
+        .status(200)
+        .json({ message: "User and all related data deleted", removed });
+    }
+
+    const scheduled = await scheduleAccountDeletion(id);
+    const willRemove = await previewAccountDeletion(id);
+    res.status(202).json({
+      message: "Account deletion scheduled",
+      deletionScheduledFor: scheduled.deletionScheduledFor,
+      willRemove,
+    });
   } catch (error) {
     res
       .status(500)
@@ -138,11 +178,53 @@ export const deleteUser = async (req, res) => {
   }
 };
 
+// Undo a pending account deletion during the grace period
+export const restoreUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = await cancelAccountDeletion(id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.status(200).json({ message: "Account deletion cancelled", user });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error restoring user", error: error.message });
+  }
+};
+
+// Download every piece of data stored about a user as a ZIP archive
+export const exportUserData = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const accountData = await collectAccountData(id);
+    if (!accountData) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    const filename = `skincare-export-${accountData.user.username}-${date}.zip`;
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    await writeAccountExportZip(accountData, res);
+  } catch (error) {
+    console.error("Error in exportUserData:", error);
+    // Once streaming has started the status line is already sent
+    if (res.headersSent) return res.destroy(error);
+    res
+      .status(500)
+      .json({ message: "Error exporting user data", error: error.message });
+  }
+};
+
 // Save routine
 export const saveRoutine = async (req, res) => {
   try {
+    // Routines are always saved for the caller, whatever userId the body claims
+    const userId = req.auth.userId;
     const {
-      userId,
       routineName,
       routineType,
       skinType,
@@ -204,12 +286,9 @@ export const getSavedRoutines = async (req, res) => {
 // Delete saved routine
 export const deleteSavedRoutine = async (req, res) => {
   try {
-    const { routineId } = req.params;
-
-    const deletedRoutine = await SavedRoutine.findByIdAndDelete(routineId);
-    if (!deletedRoutine) {
-      return res.status(404).json({ message: "Routine not found" });
-    }
+    // Loaded and ownership-checked by requireOwnership
+    const deletedRoutine = req.resource;
+    await deletedRoutine.deleteOne();
 
     res.status(200).json({
       message: "Routine deleted successfully",
@@ -227,7 +306,17 @@ export const deleteMultipleRoutines = async (req, res) => {
   try {
     const { routineIds } = req.body;
 
-    const result = await SavedRoutine.deleteMany({ _id: { $in: routineIds } });
+    if (!routineIds || !Array.isArray(routineIds)) {
+      return res.status(400).json({
+        message: "routineIds array is required",
+      });
+    }
+
+    // Scope to the caller so foreign ids in the list are ignored
+    const result = await SavedRoutine.deleteMany({
+      _id: { $in: routineIds },
+      userId: req.auth.userId,
+    });
 
     res.status(200).json({
       message: "Routines deleted successfully",
@@ -243,8 +332,9 @@ export const deleteMultipleRoutines = async (req, res) => {
 // Save scan history
 export const saveScanHistory = async (req, res) => {
   try {
+    // Scans are always saved for the caller, whatever userId the body claims
+    const userId = req.auth.userId;
     const {
-      userId,
       productName,
       productBrand,
       productCategory,
@@ -257,6 +347,7 @@ export const saveScanHistory = async (req, res) => {
       recommendations,
       warnings,
       fullAnalysis, // Add fullAnalysis field
+      barcode,
     } = req.body;
 
     // Verify user exists
@@ -265,6 +356,12 @@ export const saveScanHistory = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
+    // Images are kept as storage keys; base64 data URLs from older clients are stored first
+    const [frontImage, backImage] = await Promise.all([
+      resolveScanImageReference(productImages?.front),
+      resolveScanImageReference(productImages?.back),
+    ]);
+
     const scanHistory = new ScanHistory({
       userId,
       productName,
@@ -274,11 +371,13 @@ export const saveScanHistory = async (req, res) => {
       overallScore,
       riskScore,
       ingredients: ingredients || [],
-      productImages: productImages || { front: "", back: "" },
+      productImages: { front: frontImage, back: backImage },
       analysisSource: analysisSource || "mock",
       recommendations: recommendations || [],
       warnings: warnings || [],
       fullAnalysis: fullAnalysis || {}, // Add fullAnalysis field
+      // Kept even when the catalog doesn't know it, so later scans of the same product can be linked
+      barcode: normalizeRetailBarcode(barcode) || "",
     });
 
     await scanHistory.save();
@@ -287,6 +386,9 @@ export const saveScanHistory = async (req, res) => {
       data: scanHistory,
     });
   } catch (error) {
+    if (error instanceof ImageStorageError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({
       message: "Error saving scan history",
       error: error.message,
@@ -298,16 +400,28 @@ export const saveScanHistory = async (req, res) => {
 export const getScanHistory = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { limit = 50, page = 1 } = req.query;
+    const { limit = 50, page = 1, barcode, ingredient } = req.query;
 
     const skip = (page - 1) * limit;
+    // ?barcode= lists earlier scans of the same product, ?ingredient= the scans containing an ingredient
+    const filter = { userId };
+    if (typeof ingredient === "string" && ingredient.trim()) {
+      filter["ingredients.name"] = ingredientNamePattern(ingredient);
+    }
+    if (barcode !== undefined) {
+      const normalizedBarcode = normalizeRetailBarcode(barcode);
+      if (!normalizedBarcode) {
+        return res.status(400).json({ message: "barcode must be a valid EAN-13 or UPC-A code" });
+      }
+      filter.barcode = normalizedBarcode;
+    }
 
-    const scanHistory = await ScanHistory.find({ userId })
+    const scanHistory = await ScanHistory.find(filter)
       .sort({ scanDate: -1 })
       .limit(parseInt(limit))
       .skip(skip);
 
-    const total = await ScanHistory.countDocuments({ userId });
+    const total = await ScanHistory.countDocuments(filter);
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+import { verifyAccessToken, AuthError } from "../services/auth.service.js";
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+const isAdmin = (req) => req.auth?.role === "admin";
+
+/**
+ * Rejects the request unless it carries a valid access token.
+ * On success the caller is available as req.auth = { userId, username, role }.
+ */
+export const requireAuth = (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ message: "Authentication required" });
+  }
+
+  try {
+    req.auth = verifyAccessToken(token);
+    next();
+  } catch (error) {
+    const status = error instanceof AuthError ? error.status : 500;
+    res.status(status).json({ message: error.message });
+  }
+};
+
+/**
+ * Identifies the caller when the request carries an access token, and lets anonymous requests
+ * through (req.auth stays undefined). A token that is present must be valid.
+ */
+export const optionalAuth = (req, res, next) => {
+  if (!getBearerToken(req)) return next();
+  requireAuth(req, res, next);
+};
+
+/**
+ * Allows the request only for callers holding one of the given roles.
+ * Must run after requireAuth.
+ * @param {...string} roles - Accepted roles, e.g. "admin"
+ */
+export const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.auth || !roles.includes(req.auth.role)) {
+      return res.status(403).json({ message: "Insufficient permissions" });
+    }
+    next();
+  };
+
+/**
+ * Allows the request only when the user it targets is the caller (or an admin).
+ * Must run after requireAuth.
+ * @param {Function} selectTarget - Reads the targeted value from the request
+ * @param {string} claim - Session claim to compare against ("userId" or "username")
+ */
+export const requireSelf =
+  (selectTarget, claim = "userId") =>
+  (req, res, next) => {
+    const target = selectTarget(req);
+    if (isAdmin(req) || (target && String(target) === req.auth?.[claim])) {
+      return next();
+    }
+    res.status(403).json({ message: "You can only access your own data" });
+  };
+
+/**
+ * Loads a user-owned document by route param and rejects callers who do not own it.
+ * Must run after requireAuth. The loaded document is exposed as req.resource.
+ * @param {mongoose.Model} Model - Model with a userId field (ScanHistory, SavedRoutine)
+ * @param {string} param - Route param holding the document id
+ */
+export const requireOwnership = (Model, param) => async (req, res, next) => {
+  try {
+    const id = req.params[param];
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: `Invalid ${param}` });
+    }
+
+    const doc = await Model.findById(id);
+    // Answer 404 for other users' documents too, so ids cannot be probed
+    if (!doc || (!isAdmin(req) && doc.userId.toString() !== req.auth.userId)) {
+      return res.status(404).json({ message: `${Model.modelName} not found` });
+    }
+
+    req.resource = doc;
+    next();
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error checking ownership", error: error.message });
+  }
+};
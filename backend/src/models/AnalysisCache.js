@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+// Results of image analyses, reused when the same or near-identical label photos are scanned again
+// so OCR and LLM calls are skipped. Each entry belongs to one version of the ingredient knowledge
+// base and expires ANALYSIS_CACHE_TTL_DAYS after the analysis ran, however often it is reused.
+const analysisCacheSchema = new mongoose.Schema({
+  // sha256 over the uploaded files (and typed product info), for exact repeats
+  contentHash: {
+    type: String,
+    required: true
+  },
+  // Signature of the CosIng, Renude and Korean name collections, of the corrections applying to
+  // everyone and of the interaction rules and fragrance allergens at analysis time
+  knowledgeVersion: {
+    type: String,
+    required: true
+  },
+  // Product name, brand and category typed by the user; only used without a front image
+  inputKey: {
+    type: String,
+    default: ""
+  },
+  // 256-bit difference hashes (hex) of each image, for near-identical photos
+  frontHash: {
+    type: String,
+    default: null
+  },
+  backHashes: {
+    type: [String],
+    default: []
+  },
+  // "<band>:<hex>" slices of the first back image's hash; a near-identical hash shares at least one
+  hashBands: {
+    type: [String],
+    default: []
+  },
+  // Barcode detected on the front image, and "<id>:<updatedAt>" of the catalog product it resolved to
+  // (null when the catalog didn't know it); the entry is stale once the catalog says otherwise
+  barcode: {
+    type: String,
+    default: null
+  },
+  catalogSignature: {
+    type: String,
+    default: null
+  },
+  // Response data of the analysis without the per-user suitability score and stored images
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  analyzedAt: {
+    type: Date,
+    required: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+}, { timestamps: true });
+
+analysisCacheSchema.index({ contentHash: 1, knowledgeVersion: 1 }, { unique: true });
+analysisCacheSchema.index({ knowledgeVersion: 1, hashBands: 1 });
+analysisCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("AnalysisCache", analysisCacheSchema);
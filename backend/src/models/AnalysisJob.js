@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+// Product analyses run in the background. Clients poll or stream the job by its random jobId
+// and fetch the result from it once completed; jobs expire after ANALYSIS_JOB_TTL_HOURS.
+// The jobId is the only credential for reading a job, so it must stay unguessable.
+const analysisJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: ["images", "text"],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["queued", "running", "completed", "failed"],
+    default: "queued"
+  },
+  // Stage currently running: convert, ocr, match, enrich, summarize
+  stage: {
+    type: String,
+    default: null
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  stages: [
+    {
+      _id: false,
+      stage: String,
+      progress: Number,
+      at: Date
+    }
+  ],
+  // Same shape as the synchronous endpoints' response: { success, data }
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  // Refreshed while the analysis runs; a job whose process died stops refreshing it
+  heartbeatAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+}, { timestamps: true });
+
+analysisJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("AnalysisJob", analysisJobSchema);
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+// OCR misreads and their fixes, applied to label text before it is split into ingredients.
+// Seeded from seedData/ingredient_corrections.csv and grown by the corrections users accept.
+// A user's correction only applies to their own analyses until enough users accepted it.
+const ingredientCorrectionSchema = new mongoose.Schema({
+  // Regular expression source, matched case-insensitively
+  pattern: {
+    type: String,
+    required: true
+  },
+  replacement: {
+    type: String,
+    required: true,
+  },
+  // Text as read by OCR, for corrections submitted by users
+  ocr_text: {
+    type: String,
+  },
+  // Distinct users who accepted this replacement for the pattern; accepted_count also counts the
+  // users whose accounts were deleted since
+  accepted_by: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }],
+  accepted_count: {
+    type: Number,
+    default: 0
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  // When the correction started applying to every analysis (seeded, or accepted by enough users)
+  global_since: {
+    type: Date,
+    default: null
+  },
+}, { timestamps: true });
+
+// Users may disagree on a replacement: each one is its own document
+ingredientCorrectionSchema.index({ pattern: 1, replacement: 1 }, { unique: true });
+ingredientCorrectionSchema.index({ accepted_by: 1 });
+
+export default mongoose.model("IngredientCorrection", ingredientCorrectionSchema);
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+// Korean label names (KCIA 전성분 names) mapped to their INCI name
+const ingredientKoreanSchema = new mongoose.Schema({
+  korean_name: {
+    type: String,
+    required: true,
+  },
+  korean_normalized: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  inci_name: {
+    type: String,
+    required: true,
+  },
+}, { timestamps: true });
+
+export default mongoose.model("IngredientKorean", ingredientKoreanSchema);
@@ -27,6 +27,12 @@ const productSchema = new mongoose.Schema({
         default: 0
     },
     ingredients: [String],
+    // EAN-13 (UPC-A with a leading 0) printed on the package, matched against scanned front images
+    barcode: {
+        type: String,
+        match: /^\d{13}$/,
+        default: undefined
+    },
     price: {
         type: Number,
         required: true
@@ -59,6 +65,7 @@ const productSchema = new mongoose.Schema({
 
 productSchema.index({ category: 1, price: 1, rank: 1 });
 productSchema.index({ spf: 1 });
+productSchema.index({ barcode: 1 }, { unique: true, sparse: true });
 productSchema.index({ combination_skin: 1, dry_skin: 1, oily_skin: 1, normal_skin: 1, sensitive_skin: 1 });
 
 export default mongoose.model('Product', productSchema);
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// One document per issued refresh token. Only the SHA-256 hash of the token is
+// stored so a database leak cannot be replayed as a session.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 }, // MongoDB TTL index for auto cleanup
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("RefreshToken", refreshTokenSchema);
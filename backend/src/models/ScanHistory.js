@@ -54,6 +54,7 @@ const scanHistorySchema = new mongoose.Schema(
         concerns: [String],
       },
     ],
+    // Storage keys ("scans/<uuid>.jpg", served by /api/images/scans/...) or remote URLs
     productImages: {
       front: {
         type: String,
@@ -64,13 +65,18 @@ const scanHistorySchema = new mongoose.Schema(
         default: "",
       },
     },
+    // Barcode read from the front image (13 digits), links scans of the same product
+    barcode: {
+      type: String,
+      default: "",
+    },
     scanDate: {
       type: Date,
       default: Date.now,
     },
     analysisSource: {
       type: String,
-      enum: ["api", "mock"],
+      enum: ["api", "text", "mock"],
       default: "mock",
     },
     recommendations: [String],
@@ -88,5 +94,6 @@ const scanHistorySchema = new mongoose.Schema(
 // Index for efficient queries
 scanHistorySchema.index({ userId: 1, scanDate: -1 });
 scanHistorySchema.index({ userId: 1, safetyLevel: 1 });
+scanHistorySchema.index({ userId: 1, barcode: 1 });
 
 export default mongoose.model("ScanHistory", scanHistorySchema);
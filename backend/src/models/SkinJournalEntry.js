@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+const SKIN_TYPES = ["dry", "oily", "combination", "normal", "sensitive"];
+
+// One timeline item of a user's skin journal: either an automatic snapshot of a
+// skin profile change or a free-form entry written by the user.
+const skinJournalEntrySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["profile_change", "note"],
+      required: true,
+    },
+    entryDate: {
+      type: Date,
+      default: Date.now,
+    },
+    // profile_change: values after the change, and before it (empty on the first snapshot)
+    skinType: {
+      type: String,
+      enum: SKIN_TYPES,
+    },
+    concerns: [String],
+    previousSkinType: {
+      type: String,
+      enum: SKIN_TYPES,
+    },
+    previousConcerns: [String],
+    // note
+    notes: {
+      type: String,
+      default: "",
+      maxlength: 5000,
+    },
+    irritationLevel: {
+      type: Number,
+      min: 0,
+      max: 5,
+      default: null,
+    },
+    photo: {
+      type: String, // image storage key ("journal/<uuid>.jpg")
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+skinJournalEntrySchema.index({ userId: 1, entryDate: -1 });
+
+export default mongoose.model("SkinJournalEntry", skinJournalEntrySchema);
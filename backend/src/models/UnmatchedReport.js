@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// Label text the last analysis of a signed-in user could not match, with the names suggested
+// for it. Corrections are only accepted for these tokens.
+const unmatchedReportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    tokens: [
+      {
+        _id: false,
+        ocr_text: { type: String, required: true },
+        suggestions: [{ _id: false, name: String, score: Number }],
+      },
+    ],
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 }, // MongoDB TTL index for auto cleanup
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("UnmatchedReport", unmatchedReportSchema);
@@ -11,6 +11,23 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      unique: true,
+      sparse: true, // legacy profiles were created without an email
+    },
+    // bcrypt hash, never returned unless explicitly selected with "+passwordHash"
+    passwordHash: {
+      type: String,
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: ["user", "admin"],
+      default: "user",
+    },
     skinType: {
       type: String,
       required: true,
@@ -19,6 +36,12 @@ const userSchema = new mongoose.Schema(
     concerns: [String],
     latitude: { type: Number },
     longitude: { type: Number },
+    // Set while an account deletion is pending; the account is purged after this date
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+      index: true,
+    },
   },
   { timestamps: true }
 );
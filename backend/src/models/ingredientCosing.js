@@ -14,7 +14,21 @@ const ingredientCosingSchema = new mongoose.Schema({
     primary: { type: String, required: true },
     subtype: { type: String }
   }],
+  // Entries of the Cosmetics Regulation annexes: II prohibited, III restricted, IV colorants,
+  // V preservatives, VI UV filters (limits and conditions as worded in CosIng)
+  regulations: [{
+    annex: { type: String, enum: ["II", "III", "IV", "V", "VI"], required: true },
+    reference: { type: String, required: true },   // "III/98"
+    max_concentration: { type: String, default: "" },
+    product_type: { type: String, default: "" },
+    conditions: { type: String, default: "" },
+    warnings: { type: String, default: "" },
+    regulation: { type: String, default: "" }      // amending regulation, e.g. "(EU) 2019/1966"
+  }],
 
 }, { timestamps: true });
 
+// Lets the matcher index detect reseeds cheaply
+ingredientCosingSchema.index({ updatedAt: -1 });
+
 export default mongoose.model("IngredientCosing", ingredientCosingSchema);
\ No newline at end of file
@@ -1,5 +1,7 @@
 import express from "express";
 import ProductImage from "../models/ProductImage.js";
+import { requireAuth, requireRole } from "../middlewares/auth.middleware.js";
+import { getScanImageFile, getScanImageThumbnail, getJournalPhotoFile } from "../controllers/scanImage.controller.js";
 
 const router = express.Router();
 // In-memory cache for ultra-fast access (optional L1 cache)
@@ -207,8 +209,8 @@ router.get("/product-image", async (req, res) => {
   }
 });
 
-// Clear Pexels cache endpoint (for debugging/migration)
-router.delete("/clear-pexels-cache", async (req, res) => {
+// Clear Pexels cache endpoint (for debugging/migration, admin only)
+router.delete("/clear-pexels-cache", requireAuth, requireRole("admin"), async (req, res) => {
   try {
     const result = await ProductImage.deleteMany({ source: "pexels" });
     memoryCache.clear(); // Also clear memory cache
@@ -224,4 +226,10 @@ router.delete("/clear-pexels-cache", async (req, res) => {
   }
 });
 
+// Stored product images of analyses and scan history
+router.get("/images/scans/:file", getScanImageFile);
+router.get("/images/scans/:file/thumbnail", getScanImageThumbnail);
+// Skin journal photos
+router.get("/images/journal/:file", getJournalPhotoFile);
+
 export default router;
@@ -1,13 +1,39 @@
 import express from 'express';
 import multer from 'multer';
-import { productAnalyzeFromImages } from '../controllers/ingredient.controller.js';
+import { productAnalyzeFromImages, productAnalyzeFromText, submitIngredientCorrections, submitAnalysisJob, getAnalysisJobStatus, streamAnalysisJobEvents, searchIngredientNames, getIngredientDetails, checkIngredientInteractions } from '../controllers/ingredient.controller.js';
+import { requireAuth, optionalAuth } from '../middlewares/auth.middleware.js';
+import { TEMP_UPLOAD_DIR } from '../services/imageStorage.service.js';
 
 const router = express.Router();
-const upload = multer({ dest: 'uploads/' });
+const upload = multer({ dest: TEMP_UPLOAD_DIR });
+// Several back images for labels that don't fit in one shot
+const MAX_BACK_IMAGES = 6;
 
-router.post('/upload', upload.fields([
+const labelImages = upload.fields([
   { name: 'frontImage', maxCount: 1 },
-  { name: 'backImage', maxCount: 1 }
-]), productAnalyzeFromImages);
+  { name: 'backImage', maxCount: MAX_BACK_IMAGES }
+]);
+
+// Analyses are open to everyone; signed-in callers get their own corrections applied
+// and can correct what was left unmatched
+router.post('/upload', optionalAuth, labelImages, productAnalyzeFromImages);
+
+router.post('/text', optionalAuth, productAnalyzeFromText);
+
+// Same analyses run in the background: submit, then poll the job or stream its events.
+// Reading a job needs no token (EventSource can't send one): the random job id is the credential.
+router.post('/jobs', optionalAuth, labelImages, submitAnalysisJob);
+router.get('/jobs/:jobId', getAnalysisJobStatus);
+router.get('/jobs/:jobId/events', streamAnalysisJobEvents);
+
+// Corrections are tied to the user's latest analysis, so only signed-in users can add them
+router.post('/corrections', requireAuth, submitIngredientCorrections);
+
+// Conflicts between any set of ingredients, e.g. products used together
+router.post('/interactions', checkIngredientInteractions);
+
+// Lookup without scanning a product; /:name stays last so it doesn't shadow the routes above
+router.get('/search', searchIngredientNames);
+router.get('/:name', getIngredientDetails);
 
 export default router;
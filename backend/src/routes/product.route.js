@@ -1,16 +1,18 @@
 import express from "express";
-import { addProduct, addProductThumbnail, listProducts, addProductUrl, getProductById, deleteProductById, getProductsByUVIndex, getProductsByUserSkinType, getProductPriceRanges } from "../controllers/product.controller.js";
+import { addProduct, addProductThumbnail, listProducts, addProductUrl, addProductBarcode, getProductById, deleteProductById, getProductsByUVIndex, getProductsByUserSkinType, getProductPriceRanges } from "../controllers/product.controller.js";
+import { requireAuth, requireRole } from "../middlewares/auth.middleware.js";
 
 const router = express.Router();
 
-router.post('/', addProduct);
+router.post('/', requireAuth, requireRole('admin'), addProduct);
 router.get('/price-ranges', getProductPriceRanges);
 router.get('/skin-type', getProductsByUserSkinType);
 router.get('/uv', getProductsByUVIndex);
 router.put('/:id', addProductThumbnail);
 router.put('/:id', addProductUrl);
+router.put('/:id/barcode', requireAuth, requireRole('admin'), addProductBarcode);
 router.get('/:id', getProductById);
-router.delete('/:id', deleteProductById);
+router.delete('/:id', requireAuth, requireRole('admin'), deleteProductById);
 router.get('/', listProducts);
 
 export default router;
\ No newline at end of file
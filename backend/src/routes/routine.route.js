@@ -10,6 +10,7 @@ import {
   getRoutinesByProductPriceRange,
   getPriceRanges
 } from "../controllers/routine.controller.js";
+import { requireAuth, requireRole } from "../middlewares/auth.middleware.js";
 
 const router = express.Router();
 
@@ -20,6 +21,6 @@ router.get('/price', getRoutineByPrice);
 router.get('/price-range', getRoutinesByPriceRange);
 router.get('/products/price-range', getRoutinesByProductPriceRange);
 router.get('/price-ranges', getPriceRanges);
-router.delete('/:id', deleteRoutineById);
+router.delete('/:id', requireAuth, requireRole('admin'), deleteRoutineById);
 
 export default router;
\ No newline at end of file
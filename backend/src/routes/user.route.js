@@ -14,31 +14,116 @@ import {
   getScanHistoryStats,
   deleteScanHistory,
   deleteMultipleScanHistory,
+  exportUserData,
+  restoreUser,
 } from "../controllers/user.controller.js";
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  getCurrentUser,
+} from "../controllers/auth.controller.js";
+import {
+  getJournal,
+  createJournalEntry,
+  updateJournalEntry,
+  deleteJournalEntry,
+} from "../controllers/skinJournal.controller.js";
+import {
+  requireAuth,
+  requireRole,
+  requireSelf,
+  requireOwnership,
+} from "../middlewares/auth.middleware.js";
+import SavedRoutine from "../models/SavedRoutine.js";
 
 const router = express.Router();
 
 // Specific routes FIRST (before generic /:id routes)
+// Authentication routes
+router.post("/register", register);
+router.post("/login", login);
+router.post("/refresh", refresh);
+router.post("/logout", logout);
+router.post("/logout-all", requireAuth, logoutAll);
+router.get("/me", requireAuth, getCurrentUser);
+
+// Everything below acts on a user's own data and needs a session
+const selfByParam = (param) => requireSelf((req) => req.params[param]);
+const selfByUsername = (select) => requireSelf(select, "username");
+
 // New user management routes
-router.post("/profile", createOrUpdateUser);
-router.get("/username/:username", getUserByUsername);
+router.post(
+  "/profile",
+  requireAuth,
+  selfByUsername((req) => req.body.username),
+  createOrUpdateUser
+);
+router.get(
+  "/username/:username",
+  requireAuth,
+  selfByUsername((req) => req.params.username),
+  getUserByUsername
+);
 
 // Routine management routes
-router.post("/routines", saveRoutine);
-router.delete("/routines/:routineId", deleteSavedRoutine);
-router.delete("/routines", deleteMultipleRoutines);
-router.get("/:userId/routines", getSavedRoutines);
+router.post("/routines", requireAuth, saveRoutine);
+router.delete(
+  "/routines/:routineId",
+  requireAuth,
+  requireOwnership(SavedRoutine, "routineId"),
+  deleteSavedRoutine
+);
+router.delete("/routines", requireAuth, deleteMultipleRoutines);
+router.get("/:userId/routines", requireAuth, selfByParam("userId"), getSavedRoutines);
 
 // Scan history routes
-router.post("/scan-history", saveScanHistory);
-router.get("/:userId/scan-history", getScanHistory);
-router.get("/:userId/scan-history/stats", getScanHistoryStats);
-router.delete("/:userId/scan-history/:scanId", deleteScanHistory);
-router.delete("/:userId/scan-history", deleteMultipleScanHistory);
+router.post("/scan-history", requireAuth, saveScanHistory);
+router.get("/:userId/scan-history", requireAuth, selfByParam("userId"), getScanHistory);
+router.get(
+  "/:userId/scan-history/stats",
+  requireAuth,
+  selfByParam("userId"),
+  getScanHistoryStats
+);
+router.delete(
+  "/:userId/scan-history/:scanId",
+  requireAuth,
+  selfByParam("userId"),
+  deleteScanHistory
+);
+router.delete(
+  "/:userId/scan-history",
+  requireAuth,
+  selfByParam("userId"),
+  deleteMultipleScanHistory
+);
+
+// Skin journal routes (profile change history + notes)
+router.get("/:id/journal", requireAuth, selfByParam("id"), getJournal);
+router.post("/:id/journal", requireAuth, selfByParam("id"), createJournalEntry);
+router.put(
+  "/:id/journal/:entryId",
+  requireAuth,
+  selfByParam("id"),
+  updateJournalEntry
+);
+router.delete(
+  "/:id/journal/:entryId",
+  requireAuth,
+  selfByParam("id"),
+  deleteJournalEntry
+);
+
+// Data export (JSON + CSV + images in one ZIP) and deletion undo
+router.get("/:id/export", requireAuth, selfByParam("id"), exportUserData);
+router.post("/:id/restore", requireAuth, selfByParam("id"), restoreUser);
 
 // Generic CRUD routes LAST (after specific routes)
-router.post("/", createUser);
-router.get("/:id", getUser);
-router.delete("/:id", deleteUser);
+router.post("/", requireAuth, requireRole("admin"), createUser);
+router.get("/:id", requireAuth, selfByParam("id"), getUser);
+router.delete("/:id", requireAuth, selfByParam("id"), deleteUser);
 
 export default router;
@@ -0,0 +1,127 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import csvParser from 'csv-parser';
+import mongoose from 'mongoose';
+import IngredientCosing from '../models/ingredientCosing.js';
+import { cleanAndSplitIngredients, matchIngredientsWithScores } from '../utils/ocrLogic.js';
+import { buildTrigramIndex } from '../utils/trigramIndex.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+// MongoDB connection
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/skincare-app';
+
+const PRODUCTS_CSV = path.join(__dirname, '../../seedData/cosmetic_p.csv');
+const MATCH_THRESHOLD = 85;
+const LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Parse --key value arguments
+ */
+function parseArgs(argv) {
+  const args = { lists: 50, typos: 1, names: null };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i]?.replace(/^--/, '');
+    if (key in args) args[key] = key === 'names' ? argv[i + 1] : parseInt(argv[i + 1], 10);
+  }
+  return args;
+}
+
+async function readCsv(filePath) {
+  const rows = [];
+  const stream = fs.createReadStream(filePath).pipe(csvParser());
+  for await (const row of stream) rows.push(row);
+  return rows;
+}
+
+/**
+ * CosIng names from the database, or from a CosIng CSV export ("INCI name" column)
+ */
+async function loadCosingNames(namesCsv) {
+  if (namesCsv) {
+    const rows = await readCsv(path.resolve(namesCsv));
+    return rows.map(row => row['INCI name']?.trim()).filter(Boolean);
+  }
+  await mongoose.connect(MONGODB_URI);
+  const docs = await IngredientCosing.find({}, 'inci_name').lean();
+  return docs.map(d => d.inci_name).filter(Boolean);
+}
+
+/**
+ * Real ingredient lists with deterministic OCR-like letter substitutions
+ */
+async function buildTokens(listCount, typos) {
+  const rows = await readCsv(PRODUCTS_CSV);
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  const tokens = [];
+  for (const row of rows.slice(0, listCount)) {
+    for (const token of cleanAndSplitIngredients(row.ingredients)) {
+      const chars = token.split('');
+      for (let n = 0; n < typos; n++) {
+        chars[Math.floor(random() * chars.length)] = LETTERS[Math.floor(random() * LETTERS.length)];
+      }
+      tokens.push(chars.join(''));
+    }
+  }
+  return tokens;
+}
+
+async function time(fn) {
+  const startedAt = process.hrtime.bigint();
+  const result = await fn();
+  return { result, ms: Number(process.hrtime.bigint() - startedAt) / 1e6 };
+}
+
+/**
+ * Compares the full-scan fuzzy matcher with the trigram-indexed one on the same tokens.
+ * Usage: node src/scripts/benchmarkIngredientMatcher.js [--lists 50] [--typos 1] [--names cosing.csv]
+ */
+async function benchmarkIngredientMatcher() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const names = await loadCosingNames(args.names);
+    const tokens = await buildTokens(args.lists, args.typos);
+    console.log(`Matching ${tokens.length} tokens (${args.typos} typo(s) each) against ${names.length} names\n`);
+
+    const build = await time(() => buildTrigramIndex(names));
+    const indexed = await time(() => matchIngredientsWithScores(tokens, build.result, MATCH_THRESHOLD));
+    const fullScan = await time(() => matchIngredientsWithScores(tokens, names, MATCH_THRESHOLD));
+
+    console.log(`Index build:  ${build.ms.toFixed(0)}ms (once per CosIng change)`);
+    console.log(`Full scan:    ${fullScan.ms.toFixed(0)}ms (${(fullScan.ms / tokens.length).toFixed(2)}ms/token)`);
+    console.log(`Indexed:      ${indexed.ms.toFixed(0)}ms (${(indexed.ms / tokens.length).toFixed(2)}ms/token)`);
+    console.log(`Speedup:      ${(fullScan.ms / indexed.ms).toFixed(1)}x`);
+
+    const key = (m) => `${m.name}\u0000${m.token}\u0000${m.score}`;
+    const indexedKeys = new Set(indexed.result.map(key));
+    const fullKeys = new Set(fullScan.result.map(key));
+    const missing = fullScan.result.filter(m => !indexedKeys.has(key(m)));
+    const extra = indexed.result.filter(m => !fullKeys.has(key(m)));
+
+    if (missing.length === 0 && extra.length === 0) {
+      console.log(`\n✓ Same ${fullScan.result.length} matches as the full scan`);
+    } else {
+      console.log(`\n✗ Results differ: ${missing.length} missing, ${extra.length} extra`);
+      missing.slice(0, 10).forEach(m => console.log(`  missing: "${m.token}" → ${m.name} (${m.score})`));
+      extra.slice(0, 10).forEach(m => console.log(`  extra:   "${m.token}" → ${m.name} (${m.score})`));
+      process.exitCode = 1;
+    }
+  }
+  catch (error) {
+    console.error('Benchmark failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+benchmarkIngredientMatcher();
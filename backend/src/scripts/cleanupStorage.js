@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { runStorageRetention } from "../services/storageRetention.service.js";
+
+dotenv.config();
+
+// Removes leftover temporary uploads and stored images no scan history references.
+// Meant to be run periodically (cron / cloud scheduler) on serverless deployments.
+const cleanupStorage = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/skincare-app"
+    );
+    console.log("Connected to MongoDB");
+
+    const { tempFiles, orphanedImages, orphanedJournalPhotos } = await runStorageRetention();
+    console.log(
+      `Removed ${tempFiles} temp file(s), ${orphanedImages} orphaned image(s) ` +
+      `and ${orphanedJournalPhotos} orphaned journal photo(s)`
+    );
+  } catch (error) {
+    console.error("Error cleaning up storage:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+cleanupStorage();
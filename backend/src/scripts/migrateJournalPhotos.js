@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import SkinJournalEntry from "../models/SkinJournalEntry.js";
+import { storeJournalPhoto } from "../services/imageStorage.service.js";
+
+dotenv.config();
+
+// Moves base64 data URLs stored in SkinJournalEntry.photo to the configured
+// storage and replaces them with photo keys. Safe to re-run.
+const migrateJournalPhotos = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/skincare-app"
+    );
+    console.log("Connected to MongoDB");
+
+    const cursor = SkinJournalEntry.find({ photo: /^data:/ }, "photo").lean().cursor();
+
+    let migrated = 0;
+    let failed = 0;
+    for await (const entry of cursor) {
+      try {
+        const key = await storeJournalPhoto(entry.photo);
+        await SkinJournalEntry.updateOne({ _id: entry._id }, { $set: { photo: key } });
+        migrated += 1;
+      } catch (error) {
+        console.error(`Journal entry ${entry._id}: ${error.message}`);
+        failed += 1;
+      }
+    }
+    console.log(`Migrated ${migrated} journal photo(s), ${failed} failed`);
+    if (failed > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error("Error migrating journal photos:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrateJournalPhotos();
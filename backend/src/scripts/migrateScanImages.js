@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import ScanHistory from "../models/ScanHistory.js";
+import { resolveScanImageReference } from "../services/imageStorage.service.js";
+
+dotenv.config();
+
+// Moves base64 data URLs stored in ScanHistory.productImages to the configured
+// storage and replaces them with image keys. Safe to re-run.
+const migrateScanImages = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/skincare-app"
+    );
+    console.log("Connected to MongoDB");
+
+    const cursor = ScanHistory.find(
+      {
+        $or: [
+          { "productImages.front": /^data:/ },
+          { "productImages.back": /^data:/ },
+        ],
+      },
+      "productImages"
+    ).lean().cursor();
+
+    let migrated = 0;
+    let failed = 0;
+    for await (const scan of cursor) {
+      const update = {};
+      for (const side of ["front", "back"]) {
+        const source = scan.productImages?.[side];
+        if (!source?.startsWith("data:")) continue;
+        try {
+          update[`productImages.${side}`] = await resolveScanImageReference(source);
+        } catch (error) {
+          console.error(`Scan ${scan._id} (${side}): ${error.message}`);
+          failed += 1;
+        }
+      }
+      if (Object.keys(update).length > 0) {
+        await ScanHistory.updateOne({ _id: scan._id }, { $set: update });
+        migrated += 1;
+      }
+    }
+    console.log(`Migrated images of ${migrated} scan(s), ${failed} image(s) failed`);
+    if (failed > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error("Error migrating scan images:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrateScanImages();
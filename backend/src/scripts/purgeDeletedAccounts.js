@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { purgeDueAccounts } from "../services/accountDeletion.service.js";
+
+dotenv.config();
+
+// Removes every account whose deletion grace period has ended.
+// Meant to be run periodically (cron / cloud scheduler).
+const purgeDeletedAccounts = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/skincare-app"
+    );
+    console.log("Connected to MongoDB");
+
+    const reports = await purgeDueAccounts();
+    console.log(`Purged ${reports.length} account(s)`);
+  } catch (error) {
+    console.error("Error purging deleted accounts:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+purgeDeletedAccounts();
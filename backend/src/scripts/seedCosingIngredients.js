@@ -3,6 +3,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import csvParser from 'csv-parser';
+import { parse } from 'csv-parse/sync';
 import mongoose from 'mongoose';
 import IngredientCosing from '../models/ingredientCosing.js';
 import { parseAndGroupFunctions } from "./../utils/parseAndGroupFunctions.js";
@@ -52,6 +53,104 @@ function normalizeInciForSearch(inci) {
   return inci.trim().toLowerCase().replace(/\s+/g, ' ');
 }
 
+// CosIng annex exports, next to the ingredient export; missing files are skipped
+const ANNEX_FILES = {
+  II: 'cosing_annex_ii.csv',
+  III: 'cosing_annex_iii.csv',
+  IV: 'cosing_annex_iv.csv',
+  V: 'cosing_annex_v.csv',
+  VI: 'cosing_annex_vi.csv'
+};
+
+const cleanCell = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+// "III/98", "iii / 98" or "98" in the Annex III file → "III/98"
+function normalizeAnnexReference(reference, annex) {
+  const match = cleanCell(reference).replace(/\s*\/\s*/, '/').match(/^(?:(II|III|IV|V|VI)\/)?(\S+)$/i);
+  if (!match) return null;
+  return `${(match[1] || annex).toUpperCase()}/${match[2]}`;
+}
+
+// Annex exports start with a few title lines; the table begins at the "Reference Number" header
+function readAnnexRows(filePath) {
+  const records = parse(fs.readFileSync(filePath), { bom: true, relax_column_count: true, relax_quotes: true });
+  const headerIndex = records.findIndex(record => cleanCell(record[0]).toLowerCase() === 'reference number');
+  if (headerIndex === -1) throw new Error(`No "Reference Number" header in ${filePath}`);
+  const headers = records[headerIndex].map(header => cleanCell(header).toLowerCase());
+  return records.slice(headerIndex + 1).map(record => {
+    // Column names differ slightly between annexes, so columns are found by their start
+    // ("Other" alone is exact: Annex II has "Other Directives/Regulations" instead)
+    const column = (start, exact = false) => {
+      const name = start.toLowerCase();
+      const index = headers.findIndex(header => (exact ? header === name : header.startsWith(name)));
+      return index === -1 ? '' : record[index];
+    };
+    return column;
+  });
+}
+
+/**
+ * Reads the annex exports into entries by reference ("III/98") and by the INCI names they list
+ * @param {string} dataDir
+ * @returns {{byReference: Map<string, Object>, byName: Map<string, Array<Object>>}}
+ */
+function loadAnnexIndex(dataDir) {
+  const byReference = new Map();
+  const byName = new Map();
+
+  for (const [annex, fileName] of Object.entries(ANNEX_FILES)) {
+    const filePath = path.join(dataDir, fileName);
+    if (!fs.existsSync(filePath)) {
+      console.warn(`Annex ${annex} file not found at ${filePath}, skipping`);
+      continue;
+    }
+
+    let count = 0;
+    for (const column of readAnnexRows(filePath)) {
+      const reference = normalizeAnnexReference(column('Reference Number'), annex);
+      if (!reference) continue;
+
+      const entry = {
+        annex,
+        reference,
+        max_concentration: cleanCell(column('Maximum concentration')),
+        product_type: cleanCell(column('Product Type')),
+        conditions: cleanCell(column('Other', true)),
+        warnings: cleanCell(column('Wording of conditions')),
+        regulation: cleanCell(column('Regulation'))
+      };
+      byReference.set(reference, entry);
+      count++;
+
+      // INCI names are listed one per line or separated by ";" or ", "
+      const names = [column('Name of Common Ingredients Glossary'), column('Identified INGREDIENTS')]
+        .flatMap(cell => (cell || '').split(/\r?\n|;|,\s+/))
+        .map(normalizeInciForSearch)
+        .filter(Boolean);
+      for (const name of new Set(names)) {
+        if (!byName.has(name)) byName.set(name, []);
+        byName.get(name).push(entry);
+      }
+    }
+    console.log(`Loaded ${count} Annex ${annex} entries from ${filePath}`);
+  }
+  return { byReference, byName };
+}
+
+// Annex entries of an ingredient: references in the export's "Restriction" column and entries naming it
+function findRegulations(row, inciNormalized, annexIndex) {
+  const references = (row['Restriction'] || '')
+    .split(/[,;\s]+/)
+    .map(reference => /^(II|III|IV|V|VI)\/\S+$/i.test(reference) ? normalizeAnnexReference(reference) : null)
+    .filter(Boolean);
+  const entries = [
+    ...references.map(reference => annexIndex.byReference.get(reference) || { annex: reference.split('/')[0], reference }),
+    ...(annexIndex.byName.get(inciNormalized) || [])
+  ];
+  const seen = new Set();
+  return entries.filter(entry => !seen.has(entry.reference) && seen.add(entry.reference));
+}
+
 /**
  * Seed COSING ingredients from CSV file
  */
@@ -68,15 +167,20 @@ async function seedCosingIngredients() {
     console.log('Existing data cleared');
 
     // Path to CSV file
-    const csvFilePath = path.join(__dirname, '../../data/cosing_ingredients.csv');
+    const dataDir = path.join(__dirname, '../../data');
+    const csvFilePath = path.join(dataDir, 'cosing_ingredients.csv');
     
     if (!fs.existsSync(csvFilePath)) {
       throw new Error(`CSV file not found at: ${csvFilePath}`);
     }
 
+    // Regulatory data (Annex II-VI) is attached to each ingredient
+    const annexIndex = loadAnnexIndex(dataDir);
+
     console.log(`Reading CSV file from: ${csvFilePath}`);
 
     const ingredients = [];
+    let regulatedCount = 0;
     const errors = [];
     let lineNumber = 0;
 
@@ -96,11 +200,14 @@ async function seedCosingIngredients() {
           continue;
         }
 
+        const inciNormalized = normalizeInciForSearch(inciName);
         const ingredient = {
             inci_name: normalizeInciDisplayName(inciName),     // user-facing
-            inci_normalized: normalizeInciForSearch(inciName), // lowercase + search-friendly
-            functions: parseAndGroupFunctions(row["Function"])         // nice title case
+            inci_normalized: inciNormalized,                   // lowercase + search-friendly
+            functions: parseAndGroupFunctions(row["Function"]),        // nice title case
+            regulations: findRegulations(row, inciNormalized, annexIndex)
         };
+        if (ingredient.regulations.length > 0) regulatedCount++;
 
         ingredients.push(ingredient);
 
@@ -132,6 +239,7 @@ async function seedCosingIngredients() {
     console.log('\n=== Seeding Complete ===');
     console.log(`Total ingredients in database: ${totalCount}`);
     console.log(`Total lines processed: ${lineNumber}`);
+    console.log(`Ingredients with Annex II-VI entries: ${regulatedCount}`);
     console.log(`Errors encountered: ${errors.length}`);
 
     if (errors.length > 0 && errors.length <= 10) {
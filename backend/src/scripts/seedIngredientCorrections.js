@@ -0,0 +1,110 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import csvParser from 'csv-parser';
+import mongoose from 'mongoose';
+import IngredientCorrection from '../models/IngredientCorrection.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+// MongoDB connection
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/skincare-app';
+
+/**
+ * Seed the OCR corrections applied before ingredient splitting from CSV (columns: pattern, replacement).
+ * Rows are upserted by pattern in file order, which is the order they are applied in, and apply
+ * to every analysis; corrections accepted by users are kept.
+ * Usage: node src/scripts/seedIngredientCorrections.js [path/to/file.csv]
+ */
+async function seedIngredientCorrections() {
+  try {
+    // Connect to MongoDB
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Path to CSV file
+    const csvFilePath = process.argv[2]
+      ? path.resolve(process.argv[2])
+      : path.join(__dirname, '../../seedData/ingredient_corrections.csv');
+
+    if (!fs.existsSync(csvFilePath)) {
+      throw new Error(`CSV file not found at: ${csvFilePath}`);
+    }
+
+    console.log(`Reading CSV file from: ${csvFilePath}`);
+
+    const operations = [];
+    const errors = [];
+    let lineNumber = 0;
+
+    const stream = fs.createReadStream(csvFilePath)
+      .pipe(csvParser());
+
+    for await (const row of stream) {
+      lineNumber++;
+
+      const pattern = row.pattern?.trim();
+      const replacement = row.replacement?.trim();
+      if (!pattern || !replacement) {
+        errors.push({ line: lineNumber, error: 'Missing pattern or replacement' });
+        continue;
+      }
+      try {
+        new RegExp(pattern, 'giu');
+      } catch (error) {
+        errors.push({ line: lineNumber, error: `Invalid pattern: ${error.message}` });
+        continue;
+      }
+
+      // Seeded corrections apply to every analysis from the start; a changed replacement counts as
+      // newly global, so cached analyses read with the old one are dropped
+      operations.push({
+        updateOne: {
+          filter: { pattern, created_by: null },
+          update: [{
+            $set: {
+              replacement: { $literal: replacement },
+              global_since: {
+                $cond: [{ $eq: ['$replacement', { $literal: replacement }] }, { $ifNull: ['$global_since', '$$NOW'] }, '$$NOW']
+              }
+            }
+          }],
+          upsert: true
+        }
+      });
+    }
+
+    console.log(`Parsed ${operations.length} corrections from CSV`);
+
+    // Corrections used to be unique by pattern; users may now propose other replacements
+    await IngredientCorrection.syncIndexes();
+
+    if (operations.length > 0) {
+      const result = await IngredientCorrection.bulkWrite(operations, { ordered: true });
+      console.log(`✓ Inserted ${result.upsertedCount}, updated ${result.modifiedCount} corrections`);
+    }
+
+    const totalCount = await IngredientCorrection.countDocuments();
+
+    console.log('\n=== Seeding Complete ===');
+    console.log(`Total corrections in database: ${totalCount}`);
+    console.log(`Errors encountered: ${errors.length}`);
+    errors.slice(0, 10).forEach(err => {
+      console.log(`  Line ${err.line}: ${err.error}`);
+    });
+  }
+  catch (error) {
+    console.error('Fatal error during seeding:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+// Run the seed function
+seedIngredientCorrections();
@@ -0,0 +1,93 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import csvParser from 'csv-parser';
+import mongoose from 'mongoose';
+import IngredientKorean from '../models/IngredientKorean.js';
+import { normalizeKoreanName } from '../services/koreanInci.service.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+// MongoDB connection
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/skincare-app';
+
+/**
+ * Seed the Korean name → INCI mapping from CSV (columns: korean_name, inci_name).
+ * Rows are upserted by normalized Korean name, so the script can be re-run after editing the CSV.
+ * Usage: node src/scripts/seedKoreanIngredients.js [path/to/file.csv]
+ */
+async function seedKoreanIngredients() {
+  try {
+    // Connect to MongoDB
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Path to CSV file
+    const csvFilePath = process.argv[2]
+      ? path.resolve(process.argv[2])
+      : path.join(__dirname, '../../seedData/korean_inci.csv');
+
+    if (!fs.existsSync(csvFilePath)) {
+      throw new Error(`CSV file not found at: ${csvFilePath}`);
+    }
+
+    console.log(`Reading CSV file from: ${csvFilePath}`);
+
+    const operations = [];
+    const errors = [];
+    let lineNumber = 0;
+
+    const stream = fs.createReadStream(csvFilePath)
+      .pipe(csvParser());
+
+    for await (const row of stream) {
+      lineNumber++;
+
+      const koreanName = row.korean_name?.trim();
+      const inciName = row.inci_name?.trim().replace(/\s+/g, ' ');
+      if (!koreanName || !inciName) {
+        errors.push({ line: lineNumber, error: 'Missing korean_name or inci_name' });
+        continue;
+      }
+
+      const koreanNormalized = normalizeKoreanName(koreanName);
+      operations.push({
+        updateOne: {
+          filter: { korean_normalized: koreanNormalized },
+          update: { $set: { korean_name: koreanName, korean_normalized: koreanNormalized, inci_name: inciName } },
+          upsert: true
+        }
+      });
+    }
+
+    console.log(`Parsed ${operations.length} mappings from CSV`);
+
+    if (operations.length > 0) {
+      const result = await IngredientKorean.bulkWrite(operations, { ordered: false });
+      console.log(`✓ Inserted ${result.upsertedCount}, updated ${result.modifiedCount} mappings`);
+    }
+
+    const totalCount = await IngredientKorean.countDocuments();
+
+    console.log('\n=== Seeding Complete ===');
+    console.log(`Total mappings in database: ${totalCount}`);
+    console.log(`Errors encountered: ${errors.length}`);
+    errors.slice(0, 10).forEach(err => {
+      console.log(`  Line ${err.line}: ${err.error}`);
+    });
+  }
+  catch (error) {
+    console.error('Fatal error during seeding:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+// Run the seed function
+seedKoreanIngredients();
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Usage: node src/scripts/setUserRole.js <username> <user|admin>
+const setUserRole = async () => {
+  const [username, role] = process.argv.slice(2);
+  const allowedRoles = User.schema.path("role").enumValues;
+
+  if (!username || !allowedRoles.includes(role)) {
+    console.error(
+      `Usage: node src/scripts/setUserRole.js <username> <${allowedRoles.join("|")}>`
+    );
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/skincare-app"
+    );
+    console.log("Connected to MongoDB");
+
+    const user = await User.findOneAndUpdate(
+      { username },
+      { $set: { role } },
+      { new: true }
+    );
+
+    if (!user) {
+      console.error(`User not found: ${username}`);
+    } else {
+      // Roles are carried in the access token, so the change applies on next login/refresh
+      console.log(`Set role of ${user.username} to ${user.role}`);
+    }
+  } catch (error) {
+    console.error("Error setting user role:", error);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+setUserRole();
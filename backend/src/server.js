@@ -17,6 +17,9 @@ import routineRoutes from "./routes/routine.route.js";
 import ingredientRoutes from "./routes/ingredient.route.js";
 import chatbotRoutes from "./routes/chatbot.route.js";
 import imageRoutes from "./routes/image.route.js";
+import { purgeDueAccounts } from "./services/accountDeletion.service.js";
+import { getCosingIngredientIndex } from "./services/ingredientIndex.service.js";
+import { runStorageRetention } from "./services/storageRetention.service.js";
 
 const app = express();
 
@@ -118,6 +121,27 @@ const PORT = process.env.PORT || 5731;
 
 if (process.env.NODE_ENV !== "production" || process.env.START_SERVER === "true") {
   app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+  // Build the ingredient matcher index up front instead of on the first analysis
+  getCosingIngredientIndex().catch((err) =>
+    console.error("Ingredient index build failed:", err.message)
+  );
+
+  // Purge accounts whose deletion grace period has ended (hourly).
+  // Serverless deployments run src/scripts/purgeDeletedAccounts.js from a scheduler instead.
+  setInterval(() => {
+    purgeDueAccounts().catch((err) =>
+      console.error("Account purge job failed:", err.message)
+    );
+  }, 60 * 60 * 1000).unref();
+
+  // Remove leftover uploads and stored images no scan or journal entry references (hourly).
+  // Serverless deployments run src/scripts/cleanupStorage.js from a scheduler instead.
+  setInterval(() => {
+    runStorageRetention().catch((err) =>
+      console.error("Storage retention job failed:", err.message)
+    );
+  }, 60 * 60 * 1000).unref();
 }
 
 // Export for Cloud Functions
@@ -0,0 +1,187 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import SavedRoutine from "../models/SavedRoutine.js";
+import ScanHistory from "../models/ScanHistory.js";
+import RefreshToken from "../models/RefreshToken.js";
+import SkinJournalEntry from "../models/SkinJournalEntry.js";
+import IngredientCorrection from "../models/IngredientCorrection.js";
+import UnmatchedReport from "../models/UnmatchedReport.js";
+import {
+  isScanImageKey,
+  deleteScanImage,
+  isJournalPhotoKey,
+  deleteJournalPhoto,
+} from "./imageStorage.service.js";
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || "7", 10);
+
+// OCR corrections the user created or accepted; they stay in use, only the link to the user goes
+const correctionsOf = (userId) => ({ $or: [{ created_by: userId }, { accepted_by: userId }] });
+
+/**
+ * Counts what a purge of the user would remove, without touching anything
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} Counts per collection; ingredientCorrections are kept but anonymized
+ */
+export async function previewAccountDeletion(userId) {
+  const [savedRoutines, scanHistory, scanImages, journalEntries, sessions, ingredientCorrections] =
+    await Promise.all([
+      SavedRoutine.countDocuments({ userId }),
+      ScanHistory.countDocuments({ userId }),
+      countScanImages(userId),
+      SkinJournalEntry.countDocuments({ userId }),
+      RefreshToken.countDocuments({ userId }),
+      IngredientCorrection.countDocuments(correctionsOf(userId)),
+    ]);
+  return { user: 1, savedRoutines, scanHistory, scanImages, journalEntries, sessions, ingredientCorrections };
+}
+
+async function countScanImages(userId, session = null) {
+  const scans = await ScanHistory.find({ userId }, "productImages")
+    .session(session)
+    .lean();
+  return scans.reduce(
+    (sum, scan) =>
+      sum + ["front", "back"].filter((side) => scan.productImages?.[side]).length,
+    0
+  );
+}
+
+/**
+ * Marks the account for deletion after the grace period
+ * @param {string} userId - User id
+ * @returns {Promise<Object|null>} Updated user, or null when it does not exist
+ */
+export async function scheduleAccountDeletion(userId) {
+  const scheduledFor = new Date();
+  scheduledFor.setDate(scheduledFor.getDate() + DELETION_GRACE_DAYS);
+  return User.findByIdAndUpdate(
+    userId,
+    { $set: { deletionScheduledFor: scheduledFor } },
+    { new: true }
+  );
+}
+
+/**
+ * Cancels a pending deletion
+ * @param {string} userId - User id
+ * @returns {Promise<Object|null>} Updated user, or null when it does not exist
+ */
+export async function cancelAccountDeletion(userId) {
+  return User.findByIdAndUpdate(
+    userId,
+    { $set: { deletionScheduledFor: null } },
+    { new: true }
+  );
+}
+
+async function removeUserData(userId, session) {
+  // Scan images are referenced by the scan documents, so count them before removal
+  const scanImages = await countScanImages(userId, session);
+  // Sequential on purpose: operations inside one transaction must not run in parallel
+  const routines = await SavedRoutine.deleteMany({ userId }, { session });
+  const scans = await ScanHistory.deleteMany({ userId }, { session });
+  const journal = await SkinJournalEntry.deleteMany({ userId }, { session });
+  const tokens = await RefreshToken.deleteMany({ userId }, { session });
+  // Pending correction candidates expire on their own; nothing worth reporting
+  await UnmatchedReport.deleteMany({ userId }, { session });
+  // Corrections stay in use; accepted_count keeps counting the user (pipeline values are not cast)
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+  const corrections = await IngredientCorrection.updateMany(
+    correctionsOf(userId),
+    [{
+      $set: {
+        created_by: { $cond: [{ $eq: ["$created_by", userObjectId] }, null, "$created_by"] },
+        accepted_by: { $filter: { input: "$accepted_by", cond: { $ne: ["$$this", userObjectId] } } },
+      },
+    }],
+    { session }
+  );
+  // The user document goes last so an interrupted purge can simply be re-run
+  const user = await User.deleteOne({ _id: userId }, { session });
+
+  return {
+    user: user.deletedCount,
+    savedRoutines: routines.deletedCount,
+    scanHistory: scans.deletedCount,
+    scanImages,
+    journalEntries: journal.deletedCount,
+    sessions: tokens.deletedCount,
+    ingredientCorrections: corrections.modifiedCount,
+  };
+}
+
+/**
+ * Removes the user and everything owned by them.
+ * Runs in a MongoDB transaction when the deployment supports it (replica set / Atlas);
+ * on a standalone server it falls back to ordered deletes that are safe to retry.
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} Report of removed documents per collection
+ */
+export async function purgeUserAccount(userId) {
+  const storedImageKeys = await listStoredScanImageKeys(userId);
+  const journalPhotoKeys = await listJournalPhotoKeys(userId);
+  const session = await mongoose.startSession();
+  let report;
+  try {
+    await session.withTransaction(async () => {
+      report = await removeUserData(userId, session);
+    });
+    report = { ...report, transactional: true };
+  } catch (error) {
+    // Code 20 / IllegalOperation: transactions need a replica set
+    if (error.code !== 20 && !/Transaction numbers are only allowed/i.test(error.message)) {
+      throw error;
+    }
+    report = { ...(await removeUserData(userId, null)), transactional: false };
+  } finally {
+    await session.endSession();
+  }
+  // Storage is outside the transaction; photos missed here are removed by the storage retention job
+  await Promise.all(storedImageKeys.map((key) =>
+    deleteScanImage(key).catch((err) =>
+      console.error(`Failed to delete scan image ${key}:`, err.message)
+    )
+  ));
+  await Promise.all(journalPhotoKeys.map((key) =>
+    deleteJournalPhoto(key).catch((err) =>
+      console.error(`Failed to delete journal photo ${key}:`, err.message)
+    )
+  ));
+  return report;
+}
+
+async function listStoredScanImageKeys(userId) {
+  const scans = await ScanHistory.find({ userId }, "productImages").lean();
+  return scans
+    .flatMap((scan) => [scan.productImages?.front, scan.productImages?.back])
+    .filter(isScanImageKey);
+}
+
+async function listJournalPhotoKeys(userId) {
+  const entries = await SkinJournalEntry.find({ userId, photo: { $ne: "" } }, "photo").lean();
+  return entries.map((entry) => entry.photo).filter(isJournalPhotoKey);
+}
+
+/**
+ * Purges every account whose grace period has ended
+ * @returns {Promise<Array<Object>>} One report per purged account
+ */
+export async function purgeDueAccounts() {
+  const due = await User.find(
+    { deletionScheduledFor: { $ne: null, $lte: new Date() } },
+    "_id username"
+  ).lean();
+
+  const reports = [];
+  for (const user of due) {
+    try {
+      const report = await purgeUserAccount(user._id);
+      console.log(`Purged account ${user.username}:`, report);
+      reports.push({ userId: user._id, ...report });
+    } catch (error) {
+      console.error(`Failed to purge account ${user.username}:`, error.message);
+    }
+  }
+  return reports;
+}
@@ -0,0 +1,237 @@
+import { ZipArchive } from "archiver";
+import User from "../models/User.js";
+import SavedRoutine from "../models/SavedRoutine.js";
+import ScanHistory from "../models/ScanHistory.js";
+import SkinJournalEntry from "../models/SkinJournalEntry.js";
+import { toCsv } from "../utils/csvExport.js";
+import { isScanImageKey, getScanImage, isJournalPhotoKey, getJournalPhoto } from "./imageStorage.service.js";
+
+const EXPORT_FORMAT_VERSION = 1;
+
+const scanColumns = [
+  { header: "scanId", value: (s) => s._id },
+  { header: "scanDate", value: (s) => s.scanDate },
+  { header: "productName", value: (s) => s.productName },
+  { header: "productBrand", value: (s) => s.productBrand },
+  { header: "productCategory", value: (s) => s.productCategory },
+  { header: "safetyLevel", value: (s) => s.safetyLevel },
+  { header: "overallScore", value: (s) => s.overallScore },
+  { header: "riskScore", value: (s) => s.riskScore },
+  { header: "ingredientCount", value: (s) => s.ingredients?.length || 0 },
+  { header: "recommendations", value: (s) => s.recommendations },
+  { header: "warnings", value: (s) => s.warnings },
+];
+
+const scanIngredientColumns = [
+  { header: "scanId", value: (r) => r.scanId },
+  { header: "position", value: (r) => r.position },
+  { header: "name", value: (r) => r.name },
+  { header: "riskLevel", value: (r) => r.riskLevel },
+  { header: "purpose", value: (r) => r.purpose },
+  { header: "concerns", value: (r) => r.concerns },
+];
+
+const journalColumns = [
+  { header: "entryId", value: (e) => e._id },
+  { header: "entryDate", value: (e) => e.entryDate },
+  { header: "type", value: (e) => e.type },
+  { header: "skinType", value: (e) => e.skinType },
+  { header: "concerns", value: (e) => e.concerns },
+  { header: "previousSkinType", value: (e) => e.previousSkinType },
+  { header: "previousConcerns", value: (e) => e.previousConcerns },
+  { header: "notes", value: (e) => e.notes },
+  { header: "irritationLevel", value: (e) => e.irritationLevel },
+  { header: "photo", value: (e) => e.photo },
+];
+
+const routineColumns = [
+  { header: "routineId", value: (r) => r._id },
+  { header: "createdAt", value: (r) => r.createdAt },
+  { header: "routineName", value: (r) => r.routineName },
+  { header: "routineType", value: (r) => r.routineType },
+  { header: "skinType", value: (r) => r.skinType },
+  { header: "priceRange", value: (r) => r.priceRange },
+  { header: "maxPrice", value: (r) => r.maxPrice },
+  { header: "uvIndex", value: (r) => r.uvIndex },
+  { header: "location", value: (r) => r.location },
+];
+
+const routineStepColumns = [
+  { header: "routineId", value: (r) => r.routineId },
+  { header: "timeOfDay", value: (r) => r.timeOfDay },
+  { header: "step", value: (r) => r.step },
+  { header: "category", value: (r) => r.category },
+  { header: "productName", value: (r) => r.productName },
+  { header: "productBrand", value: (r) => r.productBrand },
+  { header: "productPrice", value: (r) => r.productPrice },
+];
+
+/**
+ * Decodes a base64 data URL into a buffer and file extension
+ * @param {string} dataUrl - e.g. "data:image/jpeg;base64,...."
+ * @returns {{buffer: Buffer, extension: string}|null}
+ */
+function decodeDataUrl(dataUrl) {
+  const match = /^data:image\/([a-z0-9.+-]+);base64,(.+)$/i.exec(dataUrl || "");
+  if (!match) return null;
+  const extension = match[1].toLowerCase().replace("jpeg", "jpg").replace("svg+xml", "svg");
+  return { buffer: Buffer.from(match[2], "base64"), extension };
+}
+
+/**
+ * Collects the scan images of a scan as archive entries.
+ * Stored and inline images are embedded, remote ones are only referenced.
+ */
+async function collectScanImages(scan) {
+  const files = [];
+  const references = {};
+  for (const side of ["front", "back"]) {
+    const source = scan.productImages?.[side];
+    if (!source) continue;
+
+    const stored = isScanImageKey(source) ? await getScanImage(source) : null;
+    const decoded = decodeDataUrl(source);
+    if (stored) {
+      const name = `images/${scan._id}-${side}.jpg`;
+      files.push({ name, buffer: stored.buffer });
+      references[side] = name;
+    } else if (decoded) {
+      const name = `images/${scan._id}-${side}.${decoded.extension}`;
+      files.push({ name, buffer: decoded.buffer });
+      references[side] = name;
+    } else {
+      references[side] = source;
+    }
+  }
+  return { files, references };
+}
+
+function flattenRoutineSteps(routine) {
+  const rows = [];
+  for (const [timeOfDay, part] of [
+    ["morning", routine.morningRoutine],
+    ["evening", routine.eveningRoutine],
+  ]) {
+    for (const step of part?.steps || []) {
+      const products = step.products?.length ? step.products : [{}];
+      for (const product of products) {
+        rows.push({
+          routineId: routine._id,
+          timeOfDay,
+          step: step.id,
+          category: step.category,
+          productName: product.name,
+          productBrand: product.brand,
+          productPrice: product.price,
+        });
+      }
+    }
+  }
+  return rows;
+}
+
+/**
+ * Loads everything stored about a user
+ * @param {string} userId - User id
+ * @returns {Promise<Object|null>} Export payload, or null when the user does not exist
+ */
+export async function collectAccountData(userId) {
+  const user = await User.findById(userId).lean();
+  if (!user) return null;
+
+  const [routines, scans, journal] = await Promise.all([
+    SavedRoutine.find({ userId }).sort({ createdAt: -1 }).lean(),
+    ScanHistory.find({ userId }).sort({ scanDate: -1 }).lean(),
+    SkinJournalEntry.find({ userId }).sort({ entryDate: -1 }).lean(),
+  ]);
+
+  return { user, routines, scans, journal };
+}
+
+/**
+ * Streams a ZIP with JSON and CSV views of the account data into a writable stream
+ * @param {Object} accountData - Result of collectAccountData
+ * @param {stream.Writable} output - Destination, e.g. the HTTP response
+ * @returns {Promise<void>} Resolves once the archive has been finalized
+ */
+export async function writeAccountExportZip(accountData, output) {
+  const { user, routines, scans, journal = [] } = accountData;
+  const archive = new ZipArchive({ zlib: { level: 9 } });
+  archive.pipe(output);
+
+  const exportedAt = new Date();
+  const scansForJson = [];
+  const ingredientRows = [];
+  let imageCount = 0;
+
+  for (const scan of scans) {
+    const { files, references } = await collectScanImages(scan);
+    files.forEach((file) => archive.append(file.buffer, { name: file.name }));
+    imageCount += files.length;
+
+    // Image data lives in images/, the JSON only points at it
+    scansForJson.push({ ...scan, productImages: references });
+    (scan.ingredients || []).forEach((ingredient, idx) => {
+      ingredientRows.push({ scanId: scan._id, position: idx + 1, ...ingredient });
+    });
+  }
+
+  const journalForJson = [];
+  for (const entry of journal) {
+    const stored = isJournalPhotoKey(entry.photo) ? await getJournalPhoto(entry.photo) : null;
+    const decoded = decodeDataUrl(entry.photo);
+    if (stored) {
+      const name = `images/journal-${entry._id}.jpg`;
+      archive.append(stored.buffer, { name });
+      imageCount += 1;
+      journalForJson.push({ ...entry, photo: name });
+    } else if (decoded) {
+      const name = `images/journal-${entry._id}.${decoded.extension}`;
+      archive.append(decoded.buffer, { name });
+      imageCount += 1;
+      journalForJson.push({ ...entry, photo: name });
+    } else {
+      journalForJson.push(entry);
+    }
+  }
+
+  const manifest = {
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt,
+    userId: user._id,
+    username: user.username,
+    counts: {
+      savedRoutines: routines.length,
+      scans: scans.length,
+      journalEntries: journal.length,
+      images: imageCount,
+    },
+    files: {
+      "profile.json": "Account profile",
+      "saved-routines.json": "Saved routines with every step and product",
+      "scan-history.json": "Product scans including the full analysis",
+      "skin-journal.json": "Skin profile changes and journal notes",
+      "csv/": "Spreadsheet views of the same data",
+      "images/": "Product photos uploaded with each scan and journal photos",
+    },
+  };
+
+  const json = (value) => JSON.stringify(value, null, 2);
+  archive.append(json(manifest), { name: "manifest.json" });
+  archive.append(json(user), { name: "profile.json" });
+  archive.append(json(routines), { name: "saved-routines.json" });
+  archive.append(json(scansForJson), { name: "scan-history.json" });
+  archive.append(json(journalForJson), { name: "skin-journal.json" });
+
+  archive.append(toCsv(scans, scanColumns), { name: "csv/scan-history.csv" });
+  archive.append(toCsv(ingredientRows, scanIngredientColumns), {
+    name: "csv/scan-ingredients.csv",
+  });
+  archive.append(toCsv(journalForJson, journalColumns), { name: "csv/skin-journal.csv" });
+  archive.append(toCsv(routines, routineColumns), { name: "csv/saved-routines.csv" });
+  archive.append(toCsv(routines.flatMap(flattenRoutineSteps), routineStepColumns), {
+    name: "csv/saved-routine-steps.csv",
+  });
+
+  await archive.finalize();
+}
@@ -0,0 +1,273 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import sharp from "sharp";
+import AnalysisCache from "../models/AnalysisCache.js";
+import IngredientCosing from "../models/ingredientCosing.js";
+import IngredientRenude from "../models/IngredientRenude.js";
+import IngredientKorean from "../models/IngredientKorean.js";
+import IngredientCorrection from "../models/IngredientCorrection.js";
+import { readImageBuffer } from "./imageConvert.service.js";
+import { findCatalogProductByBarcode } from "./barcode.service.js";
+import { INTERACTION_RULES_VERSION } from "./ingredientInteraction.service.js";
+import { FRAGRANCE_ALLERGENS_VERSION } from "./fragranceAllergen.service.js";
+
+const CACHE_TTL_MS = (Number(process.env.ANALYSIS_CACHE_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// The knowledge base is checked for changes as often as the CosIng index
+const KNOWLEDGE_CHECK_INTERVAL_MS = parseInt(process.env.INGREDIENT_INDEX_CHECK_MS || '60000', 10);
+
+// Difference hash on a 17x16 grayscale thumbnail: 256 bits, 64 hex digits
+const HASH_WIDTH = 16;
+const HASH_HEIGHT = 16;
+// 16 bands of 16 bits: hashes closer than 16 bits always share a band
+const HASH_BAND_LENGTH = 4;
+const MAX_HASH_DISTANCE = Math.min(Number(process.env.ANALYSIS_CACHE_MAX_DISTANCE ?? 12), 15);
+const MAX_CANDIDATES = 50;
+
+// Bumped when cached results change shape or meaning (2: label locations on the uploaded photos,
+// 3: weighted safety_level and risk_score)
+const RESULT_FORMAT_VERSION = 3;
+
+// Collections whose content changes what an analysis returns. IngredientAI is left out:
+// it only caches LLM answers, which a cached analysis already contains. Corrections only count
+// once they apply to everyone: personal ones bypass the cache instead of flushing it.
+const KNOWLEDGE_SOURCES = [
+  { Model: IngredientCosing },
+  { Model: IngredientRenude },
+  { Model: IngredientKorean },
+  { Model: IngredientCorrection, filter: { global_since: { $ne: null } }, changedAt: 'global_since' },
+];
+
+let knowledgeVersion = null;
+let lastCheckedAt = 0;
+
+// Same fingerprint as the CosIng index: reseeding changes the count or the latest update time
+async function getCollectionSignature({ Model, filter = null, changedAt = 'updatedAt' }) {
+  const [count, latest] = await Promise.all([
+    filter ? Model.countDocuments(filter) : Model.estimatedDocumentCount(),
+    Model.findOne(filter || {}, changedAt).sort({ [changedAt]: -1 }).lean()
+  ]);
+  return `${count}:${latest?.[changedAt] ? new Date(latest[changedAt]).getTime() : 0}`;
+}
+
+// Catalog product a barcode resolved to, as it was when the analysis ran
+const catalogSignature = (product) =>
+  product ? `${product._id}:${product.updatedAt ? new Date(product.updatedAt).getTime() : 0}` : null;
+
+// An entry read from the catalog (or whose barcode the catalog didn't know) is stale once the product changed
+async function isCatalogCurrent(entry) {
+  if (!entry.barcode) return true;
+  return catalogSignature(await findCatalogProductByBarcode(entry.barcode)) === (entry.catalogSignature ?? null);
+}
+
+/**
+ * Version of the ingredient knowledge base (checked at most every INGREDIENT_INDEX_CHECK_MS).
+ * When it changed, entries of earlier versions are removed.
+ * @returns {Promise<string>}
+ */
+export async function getKnowledgeBaseVersion() {
+  if (knowledgeVersion && Date.now() - lastCheckedAt < KNOWLEDGE_CHECK_INTERVAL_MS) return knowledgeVersion;
+  const signatures = await Promise.all(KNOWLEDGE_SOURCES.map(getCollectionSignature));
+  // Interaction rules and fragrance allergens ship with the code, their versions change on deploy
+  signatures.push(INTERACTION_RULES_VERSION, FRAGRANCE_ALLERGENS_VERSION, RESULT_FORMAT_VERSION);
+  const version = crypto.createHash("sha256").update(signatures.join("|")).digest("hex").slice(0, 16);
+  lastCheckedAt = Date.now();
+  if (knowledgeVersion && version !== knowledgeVersion) {
+    AnalysisCache.deleteMany({ knowledgeVersion: { $ne: version } })
+      .then(({ deletedCount }) => console.log(`[AnalysisCache] Knowledge base changed, removed ${deletedCount} entries`))
+      .catch((err) => console.warn(`[AnalysisCache] Could not remove stale entries: ${err.message}`));
+  }
+  knowledgeVersion = version;
+  return version;
+}
+
+/**
+ * Makes the next lookup re-read the knowledge base version (call after writing to it, e.g. when a
+ * correction starts applying to everyone)
+ */
+export function invalidateAnalysisCache() {
+  lastCheckedAt = 0;
+}
+
+async function differenceHash(imagePath) {
+  const { data } = await sharp(await readImageBuffer(imagePath))
+    .rotate()
+    .grayscale()
+    .resize(HASH_WIDTH + 1, HASH_HEIGHT, { fit: "fill" })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  let bits = "";
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH; x++) {
+      const offset = y * (HASH_WIDTH + 1) + x;
+      bits += data[offset] < data[offset + 1] ? "1" : "0";
+    }
+  }
+  return bits.match(/.{4}/g).map((nibble) => parseInt(nibble, 2).toString(16)).join("");
+}
+
+/**
+ * Number of differing bits between two hex hashes of the same length
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function hashDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    for (; diff; diff &= diff - 1) distance++;
+  }
+  return distance;
+}
+
+/**
+ * Splits a hash into numbered bands for candidate lookup: two hashes with fewer differing bits
+ * than there are bands have at least one band in common
+ * @param {string} hash - Hex hash
+ * @returns {Array<string>} "<band number>:<hex digits>"
+ */
+export function hashBands(hash) {
+  const bands = [];
+  for (let i = 0; i < hash.length; i += HASH_BAND_LENGTH) {
+    bands.push(`${i / HASH_BAND_LENGTH}:${hash.slice(i, i + HASH_BAND_LENGTH)}`);
+  }
+  return bands;
+}
+
+async function fileHash(filePath) {
+  return crypto.createHash("sha256").update(await fs.readFile(filePath)).digest("hex");
+}
+
+/**
+ * Cache key of an image analysis: content and perceptual hashes of every image, the typed
+ * product info when there is no front image, and the knowledge base version
+ * @param {Object} input
+ * @param {string|null} input.frontImagePath - Uploaded front image
+ * @param {Array<string>} input.backImagePaths - Uploaded back images in reading order
+ * @param {Object} [input.body] - Form fields: productName, brand, category
+ * @returns {Promise<Object|null>} null when the images can't be hashed or the knowledge base
+ *   can't be read; the analysis then runs uncached
+ */
+export async function buildAnalysisCacheKey({ frontImagePath, backImagePaths, body = {} }) {
+  try {
+    const inputKey = frontImagePath
+      ? ""
+      : [body.productName, body.brand, body.category].map((value) => value?.trim() || "").join("\n");
+    const frontFileHash = frontImagePath ? await fileHash(frontImagePath) : null;
+    const backFileHashes = [];
+    for (const imagePath of backImagePaths) backFileHashes.push(await fileHash(imagePath));
+    const frontHash = frontImagePath ? await differenceHash(frontImagePath) : null;
+    const backHashes = [];
+    for (const imagePath of backImagePaths) backHashes.push(await differenceHash(imagePath));
+
+    const contentHash = crypto.createHash("sha256")
+      .update(JSON.stringify({ front: frontFileHash, back: backFileHashes, input: inputKey }))
+      .digest("hex");
+    return {
+      contentHash,
+      knowledgeVersion: await getKnowledgeBaseVersion(),
+      inputKey,
+      frontHash,
+      backHashes,
+    };
+  } catch (err) {
+    console.warn(`[AnalysisCache] Could not build cache key: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Largest hash distance over the images of a cached entry and a cache key
+ * @param {{frontHash: string|null, backHashes: Array<string>}} entry
+ * @param {{frontHash: string|null, backHashes: Array<string>}} key - Output of buildAnalysisCacheKey
+ * @returns {number} Infinity when the image sets don't correspond (front image on one side only,
+ *   or a different number of back images)
+ */
+export function entryDistance(entry, key) {
+  if (Boolean(entry.frontHash) !== Boolean(key.frontHash)) return Infinity;
+  if (entry.backHashes.length !== key.backHashes.length) return Infinity;
+  const pairs = [[entry.frontHash, key.frontHash], ...entry.backHashes.map((hash, i) => [hash, key.backHashes[i]])];
+  return Math.max(...pairs.filter(([a]) => a).map(([a, b]) => hashDistance(a, b)));
+}
+
+// Hits don't extend the entry: it expires ANALYSIS_CACHE_TTL_DAYS after the analysis ran
+async function recordHit(filter) {
+  const entry = await AnalysisCache.findOneAndUpdate(
+    filter,
+    { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+    { new: true, projection: "result analyzedAt barcode catalogSignature" }
+  ).lean();
+  if (!entry || await isCatalogCurrent(entry)) return entry;
+  await AnalysisCache.deleteOne({ _id: entry._id });
+  return null;
+}
+
+/**
+ * Looks up a cached analysis: the exact same files first, then near-identical images
+ * (every image within ANALYSIS_CACHE_MAX_DISTANCE bits, default 12 of 256)
+ * @param {Object|null} key - Output of buildAnalysisCacheKey
+ * @returns {Promise<{result: Object, match: string, distance: number, analyzed_at: Date}|null>}
+ *   match is "exact" or "perceptual"
+ */
+export async function findCachedAnalysis(key) {
+  if (!key) return null;
+  try {
+    const exact = await recordHit({ contentHash: key.contentHash, knowledgeVersion: key.knowledgeVersion });
+    if (exact) return { result: exact.result, match: "exact", distance: 0, analyzed_at: exact.analyzedAt };
+
+    const candidates = await AnalysisCache.find(
+      {
+        knowledgeVersion: key.knowledgeVersion,
+        inputKey: key.inputKey,
+        hashBands: { $in: hashBands(key.backHashes[0]) },
+      },
+      "frontHash backHashes"
+    ).limit(MAX_CANDIDATES).lean();
+    let best = null;
+    for (const candidate of candidates) {
+      const distance = entryDistance(candidate, key);
+      if (distance <= MAX_HASH_DISTANCE && (!best || distance < best.distance)) best = { id: candidate._id, distance };
+    }
+    if (!best) return null;
+    const entry = await recordHit({ _id: best.id });
+    return entry
+      ? { result: entry.result, match: "perceptual", distance: best.distance, analyzed_at: entry.analyzedAt }
+      : null;
+  } catch (err) {
+    console.warn(`[AnalysisCache] Lookup failed: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Caches the result of a successful analysis under its key, replacing an earlier one
+ * @param {Object|null} key - Output of buildAnalysisCacheKey
+ * @param {Object} result - Analysis data without the suitability score and stored images
+ * @param {Object} [options]
+ * @param {Object|null} [options.catalogProduct] - Catalog product the detected barcode resolved to
+ */
+export async function storeCachedAnalysis(key, result, { catalogProduct = null } = {}) {
+  if (!key) return;
+  try {
+    const analyzedAt = new Date();
+    await AnalysisCache.updateOne(
+      { contentHash: key.contentHash, knowledgeVersion: key.knowledgeVersion },
+      {
+        $set: {
+          inputKey: key.inputKey,
+          frontHash: key.frontHash,
+          backHashes: key.backHashes,
+          hashBands: hashBands(key.backHashes[0]),
+          result,
+          barcode: result.barcode?.value || null,
+          catalogSignature: catalogSignature(catalogProduct),
+          analyzedAt,
+          expiresAt: new Date(analyzedAt.getTime() + CACHE_TTL_MS),
+        },
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    console.warn(`[AnalysisCache] Could not store analysis: ${err.message}`);
+  }
+}
@@ -0,0 +1,155 @@
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import AnalysisJob from "../models/AnalysisJob.js";
+
+const JOB_TTL_MS = (Number(process.env.ANALYSIS_JOB_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// A running job refreshes its heartbeat this often; without one for JOB_STALE_MS its process is gone
+const JOB_HEARTBEAT_MS = 30 * 1000;
+const JOB_STALE_MS = 4 * JOB_HEARTBEAT_MS;
+// Longest an analysis may run, however alive it looks
+const JOB_TIMEOUT_MS = (Number(process.env.ANALYSIS_JOB_TIMEOUT_MINUTES) || 10) * 60 * 1000;
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Progress reported when each stage starts; a job reaches 100 when it completes
+export const ANALYSIS_STAGE_PROGRESS = {
+  convert: 10,
+  ocr: 25,
+  match: 50,
+  enrich: 65,
+  summarize: 85,
+};
+
+// Jobs run in this process, so live events only reach subscribers connected to it.
+// Other instances still see stage changes through the stored job.
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+/**
+ * Job as returned by the API
+ * @param {Object} job - AnalysisJob document
+ * @returns {Object}
+ */
+export function toAnalysisJobResponse(job) {
+  return {
+    job_id: job.jobId,
+    kind: job.kind,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    stages: (job.stages || []).map(({ stage, progress, at }) => ({ stage, progress, at })),
+    result: job.status === 'completed' ? job.result : null,
+    error: job.error,
+    created_at: job.createdAt,
+    updated_at: job.updatedAt,
+  };
+}
+
+function emitJobEvent(jobId, event) {
+  jobEvents.emit(jobId, event);
+}
+
+/**
+ * Creates a job and starts it in the background
+ * @param {'images'|'text'} kind
+ * @param {function({onStage: function(string): void}): Promise<Object>} run - The analysis,
+ *   calling onStage as each stage starts and resolving to the { success, data } response
+ * @returns {Promise<Object>} The created job document
+ */
+export async function createAnalysisJob(kind, run) {
+  const job = await AnalysisJob.create({
+    jobId: crypto.randomUUID(),
+    kind,
+    expiresAt: new Date(Date.now() + JOB_TTL_MS),
+  });
+  setImmediate(() => {
+    runAnalysisJob(job.jobId, run).catch((err) =>
+      console.error(`[AnalysisJob] ${job.jobId} could not be updated:`, err.message)
+    );
+  });
+  return job;
+}
+
+async function runAnalysisJob(jobId, run) {
+  // Stage updates are written in order without holding up the analysis
+  const startedAt = new Date();
+  let writes = AnalysisJob.updateOne({ jobId }, { status: 'running', startedAt, heartbeatAt: startedAt });
+  const onStage = (stage) => {
+    const progress = ANALYSIS_STAGE_PROGRESS[stage] ?? null;
+    if (progress === null) return;
+    const at = new Date();
+    writes = writes.then(() => AnalysisJob.updateOne(
+      { jobId },
+      { stage, progress, heartbeatAt: at, $push: { stages: { stage, progress, at } } }
+    ));
+    emitJobEvent(jobId, { type: 'stage', stage, progress, at });
+  };
+  // Single stages (OCR, LLM calls) can outlast the stale limit
+  const heartbeat = setInterval(() => {
+    writes = writes.then(() => AnalysisJob.updateOne({ jobId, status: 'running' }, { heartbeatAt: new Date() }));
+  }, JOB_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  let result;
+  try {
+    result = await run({ onStage });
+  } catch (err) {
+    clearInterval(heartbeat);
+    console.error(`[AnalysisJob] ${jobId} failed:`, err.message);
+    await writes.catch(() => {});
+    await AnalysisJob.updateOne({ jobId, status: 'running' }, { status: 'failed', error: err.message });
+    emitJobEvent(jobId, { type: 'failed', error: err.message });
+    return;
+  }
+  clearInterval(heartbeat);
+  await writes.catch(() => {});
+  // A job already failed for running too long stays failed
+  const { modifiedCount } = await AnalysisJob.updateOne(
+    { jobId, status: 'running' },
+    { status: 'completed', progress: 100, result }
+  );
+  if (modifiedCount) emitJobEvent(jobId, { type: 'completed', progress: 100, result });
+}
+
+// Fails a queued or running job that timed out or whose process stopped refreshing its heartbeat
+async function failIfStale(job) {
+  if (!ACTIVE_STATUSES.includes(job.status)) return job;
+  const now = Date.now();
+  const lastSign = new Date(job.heartbeatAt || job.createdAt).getTime();
+  const started = new Date(job.startedAt || job.createdAt).getTime();
+  const error = now - started > JOB_TIMEOUT_MS
+    ? 'The analysis took too long and was stopped.'
+    : now - lastSign > JOB_STALE_MS
+      ? 'The analysis was interrupted. Please try again.'
+      : null;
+  if (!error) return job;
+  const failed = await AnalysisJob.findOneAndUpdate(
+    { jobId: job.jobId, status: { $in: ACTIVE_STATUSES } },
+    { status: 'failed', error },
+    { new: true }
+  ).lean();
+  if (failed) emitJobEvent(job.jobId, { type: 'failed', error });
+  return failed || AnalysisJob.findOne({ jobId: job.jobId }).lean();
+}
+
+/**
+ * Reads a job; a queued or running job past ANALYSIS_JOB_TIMEOUT_MINUTES (default 10), or whose
+ * heartbeat stopped (the server running it went down), is marked failed first
+ * @param {string} jobId
+ * @returns {Promise<Object|null>} The job document, or null if unknown or expired
+ */
+export async function getAnalysisJob(jobId) {
+  if (typeof jobId !== 'string' || !jobId) return null;
+  const job = await AnalysisJob.findOne({ jobId }).lean();
+  return job ? failIfStale(job) : null;
+}
+
+/**
+ * Listens to the live events of a job running in this process
+ * @param {string} jobId
+ * @param {function(Object): void} listener - Receives { type: 'stage'|'completed'|'failed', ... }
+ * @returns {function(): void} Unsubscribes the listener
+ */
+export function subscribeToAnalysisJob(jobId, listener) {
+  jobEvents.on(jobId, listener);
+  return () => jobEvents.off(jobId, listener);
+}
@@ -0,0 +1,316 @@
+import path from "path";
+import { runOcrService, getOcrTextFromData, getOcrWords, mergeOcrTexts } from "./ocr.service.js";
+import { preprocessLabelImage, mapToSourceImage } from "./imagePreprocess.service.js";
+import { extractIngredientsFromTextService } from "./ingredientExtract.service.js";
+import { extractProductInfoFromTextService } from "./productInfoExtract.service.js";
+import { buildProductAnalysis, normalizeUserSkin, scoreSuitability } from "./productAnalysis.service.js";
+import { storeScanImage, removeTempFiles } from "./imageStorage.service.js";
+import { readImageBuffer } from "./imageConvert.service.js";
+import { detectBarcode, findCatalogProductByBarcode } from "./barcode.service.js";
+import { buildAnalysisCacheKey, findCachedAnalysis, storeCachedAnalysis } from "./analysisCache.service.js";
+import { hasPersonalCorrections } from "./ingredientCorrection.service.js";
+
+const MAX_INGREDIENT_TEXT_LENGTH = 10000;
+
+/**
+ * Error for analysis input the client has to fix, carrying the HTTP status to answer with
+ */
+export class AnalysisInputError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AnalysisInputError';
+    this.status = status;
+  }
+}
+
+/**
+ * Stores an uploaded image, from its preprocessed PNG (or else the decoded upload) when sharp
+ * can't read the original (HEIC). Storage failures don't fail the analysis, the scan is then
+ * saved without the image.
+ * @returns {Promise<string|null>} Image key
+ */
+async function storeUploadedImage(uploadPath, pngPath = null) {
+  for (const source of [uploadPath, pngPath]) {
+    try {
+      return await storeScanImage(source ?? await readImageBuffer(uploadPath));
+    } catch (err) {
+      console.warn(`[Storage] Could not store ${uploadPath}: ${err.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks the image analysis input before any work is done
+ * @param {Array<Object>} backImageFiles - Uploaded back images (multer files)
+ */
+export function validateImageAnalysisInput(backImageFiles) {
+  if (!Array.isArray(backImageFiles) || backImageFiles.length === 0) {
+    throw new AnalysisInputError('At least one back image is required.');
+  }
+}
+
+/**
+ * Checks the pasted ingredient list analysis input before any work is done
+ * @param {Object} body - Request body with ingredientsText
+ */
+export function validateTextAnalysisInput(body) {
+  const { ingredientsText } = body || {};
+  if (typeof ingredientsText !== 'string' || !ingredientsText.trim()) {
+    throw new AnalysisInputError('ingredientsText is required.');
+  }
+  if (ingredientsText.length > MAX_INGREDIENT_TEXT_LENGTH) {
+    throw new AnalysisInputError(
+      `ingredientsText must be at most ${MAX_INGREDIENT_TEXT_LENGTH} characters.`
+    );
+  }
+}
+
+/**
+ * Reads ingredients and product info from the label images through OCR
+ * @returns {Promise<{ingredients: Array<Object>, unmatched: Array<Object>, productInfo: Object, labelImages: Array<Object>}>}
+ */
+async function readProductLabels({ frontImagePath, backImages, body, onStage, userId }) {
+  onStage?.('ocr');
+  const [frontOcrData, ...backOcrData] = await Promise.all([
+    frontImagePath ? runOcrService(frontImagePath) : null,
+    ...backImages.map((image) => runOcrService(image.path))
+  ]);
+
+  // Get OCR text from all images; back texts are merged in upload order
+  const frontOcrText = frontOcrData ? getOcrTextFromData(frontOcrData) : "";
+  const backOcrText = mergeOcrTexts(backOcrData.map(getOcrTextFromData));
+
+  // Without a front image, product info is inferred from the back label
+  // unless the user already filled it in
+  const userProductInfo = {
+    name: body.productName?.trim() || "",
+    brand: body.brand?.trim() || "",
+    category: body.category?.trim() || "",
+  };
+  const productInfoSource = frontOcrText
+    ? "front"
+    : userProductInfo.name ? "user" : "back";
+
+  const [{ ingredients, unmatched }, extractedProductInfo] = await Promise.all([
+    extractIngredientsFromTextService(backOcrText, {
+      ocrWords: getOcrWords(backOcrData),
+      onStage,
+      userId,
+    }),
+    productInfoSource === "user"
+      ? { ...userProductInfo, benefits: [] }
+      : extractProductInfoFromTextService(frontOcrText || backOcrText)
+  ]);
+  return {
+    // OCR read the preprocessed images; locations are shown on the photos as uploaded
+    ingredients: ingredients.map((ingredient) => ({
+      ...ingredient,
+      locations: ingredient.locations.map((location) => ({
+        ...location,
+        polygon: mapToSourceImage(location.polygon, backImages[location.image]?.transforms || []),
+      })),
+    })),
+    unmatched,
+    productInfo: {
+      ...extractedProductInfo,
+      name: extractedProductInfo.name || userProductInfo.name,
+      brand: extractedProductInfo.brand || userProductInfo.brand,
+      category: extractedProductInfo.category || userProductInfo.category,
+      infoSource: productInfoSource,
+    },
+    // Ingredient locations are polygons in the pixel space of the uploaded back images
+    labelImages: backImages.map(({ source }) => source),
+  };
+}
+
+/**
+ * Takes name, brand, category and ingredient list from a catalog product that has one; nothing
+ * is read from the labels, so ingredients have no locations
+ * @returns {Promise<{ingredients: Array<Object>, unmatched: Array<Object>, productInfo: Object, labelImages: Array<Object>}>}
+ */
+async function readCatalogProduct(product, { onStage, userId }) {
+  const { ingredients, unmatched } = await extractIngredientsFromTextService(
+    product.ingredients.join(", "),
+    { requireHeader: false, onStage, userId }
+  );
+  return {
+    ingredients,
+    unmatched,
+    productInfo: {
+      name: product.name,
+      brand: product.brand,
+      category: product.category,
+      benefits: [],
+      infoSource: "catalog",
+    },
+    labelImages: [],
+  };
+}
+
+/**
+ * Product analysis from label images: an optional front image and one or more back images
+ * (curved bottles, folded boxes) given in reading order
+ * @param {Object} input
+ * @param {Object} [input.frontImageFile] - Uploaded front image (multer file)
+ * @param {Array<Object>} input.backImageFiles - Uploaded back images in reading order
+ * @param {Object} [input.body] - Form fields: userSkin, productName, brand, category
+ * @param {Object} [options]
+ * @param {function(string): void} [options.onStage] - Called as each stage starts:
+ *   convert, ocr, match, enrich, summarize
+ * @param {boolean} [options.force] - Analyze even when a cached result exists (the cache is then refreshed)
+ * @param {string|null} [options.userId] - Signed-in user; their own OCR corrections apply, and while they
+ *   have corrections not yet shared by everyone the analysis cache is neither read nor written
+ * @returns {Promise<{success: boolean, data: Object|null}>} data also holds stored_images: the storage keys
+ *   of the front and first back image (null if not stored), to be referenced by the scan history, and
+ *   preprocessing: the steps applied to the front and each back image before OCR, and barcode: the EAN-13/UPC-A
+ *   code found on the front image with the id of the matching catalog product (null if none). On a catalog
+ *   match the product info and ingredient list come from the catalog and the labels are not OCR'd.
+ *   Results of the same or near-identical images are served from the analysis cache, with only the suitability
+ *   score recomputed; data.cache tells whether it was a hit (match "exact" or "perceptual", analyzed_at).
+ */
+export async function analyzeProductImages({ frontImageFile, backImageFiles, body = {} }, { onStage, force = false, userId = null } = {}) {
+  validateImageAnalysisInput(backImageFiles);
+  const user_skin = normalizeUserSkin(body.userSkin);
+  // Uploads and their preprocessed PNGs are only needed during the analysis
+  const tempFiles = [frontImageFile?.path, ...backImageFiles.map((file) => file.path)];
+  let storedImages = Promise.resolve([null, null]);
+
+  try {
+    // Prepare images for OCR (rotation, deskew, crop, contrast, upscaling) one at a time to bound memory
+    onStage?.('convert');
+    // Results read with a user's personal corrections are not shared through the cache
+    const cacheKey = await hasPersonalCorrections(userId)
+      ? null
+      : await buildAnalysisCacheKey({
+          frontImagePath: frontImageFile?.path || null,
+          backImagePaths: backImageFiles.map((file) => file.path),
+          body,
+        });
+    const cached = force ? null : await findCachedAnalysis(cacheKey);
+    if (cached) {
+      // The user's photos are still kept for their scan history
+      storedImages = Promise.all([
+        frontImageFile ? storeUploadedImage(frontImageFile.path) : null,
+        storeUploadedImage(backImageFiles[0].path),
+      ]);
+      const [front, back] = await storedImages;
+      return {
+        success: true,
+        data: {
+          ...cached.result,
+          suitable: scoreSuitability(cached.result.ingredients, user_skin),
+          stored_images: { front, back },
+          cache: { hit: true, match: cached.match, distance: cached.distance, analyzed_at: cached.analyzed_at },
+        },
+      };
+    }
+
+    const frontImage = frontImageFile
+      ? await preprocessLabelImage(path.resolve(frontImageFile.path))
+      : null;
+    const backImages = [];
+    for (const file of backImageFiles) {
+      backImages.push(await preprocessLabelImage(path.resolve(file.path)));
+    }
+    const frontImagePath = frontImage?.path || null;
+    const backImagePaths = backImages.map((image) => image.path);
+    tempFiles.push(frontImagePath, ...backImagePaths);
+
+    // The front and first back image are kept for the scan history, stored while OCR runs
+    storedImages = Promise.all([
+      frontImageFile ? storeUploadedImage(frontImageFile.path, frontImagePath) : null,
+      storeUploadedImage(backImageFiles[0].path, backImagePaths[0]),
+    ]);
+
+    // A barcode on the front image known to the catalog replaces OCR and LLM extraction
+    const barcode = frontImagePath ? await detectBarcode(frontImagePath) : null;
+    const catalogProduct = barcode ? await findCatalogProductByBarcode(barcode.value) : null;
+    // A catalog entry without an ingredient list still needs the label read
+    const fromCatalog = Boolean(catalogProduct?.ingredients?.length);
+    const { ingredients: ingredientResult, unmatched, productInfo, labelImages } = fromCatalog
+      ? await readCatalogProduct(catalogProduct, { onStage, userId })
+      : await readProductLabels({ frontImagePath, backImages, body, onStage, userId });
+
+    // If no ingredients (or, with a front image read by OCR, no product info) found, set success to false
+    const hasIngredients = Array.isArray(ingredientResult) && ingredientResult.length > 0;
+    const hasProductInfo = productInfo && Array.isArray(productInfo.benefits) && productInfo.benefits.length > 0;
+    const success = hasIngredients && (hasProductInfo || !frontImageFile || fromCatalog);
+    if (!success) return { success, data: null };
+
+    const analysis = await buildProductAnalysis({
+      ingredients: ingredientResult,
+      productInfo,
+      userSkin: user_skin,
+      labelImages,
+      unmatched,
+      onStage,
+    });
+    const { suitable, ...result } = {
+      ...analysis,
+      barcode: barcode
+        ? { ...barcode, catalog_product_id: catalogProduct?._id ?? null }
+        : null,
+      preprocessing: {
+        front: frontImage?.steps || null,
+        back: backImages.map((image) => image.steps),
+      },
+    };
+    await storeCachedAnalysis(cacheKey, result, { catalogProduct });
+    const [front, back] = await storedImages;
+    return {
+      success,
+      data: {
+        ...result,
+        suitable,
+        stored_images: { front, back },
+        cache: { hit: false },
+      },
+    };
+  } finally {
+    await storedImages;
+    await removeTempFiles(tempFiles);
+  }
+}
+
+/**
+ * Product analysis from a pasted ingredient list (no OCR)
+ * @param {Object} body - ingredientsText, userSkin, productName, brand, category
+ * @param {Object} [options]
+ * @param {function(string): void} [options.onStage] - Called as each stage starts: match, enrich, summarize
+ * @param {string|null} [options.userId] - Signed-in user, whose own OCR corrections also apply
+ * @returns {Promise<{success: boolean, data: Object|null}>}
+ */
+export async function analyzeIngredientText(body, { onStage, userId = null } = {}) {
+  validateTextAnalysisInput(body);
+  const { ingredientsText, productName, brand, category } = body;
+  const user_skin = normalizeUserSkin(body.userSkin);
+
+  // A pasted list usually has no "Ingredients:" header, so the whole text is the list
+  const { ingredients: ingredientResult, unmatched } = await extractIngredientsFromTextService(ingredientsText, {
+    requireHeader: false,
+    onStage,
+    userId,
+  });
+  const productInfo = {
+    name: productName?.trim() || "",
+    brand: brand?.trim() || "",
+    category: category?.trim() || "",
+    benefits: [],
+    infoSource: "user",
+  };
+
+  const success = Array.isArray(ingredientResult) && ingredientResult.length > 0;
+  return {
+    success,
+    data: success
+      ? await buildProductAnalysis({
+          ingredients: ingredientResult,
+          productInfo,
+          userSkin: user_skin,
+          unmatched,
+          onStage,
+        })
+      : null,
+  };
+}
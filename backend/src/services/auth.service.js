@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import RefreshToken from '../models/RefreshToken.js';
+dotenv.config();
+
+const AUTH_CONFIG = {
+  SALT_ROUNDS: 12,
+  ACCESS_TOKEN_TTL: process.env.JWT_ACCESS_TTL || '15m',
+  REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.JWT_REFRESH_TTL_DAYS || '30', 10),
+  ISSUER: 'skincare-analyzer'
+};
+
+/**
+ * Error carrying the HTTP status the controller should answer with
+ */
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function getSecrets() {
+  const accessSecret = process.env.JWT_ACCESS_SECRET;
+  const refreshSecret = process.env.JWT_REFRESH_SECRET;
+  if (!accessSecret || !refreshSecret) {
+    throw new Error('JWT secrets are not set in environment variables.');
+  }
+  return { accessSecret, refreshSecret };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export async function hashPassword(password) {
+  return bcrypt.hash(password, AUTH_CONFIG.SALT_ROUNDS);
+}
+
+export async function verifyPassword(password, passwordHash) {
+  // bcrypt throws on anything but strings
+  if (typeof password !== 'string' || !password || !passwordHash) return false;
+  return bcrypt.compare(password, passwordHash);
+}
+
+/**
+ * Issues a short-lived access token and a persisted refresh token for a user
+ * @param {Object} user - User document (needs _id and username)
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresIn: string}>}
+ */
+export async function issueTokens(user) {
+  const { accessSecret, refreshSecret } = getSecrets();
+  const subject = user._id.toString();
+
+  const accessToken = jwt.sign(
+    { username: user.username, role: user.role || 'user', type: 'access' },
+    accessSecret,
+    { subject, expiresIn: AUTH_CONFIG.ACCESS_TOKEN_TTL, issuer: AUTH_CONFIG.ISSUER }
+  );
+
+  const refreshToken = jwt.sign(
+    { type: 'refresh' },
+    refreshSecret,
+    {
+      subject,
+      expiresIn: `${AUTH_CONFIG.REFRESH_TOKEN_TTL_DAYS}d`,
+      issuer: AUTH_CONFIG.ISSUER,
+      jwtid: crypto.randomUUID()
+    }
+  );
+
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + AUTH_CONFIG.REFRESH_TOKEN_TTL_DAYS);
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt
+  });
+
+  return { accessToken, refreshToken, expiresIn: AUTH_CONFIG.ACCESS_TOKEN_TTL };
+}
+
+/**
+ * Verifies an access token and returns its claims
+ * @param {string} token - Bearer token from the Authorization header
+ * @returns {{userId: string, username: string, role: string}}
+ */
+export function verifyAccessToken(token) {
+  const { accessSecret } = getSecrets();
+  try {
+    const payload = jwt.verify(token, accessSecret, { issuer: AUTH_CONFIG.ISSUER });
+    if (payload.type !== 'access') throw new AuthError('Invalid token type');
+    return { userId: payload.sub, username: payload.username, role: payload.role || 'user' };
+  } catch (err) {
+    if (err instanceof AuthError) throw err;
+    throw new AuthError(err.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+  }
+}
+
+/**
+ * Validates a refresh token against its signature and the revocation store
+ * @param {string} token - Refresh token
+ * @returns {Promise<Object>} The stored RefreshToken document
+ */
+async function findActiveRefreshToken(token) {
+  const { refreshSecret } = getSecrets();
+  let payload;
+  try {
+    payload = jwt.verify(token, refreshSecret, { issuer: AUTH_CONFIG.ISSUER });
+  } catch (err) {
+    throw new AuthError('Invalid refresh token');
+  }
+  if (payload.type !== 'refresh') throw new AuthError('Invalid token type');
+
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored || stored.userId.toString() !== payload.sub) {
+    throw new AuthError('Invalid refresh token');
+  }
+  if (stored.revokedAt) {
+    // A revoked token being replayed means it leaked: end every session of that user
+    await revokeAllUserTokens(stored.userId);
+    throw new AuthError('Refresh token has been revoked');
+  }
+  return stored;
+}
+
+/**
+ * Exchanges a refresh token for a new token pair, revoking the old refresh token
+ * @param {string} token - Refresh token
+ * @param {Function} loadUser - Resolves the user document for an id
+ * @returns {Promise<{user: Object, tokens: Object}>}
+ */
+export async function rotateRefreshToken(token, loadUser) {
+  const stored = await findActiveRefreshToken(token);
+  const user = await loadUser(stored.userId);
+  if (!user) throw new AuthError('User no longer exists');
+
+  stored.revokedAt = new Date();
+  await stored.save();
+
+  const tokens = await issueTokens(user);
+  return { user, tokens };
+}
+
+/**
+ * Revokes a single refresh token (logout from the current device)
+ * @param {string} token - Refresh token
+ * @returns {Promise<boolean>} Whether an active token was revoked
+ */
+export async function revokeRefreshToken(token) {
+  if (!token) return false;
+  const result = await RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revokes every refresh token of a user (logout from all devices)
+ * @param {string} userId - User id
+ * @returns {Promise<number>} Number of revoked tokens
+ */
+export async function revokeAllUserTokens(userId) {
+  const result = await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
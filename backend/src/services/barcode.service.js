@@ -0,0 +1,81 @@
+import sharp from "sharp";
+import {
+  MultiFormatReader,
+  BarcodeFormat,
+  DecodeHintType,
+  RGBLuminanceSource,
+  BinaryBitmap,
+  HybridBinarizer,
+} from "@zxing/library";
+import Product from "../models/Product.js";
+
+// Retail barcodes printed on cosmetics packaging
+const RETAIL_FORMATS = [BarcodeFormat.EAN_13, BarcodeFormat.UPC_A];
+const FORMAT_NAMES = {
+  [BarcodeFormat.EAN_13]: "EAN-13",
+  [BarcodeFormat.UPC_A]: "UPC-A",
+};
+// Bars stay several pixels wide at this size while keeping decoding fast
+const DECODE_SIZE = 1600;
+
+/**
+ * Normalizes an EAN-13 or UPC-A code to the 13 digits stored in Product.barcode
+ * (UPC-A is EAN-13 with a leading 0)
+ * @param {string} code - Digits, spaces and dashes are ignored
+ * @returns {string|null} 13 digits, or null when the length or check digit is wrong
+ */
+export function normalizeRetailBarcode(code) {
+  const digits = String(code ?? "").replace(/[\s-]/g, "");
+  if (!/^\d{12,13}$/.test(digits)) return null;
+  const ean = digits.padStart(13, "0");
+  // Weights alternate 1 and 3 from the left, the 13th digit makes the sum a multiple of 10
+  const sum = [...ean.slice(0, 12)].reduce(
+    (total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3),
+    0
+  );
+  return (10 - (sum % 10)) % 10 === Number(ean[12]) ? ean : null;
+}
+
+function decodeLuminance(data, width, height) {
+  const reader = new MultiFormatReader();
+  const hints = new Map([
+    [DecodeHintType.POSSIBLE_FORMATS, RETAIL_FORMATS],
+    [DecodeHintType.TRY_HARDER, true],
+  ]);
+  const source = new RGBLuminanceSource(new Uint8ClampedArray(data), width, height);
+  try {
+    return reader.decode(new BinaryBitmap(new HybridBinarizer(source)), hints);
+  } catch {
+    // ZXing signals "no barcode" by throwing
+    return null;
+  }
+}
+
+/**
+ * Looks for an EAN-13 or UPC-A barcode in a product photo, with bars horizontal or vertical
+ * @param {string} imagePath - Image readable by sharp (e.g. the preprocessed front image)
+ * @returns {Promise<{value: string, format: string}|null>} Normalized 13-digit code
+ */
+export async function detectBarcode(imagePath) {
+  for (const angle of [0, 90]) {
+    const { data, info } = await sharp(imagePath)
+      .rotate(angle)
+      .resize({ width: DECODE_SIZE, height: DECODE_SIZE, fit: "inside", withoutEnlargement: true })
+      .grayscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const result = decodeLuminance(data, info.width, info.height);
+    const value = result ? normalizeRetailBarcode(result.getText()) : null;
+    if (value) return { value, format: FORMAT_NAMES[result.getBarcodeFormat()] };
+  }
+  return null;
+}
+
+/**
+ * @param {string} barcode - Normalized 13-digit code
+ * @returns {Promise<Object|null>} Catalog product with that barcode
+ */
+export async function findCatalogProductByBarcode(barcode) {
+  if (!barcode) return null;
+  return Product.findOne({ barcode }, "name brand category ingredients updatedAt").lean();
+}
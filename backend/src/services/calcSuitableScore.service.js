@@ -1,8 +1,12 @@
 export const calculateSuitableScore = (ingredients, user_skin) => {
 	if (!Array.isArray(ingredients) || !Array.isArray(user_skin)) return 0;
 
-	let suitableCount = 0;
+	// Each ingredient counts with its weight (see weighIngredients), 1 when not weighed
+	let suitableWeight = 0;
+	let totalWeight = 0;
 	for (const ingredient of ingredients) {
+        const weight = ingredient.weight ?? 1;
+        totalWeight += weight;
         const ingredientGoodFor = Array.isArray(ingredient.good_for)
             ? ingredient.good_for.map(s => s.toLowerCase())
             : [];
@@ -10,8 +14,8 @@ export const calculateSuitableScore = (ingredients, user_skin) => {
         const isSuitable = user_skin.some(skinType =>
             ingredientGoodFor.includes(skinType.toLowerCase())
         );
-        if (isSuitable) suitableCount++;
+        if (isSuitable) suitableWeight += weight;
     }
 
-    return (suitableCount / ingredients.length) * 100; // Return percentage
+    return totalWeight > 0 ? (suitableWeight / totalWeight) * 100 : 0; // Return percentage
 }
\ No newline at end of file
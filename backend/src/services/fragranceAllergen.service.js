@@ -0,0 +1,88 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { normalizeIngredientName } from "./ingredientSearch.service.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// EU-declarable fragrance allergens, essential oil genera and undisclosed fragrance names
+const ALLERGENS_PATH = path.join(__dirname, "../data/fragranceAllergens.json");
+
+// Seed and nut oils of the same plants are fixed (carrier) oils, not essential oils
+const FIXED_OIL_PATTERN = /\b(seed|kernel|nut|fruit)\s+oil$/;
+
+const allergensSource = fs.readFileSync(ALLERGENS_PATH, "utf8");
+const ALLERGEN_DATA = JSON.parse(allergensSource);
+
+// Parenthesized common names are dropped: "Evernia Prunastri (Oakmoss) Extract"
+const allergenKey = (name) => normalizeIngredientName((name || "").replace(/\([^)]*\)/g, " "));
+
+const ALLERGENS_BY_NAME = new Map(ALLERGEN_DATA.allergens.flatMap((allergen) =>
+  [allergen.name, ...(allergen.synonyms || [])].map((name) => [allergenKey(name), allergen])
+));
+const FRAGRANCE_NAMES = new Set(ALLERGEN_DATA.fragrance.map(allergenKey));
+
+// Part of the analysis cache's knowledge base version, like the interaction rules
+export const FRAGRANCE_ALLERGENS_VERSION = crypto.createHash("sha256").update(allergensSource).digest("hex").slice(0, 16);
+
+function findEssentialOil(key) {
+  if (!key.endsWith(" oil") || FIXED_OIL_PATTERN.test(key)) return null;
+  return ALLERGEN_DATA.essential_oils.find(({ genus }) => key.startsWith(`${genus.toLowerCase()} `)) || null;
+}
+
+function describeAllergen(key) {
+  const allergen = ALLERGENS_BY_NAME.get(key);
+  if (allergen) {
+    return {
+      type: "allergen",
+      allergen: allergen.name,
+      regulation: allergen.regulation,
+      contains: [],
+      reason: "EU-declarable fragrance allergen",
+    };
+  }
+  const essentialOil = findEssentialOil(key);
+  if (essentialOil) {
+    return {
+      type: "essential_oil",
+      allergen: `${essentialOil.name} oil`,
+      regulation: null,
+      contains: essentialOil.contains,
+      reason: `Essential oil, naturally contains fragrance allergens (${essentialOil.contains.join(", ")})`,
+    };
+  }
+  if (FRAGRANCE_NAMES.has(key)) {
+    return {
+      type: "fragrance",
+      allergen: "Fragrance",
+      regulation: null,
+      contains: [],
+      reason: "Undisclosed fragrance blend, may contain any fragrance allergen",
+    };
+  }
+  return null;
+}
+
+/**
+ * Finds fragrance allergens in an ingredient list: EU-declarable allergens (Directive 2003/15/EC and
+ * Regulation (EU) 2023/1545), essential oils and undisclosed fragrance ("Parfum")
+ * @param {Array<Object>} ingredients - Output of weighIngredients
+ * @returns {Array<{name: string, type: "allergen"|"essential_oil"|"fragrance", allergen: string, regulation: string|null, contains: Array<string>, reason: string, position: number|null, concentration: number|null, concentration_text: string|null, below_one_percent: boolean|null}>}
+ *   In label order
+ */
+export function detectFragranceAllergens(ingredients) {
+  return ingredients.flatMap((ingredient) => {
+    const details = describeAllergen(allergenKey(ingredient.name));
+    if (!details) return [];
+    return [{
+      name: ingredient.name,
+      ...details,
+      position: ingredient.position ?? null,
+      concentration: ingredient.concentration ?? null,
+      concentration_text: ingredient.concentration_text ?? null,
+      below_one_percent: ingredient.below_one_percent ?? null,
+    }];
+  });
+}
@@ -0,0 +1,281 @@
+import sharp from "sharp";
+import fs from "fs/promises";
+import path from "path";
+import { readImageBuffer } from "./imageConvert.service.js";
+import {
+  buildInkMask,
+  estimateSkewAngle,
+  findInkBox,
+  estimateTextLineHeight,
+  luminanceRange,
+} from "../utils/imageAnalysis.js";
+
+// Optional stages in the order they run; the OCR size limit is always applied last
+export const PREPROCESS_STEPS = ["rotate", "deskew", "crop", "contrast", "upscale"];
+
+// Measurements are taken on a grayscale copy at most this large
+const ANALYSIS_SIZE = 1000;
+// Smaller tilts don't bother OCR, and rotating resamples the whole image
+const MIN_DESKEW_ANGLE = 0.3;
+// Crop only when it removes a meaningful border, and never to a speck
+const MAX_CROP_AREA = 0.85;
+const MIN_CROP_AREA = 0.05;
+const CROP_PADDING = 0.03;
+// Luminance spread (1st to 99th percentile) below which contrast is stretched
+const MIN_LUMINANCE_SPREAD = 160;
+// OCR engines read best with text lines of roughly 20-40px
+const MIN_TEXT_LINE_HEIGHT = 24;
+const MAX_UPSCALE = 3;
+const MIN_UPSCALE = 1.25;
+
+// Defaults stay well within what CLOVA OCR and Tesseract accept; larger images only slow recognition down
+const DEFAULT_LIMITS = {
+  maxDimension: Number(process.env.OCR_MAX_IMAGE_DIMENSION) || 4000,
+  maxBytes: Number(process.env.OCR_MAX_IMAGE_BYTES) || 10 * 1024 * 1024,
+};
+// The size limit never shrinks the long side below this
+const MIN_LIMITED_DIMENSION = 1600;
+
+// Intermediate results are lossless but cheap to encode
+const toIntermediatePng = (pipeline) => pipeline.png({ compressionLevel: 1 }).toBuffer();
+
+/**
+ * Stages enabled by IMAGE_PREPROCESS_STEPS (comma-separated, "none" for none; default all),
+ * with per-call overrides
+ * @param {Object<string, boolean>} [overrides] - e.g. { deskew: false }
+ * @returns {Object<string, boolean>}
+ */
+export function resolvePreprocessSteps(overrides = {}) {
+  const configured = process.env.IMAGE_PREPROCESS_STEPS;
+  const enabled = configured === undefined
+    ? new Set(PREPROCESS_STEPS)
+    : new Set(configured.split(",").map((step) => step.trim().toLowerCase()));
+  return Object.fromEntries(
+    PREPROCESS_STEPS.map((step) => [step, overrides[step] ?? enabled.has(step)])
+  );
+}
+
+async function loadAnalysisCopy(buffer) {
+  const { data, info } = await sharp(buffer)
+    .flatten({ background: "#ffffff" })
+    .resize({ width: ANALYSIS_SIZE, height: ANALYSIS_SIZE, fit: "inside", withoutEnlargement: true })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = await sharp(buffer).metadata();
+  // Ratio from analysis pixels back to image pixels
+  return { gray: data, width: info.width, height: info.height, scale: width / info.width, imageWidth: width, imageHeight: height };
+}
+
+async function deskew(buffer) {
+  const copy = await loadAnalysisCopy(buffer);
+  const { mask } = buildInkMask(copy);
+  const tilt = estimateSkewAngle(mask, copy.width, copy.height);
+  if (tilt === null || Math.abs(tilt) < MIN_DESKEW_ANGLE) {
+    return { buffer, applied: false, detail: { angle: tilt ?? 0 } };
+  }
+  // Corners uncovered by the rotation take the dominant colour, so they don't read as ink later
+  const { dominant } = await sharp(buffer).stats();
+  const background = { ...dominant, alpha: 1 };
+  return {
+    buffer: await toIntermediatePng(sharp(buffer).rotate(-tilt, { background })),
+    applied: true,
+    detail: { angle: -tilt },
+  };
+}
+
+async function cropToLabel(buffer) {
+  const copy = await loadAnalysisCopy(buffer);
+  const { mask } = buildInkMask(copy);
+  const box = findInkBox(mask, copy.width, copy.height);
+  const area = box ? (box.width * box.height) / (copy.width * copy.height) : 0;
+  if (!box || area > MAX_CROP_AREA || area < MIN_CROP_AREA) {
+    return { buffer, applied: false, detail: {} };
+  }
+  const padX = Math.round(copy.imageWidth * CROP_PADDING);
+  const padY = Math.round(copy.imageHeight * CROP_PADDING);
+  const left = Math.max(0, Math.floor(box.left * copy.scale) - padX);
+  const top = Math.max(0, Math.floor(box.top * copy.scale) - padY);
+  const region = {
+    left,
+    top,
+    width: Math.min(copy.imageWidth - left, Math.ceil(box.width * copy.scale) + 2 * padX),
+    height: Math.min(copy.imageHeight - top, Math.ceil(box.height * copy.scale) + 2 * padY),
+  };
+  return {
+    buffer: await toIntermediatePng(sharp(buffer).extract(region)),
+    applied: true,
+    detail: { region },
+  };
+}
+
+async function normalizeContrast(buffer) {
+  const copy = await loadAnalysisCopy(buffer);
+  const { low, high } = luminanceRange(copy.gray);
+  if (high - low >= MIN_LUMINANCE_SPREAD) {
+    return { buffer, applied: false, detail: { luminance: [low, high] } };
+  }
+  return {
+    buffer: await toIntermediatePng(sharp(buffer).normalise({ lower: 1, upper: 99 })),
+    applied: true,
+    detail: { luminance: [low, high] },
+  };
+}
+
+async function upscaleSmallText(buffer, limits) {
+  const copy = await loadAnalysisCopy(buffer);
+  const { mask } = buildInkMask(copy);
+  const lineHeight = estimateTextLineHeight(mask, copy.width, copy.height);
+  if (lineHeight === null) return { buffer, applied: false, detail: { text_line_height: null } };
+
+  const textLineHeight = Math.round(lineHeight * copy.scale);
+  const longSide = Math.max(copy.imageWidth, copy.imageHeight);
+  const factor = Math.min(
+    MIN_TEXT_LINE_HEIGHT / textLineHeight,
+    MAX_UPSCALE,
+    limits.maxDimension / longSide
+  );
+  if (factor < MIN_UPSCALE) {
+    return { buffer, applied: false, detail: { text_line_height: textLineHeight } };
+  }
+  return {
+    buffer: await toIntermediatePng(
+      sharp(buffer).resize({ width: Math.round(copy.imageWidth * factor), kernel: "lanczos3" })
+    ),
+    applied: true,
+    detail: { text_line_height: textLineHeight, factor: Math.round(factor * 100) / 100 },
+  };
+}
+
+// Geometry of an applied stage, from its input to its output; contrast changes none
+async function describeTransform(step, input, result) {
+  if (step === "contrast" || step === "rotate") return [];
+  if (step === "crop") return [{ type: "crop", left: result.detail.region.left, top: result.detail.region.top }];
+  const [from, to] = await Promise.all([imageSize(input), imageSize(result.buffer)]);
+  if (step === "deskew") return [{ type: "rotate", angle: result.detail.angle, from, to }];
+  return [{ type: "scale", x: from.width / to.width, y: from.height / to.height }];
+}
+
+// Fits the image into the OCR limits, shrinking only as much as needed
+async function fitOcrLimits(buffer, limits) {
+  const { width, height } = await sharp(buffer).metadata();
+  let longSide = Math.min(Math.max(width, height), limits.maxDimension);
+  let output;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    output = await sharp(buffer)
+      .resize({ width: longSide, height: longSide, fit: "inside", withoutEnlargement: true })
+      .png()
+      .toBuffer();
+    if (output.length <= limits.maxBytes || longSide <= MIN_LIMITED_DIMENSION) break;
+    longSide = Math.max(
+      MIN_LIMITED_DIMENSION,
+      Math.floor(longSide * Math.sqrt(limits.maxBytes / output.length) * 0.95)
+    );
+  }
+  const size = await sharp(output).metadata();
+  return {
+    buffer: output,
+    applied: size.width !== width || size.height !== height,
+    detail: { width: size.width, height: size.height, bytes: output.length },
+  };
+}
+
+const imageSize = async (buffer) => {
+  const { width, height } = await sharp(buffer).metadata();
+  return { width, height };
+};
+
+// Reverses one geometric stage: a point of its output to the same point of its input
+function invertTransform(point, transform) {
+  switch (transform.type) {
+    case "rotate": {
+      // sharp rotates clockwise around the centre and grows the canvas to fit
+      const radians = (transform.angle * Math.PI) / 180;
+      const dx = point.x - transform.to.width / 2;
+      const dy = point.y - transform.to.height / 2;
+      return {
+        x: transform.from.width / 2 + dx * Math.cos(radians) + dy * Math.sin(radians),
+        y: transform.from.height / 2 - dx * Math.sin(radians) + dy * Math.cos(radians),
+      };
+    }
+    case "crop":
+      return { x: point.x + transform.left, y: point.y + transform.top };
+    case "scale":
+      return { x: point.x * transform.x, y: point.y * transform.y };
+    default:
+      return point;
+  }
+}
+
+/**
+ * Maps a polygon from the prepared image back onto the uploaded photo (as displayed, EXIF rotation applied)
+ * @param {Array<{x: number, y: number}>} polygon - Points in the pixel space of the prepared PNG
+ * @param {Array<Object>} transforms - The transforms returned by preprocessLabelImage
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function mapToSourceImage(polygon, transforms) {
+  return polygon.map((point) => {
+    const source = transforms.reduceRight(invertTransform, point);
+    return { x: Math.round(source.x), y: Math.round(source.y) };
+  });
+}
+
+/**
+ * Prepares a label photo for OCR: EXIF rotation, deskew, crop to the label text, contrast
+ * stretch and upscaling of small print, then fitting the OCR size limits. The result is
+ * written next to the input as <name>.ocr.png.
+ * @param {string} imagePath - Uploaded image (any format sharp or heic-convert reads)
+ * @param {Object} [options]
+ * @param {Object<string, boolean>} [options.steps] - Enable or disable stages, over IMAGE_PREPROCESS_STEPS
+ * @param {{maxDimension: number, maxBytes: number}} [options.limits] - OCR size limits
+ * @returns {Promise<{path: string, width: number, height: number, source: {width: number, height: number},
+ *   transforms: Array<Object>, steps: Array<{step: string, applied: boolean}>}>} The prepared PNG, the size
+ *   of the photo after EXIF rotation and the geometric transforms from it to the PNG (see mapToSourceImage),
+ *   and, per stage in order, whether it changed the image with its measurements (angle, region, luminance,
+ *   text_line_height, factor)
+ */
+export async function preprocessLabelImage(imagePath, { steps: stepOverrides, limits = DEFAULT_LIMITS } = {}) {
+  const enabled = resolvePreprocessSteps(stepOverrides);
+  const report = [];
+  const transforms = [];
+  let buffer = await readImageBuffer(imagePath);
+
+  const runStep = async (step, run) => {
+    if (!enabled[step]) {
+      report.push({ step, applied: false, skipped: true });
+      return;
+    }
+    const result = await run(buffer);
+    if (result.applied) transforms.push(...await describeTransform(step, buffer, result));
+    buffer = result.buffer;
+    report.push({ step, applied: result.applied, ...result.detail });
+  };
+
+  await runStep("rotate", async (input) => {
+    const { orientation } = await sharp(input).metadata();
+    if (!orientation || orientation === 1) return { buffer: input, applied: false, detail: {} };
+    return { buffer: await toIntermediatePng(sharp(input).rotate()), applied: true, detail: { orientation } };
+  });
+  // Browsers show photos with their EXIF rotation applied, so locations are mapped back to this size
+  const source = await imageSize(buffer);
+  await runStep("deskew", deskew);
+  await runStep("crop", cropToLabel);
+  await runStep("contrast", normalizeContrast);
+  await runStep("upscale", (input) => upscaleSmallText(input, limits));
+
+  const limited = await fitOcrLimits(buffer, limits);
+  if (limited.applied) transforms.push(...await describeTransform("limit", buffer, limited));
+  report.push({ step: "limit", applied: limited.applied, ...limited.detail });
+
+  const ext = path.extname(imagePath);
+  const outputPath = path.join(path.dirname(imagePath), `${path.basename(imagePath, ext)}.ocr.png`);
+  await fs.writeFile(outputPath, limited.buffer);
+  return {
+    path: outputPath,
+    width: limited.detail.width,
+    height: limited.detail.height,
+    source,
+    transforms,
+    steps: report,
+  };
+}
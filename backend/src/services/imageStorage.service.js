@@ -0,0 +1,194 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import sharp from "sharp";
+import { getStorageProvider } from "./storageProviders/index.js";
+
+// Multer writes uploads here; they only live for the duration of an analysis
+export const TEMP_UPLOAD_DIR = process.env.UPLOAD_TEMP_DIR || "uploads/";
+
+export const SCAN_IMAGE_PREFIX = "scans/";
+export const THUMBNAIL_PREFIX = "thumbnails/";
+export const JOURNAL_PHOTO_PREFIX = "journal/";
+const SCAN_IMAGE_KEY_PATTERN = /^scans\/([0-9a-f-]{36})\.jpg$/;
+const JOURNAL_PHOTO_KEY_PATTERN = /^journal\/([0-9a-f-]{36})\.jpg$/;
+const DATA_URL_PATTERN = /^data:image\/[a-z0-9.+-]+;base64,(.+)$/i;
+
+const MAX_IMAGE_DIMENSION = 2048;
+const THUMBNAIL_SIZE = 320;
+
+/**
+ * Error for image input the client has to fix, carrying the HTTP status to answer with
+ */
+export class ImageStorageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ImageStorageError";
+    this.status = status;
+  }
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether value is a stored scan image key ("scans/<uuid>.jpg")
+ */
+export function isScanImageKey(value) {
+  return typeof value === "string" && SCAN_IMAGE_KEY_PATTERN.test(value);
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether value is a stored skin journal photo key ("journal/<uuid>.jpg")
+ */
+export function isJournalPhotoKey(value) {
+  return typeof value === "string" && JOURNAL_PHOTO_KEY_PATTERN.test(value);
+}
+
+/**
+ * @param {string} key - Scan image key
+ * @returns {string} Key of its thumbnail
+ */
+export function thumbnailKeyFor(key) {
+  return `${THUMBNAIL_PREFIX}${key.slice(SCAN_IMAGE_PREFIX.length)}`;
+}
+
+function renderThumbnail(buffer) {
+  return sharp(buffer)
+    .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: "inside", withoutEnlargement: true })
+    .jpeg({ quality: 75 })
+    .toBuffer();
+}
+
+// Upright JPEG of at most 2048px
+function renderStoredImage(input) {
+  return sharp(input)
+    .rotate()
+    .resize({ width: MAX_IMAGE_DIMENSION, height: MAX_IMAGE_DIMENSION, fit: "inside", withoutEnlargement: true })
+    .jpeg({ quality: 85 })
+    .toBuffer();
+}
+
+/**
+ * Stores a product image and its thumbnail as JPEG, upright and at most 2048px
+ * @param {Buffer|string} input - Image buffer or file path
+ * @returns {Promise<string>} Key of the stored image, kept in ScanHistory.productImages
+ */
+export async function storeScanImage(input) {
+  const image = await renderStoredImage(input);
+  const thumbnail = await renderThumbnail(image);
+
+  const key = `${SCAN_IMAGE_PREFIX}${crypto.randomUUID()}.jpg`;
+  const storage = getStorageProvider();
+  await Promise.all([
+    storage.putObject(key, image, "image/jpeg"),
+    storage.putObject(thumbnailKeyFor(key), thumbnail, "image/jpeg"),
+  ]);
+  return key;
+}
+
+/**
+ * Turns a productImages value sent by a client into a stored reference.
+ * Keys and remote URLs are kept, base64 data URLs (older clients) are stored.
+ * @param {string} value
+ * @returns {Promise<string>} Image key, URL, or "" for no image
+ */
+export async function resolveScanImageReference(value) {
+  if (!value) return "";
+  if (typeof value !== "string") {
+    throw new ImageStorageError("Product images must be image keys or data URLs.");
+  }
+  if (isScanImageKey(value) || /^https?:\/\//i.test(value)) return value;
+
+  const match = DATA_URL_PATTERN.exec(value);
+  if (!match) {
+    throw new ImageStorageError("Product images must be image keys or data URLs.");
+  }
+  try {
+    return await storeScanImage(Buffer.from(match[1], "base64"));
+  } catch (err) {
+    throw new ImageStorageError(`Product image could not be read: ${err.message}`);
+  }
+}
+
+/**
+ * Reads a stored scan image, or its thumbnail (rendered and stored on first use if missing)
+ * @param {string} key - Scan image key
+ * @param {Object} [options]
+ * @param {boolean} [options.thumbnail=false]
+ * @returns {Promise<{buffer: Buffer, contentType: string}|null>} null when the image does not exist
+ */
+export async function getScanImage(key, { thumbnail = false } = {}) {
+  if (!isScanImageKey(key)) return null;
+  const storage = getStorageProvider();
+  if (!thumbnail) return storage.getObject(key);
+
+  const thumbnailKey = thumbnailKeyFor(key);
+  const stored = await storage.getObject(thumbnailKey);
+  if (stored) return stored;
+  const original = await storage.getObject(key);
+  if (!original) return null;
+  const buffer = await renderThumbnail(original.buffer);
+  await storage.putObject(thumbnailKey, buffer, "image/jpeg");
+  return { buffer, contentType: "image/jpeg" };
+}
+
+/**
+ * Removes a stored scan image and its thumbnail
+ * @param {string} key - Scan image key
+ */
+export async function deleteScanImage(key) {
+  if (!isScanImageKey(key)) return;
+  const storage = getStorageProvider();
+  await Promise.all([storage.deleteObject(key), storage.deleteObject(thumbnailKeyFor(key))]);
+}
+
+/**
+ * Stores a skin journal photo sent as a base64 data URL, as JPEG, upright and at most 2048px
+ * @param {string} dataUrl
+ * @returns {Promise<string>} Key of the stored photo, kept in SkinJournalEntry.photo
+ */
+export async function storeJournalPhoto(dataUrl) {
+  const match = DATA_URL_PATTERN.exec(typeof dataUrl === "string" ? dataUrl : "");
+  if (!match) throw new ImageStorageError("photo must be an image data URL.");
+  let image;
+  try {
+    image = await renderStoredImage(Buffer.from(match[1], "base64"));
+  } catch (err) {
+    throw new ImageStorageError(`Journal photo could not be read: ${err.message}`);
+  }
+  const key = `${JOURNAL_PHOTO_PREFIX}${crypto.randomUUID()}.jpg`;
+  await getStorageProvider().putObject(key, image, "image/jpeg");
+  return key;
+}
+
+/**
+ * Reads a stored skin journal photo
+ * @param {string} key - Journal photo key
+ * @returns {Promise<{buffer: Buffer, contentType: string}|null>} null when the photo does not exist
+ */
+export async function getJournalPhoto(key) {
+  if (!isJournalPhotoKey(key)) return null;
+  return getStorageProvider().getObject(key);
+}
+
+/**
+ * Removes a stored skin journal photo
+ * @param {string} key - Journal photo key
+ */
+export async function deleteJournalPhoto(key) {
+  if (!isJournalPhotoKey(key)) return;
+  await getStorageProvider().deleteObject(key);
+}
+
+/**
+ * Removes temporary upload and conversion files, ignoring ones already gone
+ * @param {Array<string>} filePaths
+ */
+export async function removeTempFiles(filePaths) {
+  await Promise.all(
+    [...new Set(filePaths.filter(Boolean))].map((filePath) =>
+      fs.rm(filePath, { force: true }).catch((err) =>
+        console.warn(`[Storage] Could not remove temp file ${filePath}: ${err.message}`)
+      )
+    )
+  );
+}
@@ -0,0 +1,190 @@
+import * as fuzz from "fuzzball";
+import IngredientCorrection from "../models/IngredientCorrection.js";
+import UnmatchedReport from "../models/UnmatchedReport.js";
+import { getCosingIngredientIndex } from "./ingredientIndex.service.js";
+import { invalidateAnalysisCache } from "./analysisCache.service.js";
+
+const MAX_OCR_TEXT_LENGTH = 200;
+const MAX_CORRECTIONS_PER_REQUEST = 50;
+// A typed name must be this close to the OCR text (fuzz.ratio, 0-100) unless it was suggested
+const MIN_CORRECTION_SCORE = 60;
+// Distinct users who must accept a correction before it applies to everyone's analyses
+const GLOBAL_CORRECTION_MIN_USERS = parseInt(process.env.CORRECTION_GLOBAL_MIN_USERS || '3', 10);
+// How long the unmatched tokens of a user's last analysis can be corrected
+const UNMATCHED_REPORT_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error carrying the HTTP status the controller should answer with
+ */
+export class CorrectionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CorrectionError';
+    this.status = status;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pattern matching an OCR token as a whole word, whatever its spacing
+ * @param {string} ocrText - Token as read by OCR, e.g. "Glycer1n"
+ * @returns {string} Regular expression source
+ */
+export function correctionPatternFromOcrText(ocrText) {
+  const words = ocrText.trim().toLowerCase().split(/\s+/).map(escapeRegExp);
+  return `(?<![\\p{L}\\p{N}])${words.join('\\s+')}(?![\\p{L}\\p{N}])`;
+}
+
+/**
+ * Loads the corrections for cleanAndSplitIngredients, in the order they were added: global ones, and
+ * the user's own that are not global yet. Per pattern the user's own replacement wins, then the one
+ * most users accepted.
+ * @param {Object} [options]
+ * @param {string|null} [options.userId] - User the analysis runs for
+ * @returns {Promise<Array<{pattern: RegExp, replacement: string}>>}
+ */
+export async function loadIngredientCorrections({ userId = null } = {}) {
+  const filter = userId
+    ? { $or: [{ global_since: { $ne: null } }, { accepted_by: userId }] }
+    : { global_since: { $ne: null } };
+  const docs = await IngredientCorrection.find(filter, 'pattern replacement accepted_by accepted_count')
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+
+  const isOwn = (doc) => Boolean(userId) && (doc.accepted_by || []).some((id) => String(id) === String(userId));
+  const preferred = new Map();
+  for (const doc of docs) {
+    const current = preferred.get(doc.pattern);
+    const better = !current ||
+      (isOwn(doc) && !isOwn(current)) ||
+      (isOwn(doc) === isOwn(current) && doc.accepted_count > current.accepted_count);
+    if (better) preferred.set(doc.pattern, doc);
+  }
+
+  const corrections = [];
+  for (const doc of docs) {
+    if (preferred.get(doc.pattern) !== doc) continue;
+    try {
+      corrections.push({ pattern: new RegExp(doc.pattern, 'giu'), replacement: doc.replacement });
+    } catch (err) {
+      console.warn(`[IngredientCorrection] Skipping invalid pattern ${doc.pattern}: ${err.message}`);
+    }
+  }
+  return corrections;
+}
+
+/**
+ * Whether the user accepted corrections that are not global yet; their analyses then differ
+ * from everyone else's and can't share the analysis cache
+ * @param {string|null} userId
+ * @returns {Promise<boolean>}
+ */
+export async function hasPersonalCorrections(userId) {
+  if (!userId) return false;
+  return Boolean(await IngredientCorrection.exists({ accepted_by: userId, global_since: null }));
+}
+
+/**
+ * Remembers the unmatched tokens of the user's latest analysis, the only text they can correct
+ * @param {string} userId
+ * @param {Array<{ocr_text: string, suggestions: Array<{name: string, score: number}>}>} unmatched
+ */
+export async function recordUnmatchedReport(userId, unmatched = []) {
+  await UnmatchedReport.updateOne(
+    { userId },
+    {
+      $set: {
+        tokens: unmatched.map(({ ocr_text, suggestions }) => ({ ocr_text, suggestions: suggestions || [] })),
+        expiresAt: new Date(Date.now() + UNMATCHED_REPORT_TTL_MS)
+      }
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Stores corrections accepted by a user. Each one maps a token left unmatched by the user's latest
+ * analysis to a CosIng INCI name suggested for it or close to it. Corrections apply to the user's own
+ * analyses, and to everyone's once CORRECTION_GLOBAL_MIN_USERS distinct users accepted the same one.
+ * @param {Array<{ocr_text: string, inci_name: string}>} corrections
+ * @param {string} userId - Id of the user submitting them
+ * @returns {Promise<Array<{ocr_text: string, inci_name: string, accepted_count: number, global: boolean}>>}
+ *   The stored corrections
+ */
+export async function saveIngredientCorrections(corrections, userId) {
+  if (!Array.isArray(corrections) || corrections.length === 0) {
+    throw new CorrectionError('corrections must be a non-empty array');
+  }
+  if (corrections.length > MAX_CORRECTIONS_PER_REQUEST) {
+    throw new CorrectionError(`At most ${MAX_CORRECTIONS_PER_REQUEST} corrections can be sent at once`);
+  }
+
+  const report = await UnmatchedReport.findOne({ userId }, 'tokens').lean();
+  const reportedTokens = new Map((report?.tokens || []).map((token) => [token.ocr_text, token]));
+  const { exact } = await getCosingIngredientIndex();
+
+  // Everything is validated before anything is stored
+  const accepted = [];
+  for (const correction of corrections) {
+    const ocrText = typeof correction?.ocr_text === 'string' ? correction.ocr_text.trim() : '';
+    const requestedName = typeof correction?.inci_name === 'string' ? correction.inci_name.trim() : '';
+    if (!ocrText || ocrText.length > MAX_OCR_TEXT_LENGTH) {
+      throw new CorrectionError(`ocr_text must be 1 to ${MAX_OCR_TEXT_LENGTH} characters`);
+    }
+    const token = reportedTokens.get(ocrText);
+    if (!token) {
+      throw new CorrectionError(`"${ocrText}" was not left unmatched by your latest analysis`);
+    }
+    // Only known INCI names, so a correction can't inject arbitrary text into future analyses
+    const inciName = exact.get(requestedName.toLowerCase());
+    if (!inciName) {
+      throw new CorrectionError(`Unknown INCI name: ${requestedName || '(empty)'}`);
+    }
+    const suggested = token.suggestions.some((suggestion) => suggestion.name === inciName);
+    if (!suggested && fuzz.ratio(ocrText.toLowerCase(), inciName.toLowerCase()) < MIN_CORRECTION_SCORE) {
+      throw new CorrectionError(`${inciName} is too different from "${ocrText}"`);
+    }
+    if (ocrText.toLowerCase() !== inciName.toLowerCase()) accepted.push({ ocrText, inciName });
+  }
+
+  const saved = [];
+  let promoted = false;
+  for (const { ocrText, inciName } of accepted) {
+    // Keyed by pattern and replacement, so a different replacement never overwrites this one
+    const filter = { pattern: correctionPatternFromOcrText(ocrText), replacement: inciName };
+    const before = await IngredientCorrection.findOneAndUpdate(
+      filter,
+      {
+        $addToSet: { accepted_by: userId },
+        $setOnInsert: { ocr_text: ocrText, created_by: userId }
+      },
+      { upsert: true, new: false, projection: 'accepted_by' }
+    ).lean();
+    // Counted once per user; deleted accounts leave accepted_by but stay counted
+    const newlyAccepted = !before || !before.accepted_by.some((id) => String(id) === String(userId));
+    const doc = newlyAccepted
+      ? await IngredientCorrection.findOneAndUpdate(
+        filter,
+        { $inc: { accepted_count: 1 } },
+        { new: true, projection: 'accepted_count global_since' }
+      ).lean()
+      : await IngredientCorrection.findOne(filter, 'accepted_count global_since').lean();
+    const becomesGlobal = !doc.global_since && doc.accepted_count >= GLOBAL_CORRECTION_MIN_USERS;
+    if (becomesGlobal) {
+      await IngredientCorrection.updateOne({ _id: doc._id, global_since: null }, { $set: { global_since: new Date() } });
+    }
+    promoted ||= becomesGlobal;
+    saved.push({
+      ocr_text: ocrText,
+      inci_name: inciName,
+      accepted_count: doc.accepted_count,
+      global: Boolean(doc.global_since) || becomesGlobal
+    });
+  }
+  // Cached analyses were read without a correction that now applies to everyone
+  if (promoted) invalidateAnalysisCache();
+  return saved;
+}
@@ -1,16 +1,54 @@
-import IngredientCosing from "../models/ingredientCosing.js";
 import IngredientRenude from "../models/IngredientRenude.js";
-import { extractIngredientsFromText, cleanAndSplitIngredients, matchIngredientsWithFuzzy } from "../utils/ocrLogic.js";
+import { extractIngredientsFromText, splitIngredientsWithConcentrations, matchIngredientsWithReport, buildWordConfidenceMap, estimateTokenConfidence, locateTokenInOcrWords } from "../utils/ocrLogic.js";
 import { enrichIngredientsWithDetails } from "./ingredientEnrichment.service.js";
+import { loadKoreanInciTranslator } from "./koreanInci.service.js";
+import { getCosingIngredientIndex } from "./ingredientIndex.service.js";
+import { loadIngredientCorrections } from "./ingredientCorrection.service.js";
 
-// Ingredient extraction from OCR text
-export async function extractIngredientsFromTextService(ocrText) {
+// Detections below either threshold are flagged for the user to verify
+const LOW_OCR_CONFIDENCE = 0.9;
+const LOW_MATCH_SCORE = 95;
+
+/**
+ * Ingredient extraction from OCR text (or a pasted ingredient list with requireHeader: false)
+ * @param {string} ocrText
+ * @param {Object} [options]
+ * @param {boolean} [options.requireHeader=true] - Only read the text after an "Ingredients" header
+ * @param {Array<Object>} [options.ocrWords] - Recognized words with confidence and polygon (see getOcrWords)
+ * @param {function(string): void} [options.onStage] - Called with "match" and "enrich" as those stages start
+ * @param {string|null} [options.userId] - Signed-in user, whose own OCR corrections also apply
+ * Names written only in Korean are translated to INCI through the IngredientKorean mapping.
+ * @returns {Promise<{ingredients: Array<Object>, unmatched: Array<{ocr_text: string, suggestions: Array<{name: string, score: number}>}>}>}
+ *   Ingredient details in label order with position, stated concentration (percent, null if not stated or
+ *   not convertible), ocr_text, ocr_confidence, match_score, low_confidence and locations (bounding polygons
+ *   per label image), and the tokens no INCI name matched with their 3 closest names
+ */
+export async function extractIngredientsFromTextService(ocrText, options = {}) {
   if (!ocrText) throw new Error('No OCR text provided');
-  const ingredientsBlock = extractIngredientsFromText(ocrText);
-  const tokens = cleanAndSplitIngredients(ingredientsBlock);
-  const ingredientDocs = await IngredientCosing.find({}, 'inci_name').lean();
-  const nameList = ingredientDocs.map(d => d.inci_name).filter(Boolean);
-  const matchedNames = await matchIngredientsWithFuzzy(tokens, nameList, 85);
+  const { ocrWords, onStage, userId = null, ...extractOptions } = options;
+  const wordConfidences = ocrWords ? buildWordConfidenceMap(ocrWords) : null;
+  const ingredientsBlock = extractIngredientsFromText(ocrText, extractOptions);
+  const [koreanTranslator, corrections] = await Promise.all([
+    loadKoreanInciTranslator(ingredientsBlock),
+    loadIngredientCorrections({ userId })
+  ]);
+  const splitTokens = splitIngredientsWithConcentrations(ingredientsBlock, {
+    corrections,
+    translateToken: koreanTranslator?.translateToken
+  });
+  const tokens = splitTokens.map(t => t.token);
+  // Label position (1-based, INCI lists go by descending concentration) and stated concentration per token
+  const tokenDetails = new Map();
+  splitTokens.forEach(({ token, concentration }, index) => {
+    if (!tokenDetails.has(token)) tokenDetails.set(token, { position: index + 1, concentration });
+  });
+  onStage?.('match');
+  const cosingIndex = await getCosingIngredientIndex();
+  const { matches, unmatched } = await matchIngredientsWithReport(tokens, cosingIndex, 85);
+  // Keep label order, an ingredient matched by several tokens sits at its best token
+  matches.sort((a, b) => tokenDetails.get(a.token).position - tokenDetails.get(b.token).position);
+  const matchedNames = matches.map(m => m.name);
+  const matchMap = new Map(matches.map(m => [m.name, m]));
 
   // Get ingredients from Renude first
   const RenudeFields = 'name description benefits good_for risk_level reason';
@@ -26,6 +64,7 @@ export async function extractIngredientsFromTextService(ocrText) {
   const missingIngredients = matchedNames.filter(name => !renudeMap.has(name));
 
   // Enrich only missing ingredients with LLM
+  onStage?.('enrich');
   const enrichedMissing = await enrichIngredientsWithDetails(missingIngredients);
   const enrichedMap = new Map();
   enrichedMissing.forEach(item => {
@@ -33,19 +72,39 @@ export async function extractIngredientsFromTextService(ocrText) {
   });
 
   // Combine results in original order and filter fields
+  let wordCursor = 0;
   const ingredientDetails = matchedNames.map(name => {
     const item = renudeMap.get(name) || enrichedMap.get(name);
     if (!item) return null;
-    
+
+    const match = matchMap.get(name);
+    // Korean names are located on the label by the text that was actually printed
+    const ocrToken = koreanTranslator?.translatedFrom.get(match.token) || match.token;
+    const located = ocrWords ? locateTokenInOcrWords(ocrToken, ocrWords, wordCursor) : null;
+    if (located) wordCursor = located.end;
+    const ocrConfidence = located?.confidence ?? estimateTokenConfidence(ocrToken, wordConfidences);
+    const { position, concentration } = tokenDetails.get(match.token);
     return {
       name: item.name,
       description: item.description || '',
       benefits: item.benefits || [],
       good_for: item.good_for || [],
       risk_level: item.risk_level || 'Unknown',
-      reason: item.reason || ''
+      reason: item.reason || '',
+      position,
+      concentration: concentration?.percent ?? null,
+      concentration_text: concentration?.text || null,
+      ocr_text: ocrToken,
+      ocr_confidence: ocrConfidence,
+      match_score: match.score,
+      low_confidence: match.score < LOW_MATCH_SCORE ||
+        (ocrConfidence !== null && ocrConfidence < LOW_OCR_CONFIDENCE),
+      locations: located?.locations || []
     };
   }).filter(Boolean);
 
-  return ingredientDetails
+  return {
+    ingredients: ingredientDetails,
+    unmatched: unmatched.map(({ token, suggestions }) => ({ ocr_text: token, suggestions }))
+  };
 }
@@ -0,0 +1,61 @@
+import IngredientCosing from "../models/ingredientCosing.js";
+import { buildTrigramIndex } from "../utils/trigramIndex.js";
+
+// How often the CosIng collection is checked for changes before reusing the index
+const INDEX_CHECK_INTERVAL_MS = parseInt(process.env.INGREDIENT_INDEX_CHECK_MS || '60000', 10);
+
+let cachedIndex = null;
+let cachedSignature = null;
+let lastCheckedAt = 0;
+let pendingBuild = null;
+
+// Cheap fingerprint of the collection: reseeding changes the count or the latest update time
+async function getCosingSignature() {
+  const [count, latest] = await Promise.all([
+    IngredientCosing.estimatedDocumentCount(),
+    IngredientCosing.findOne({}, 'updatedAt').sort({ updatedAt: -1 }).lean()
+  ]);
+  return `${count}:${latest?.updatedAt ? new Date(latest.updatedAt).getTime() : 0}`;
+}
+
+async function buildCosingIndex(signature) {
+  const startedAt = Date.now();
+  const ingredientDocs = await IngredientCosing.find({}, 'inci_name').lean();
+  const nameList = ingredientDocs.map(d => d.inci_name).filter(Boolean);
+  cachedIndex = buildTrigramIndex(nameList);
+  cachedSignature = signature;
+  console.log(`[IngredientIndex] Indexed ${nameList.length} CosIng names in ${Date.now() - startedAt}ms`);
+  return cachedIndex;
+}
+
+/**
+ * Returns the trigram index of CosIng INCI names, built on first use and rebuilt when the
+ * collection changed (checked at most every INGREDIENT_INDEX_CHECK_MS)
+ * @returns {Promise<Object>} Output of buildTrigramIndex
+ */
+export async function getCosingIngredientIndex() {
+  if (cachedIndex && Date.now() - lastCheckedAt < INDEX_CHECK_INTERVAL_MS) return cachedIndex;
+  // Concurrent requests share one check/build
+  if (pendingBuild) return pendingBuild;
+
+  pendingBuild = (async () => {
+    const signature = await getCosingSignature();
+    lastCheckedAt = Date.now();
+    if (cachedIndex && signature === cachedSignature) return cachedIndex;
+    return buildCosingIndex(signature);
+  })();
+  try {
+    return await pendingBuild;
+  } finally {
+    pendingBuild = null;
+  }
+}
+
+/**
+ * Drops the cached index so the next lookup rebuilds it (call after writing to IngredientCosing)
+ */
+export function invalidateCosingIngredientIndex() {
+  cachedIndex = null;
+  cachedSignature = null;
+  lastCheckedAt = 0;
+}
@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import IngredientCosing from "../models/ingredientCosing.js";
+import { normalizeIngredientName } from "./ingredientSearch.service.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Ingredient classes and the rules between them; edit the data file to add interactions
+const RULES_PATH = path.join(__dirname, "../data/ingredientInteractions.json");
+
+export const INTERACTION_SEVERITIES = ["high", "moderate", "low"];
+export const MAX_INTERACTION_INGREDIENTS = 100;
+
+// A class matches an ingredient by exact INCI name, name pattern or CosIng function category.
+// min_concentration (percent) marks classes whose members also serve in trace amounts (pH adjusters,
+// antioxidants), which don't count within one product.
+function compileRules(data) {
+  const classes = new Map(Object.entries(data.classes).map(([id, definition]) => {
+    if (definition.min_concentration !== undefined && typeof definition.min_concentration !== "number") {
+      throw new Error(`Ingredient class "${id}" has a non-numeric min_concentration`);
+    }
+    return [id, {
+      id,
+      label: definition.label,
+      names: new Set((definition.names || []).map(normalizeIngredientName)),
+      patterns: (definition.patterns || []).map((pattern) => new RegExp(pattern, "i")),
+      functions: new Set(definition.functions || []),
+      minConcentration: definition.min_concentration ?? null,
+    }];
+  }));
+  const rules = data.rules.map((rule) => {
+    const unknown = rule.classes.find((id) => !classes.has(id));
+    if (unknown) throw new Error(`Interaction rule "${rule.id}" uses unknown class "${unknown}"`);
+    if (rule.classes.length !== 2) throw new Error(`Interaction rule "${rule.id}" must name two classes`);
+    if (!INTERACTION_SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Interaction rule "${rule.id}" has unknown severity "${rule.severity}"`);
+    }
+    return rule;
+  });
+  return { classes, rules };
+}
+
+const rulesSource = fs.readFileSync(RULES_PATH, "utf8");
+const { classes: INGREDIENT_CLASSES, rules: INTERACTION_RULES } = compileRules(JSON.parse(rulesSource));
+
+// Part of the analysis cache's knowledge base version, so edited rules refresh cached analyses
+export const INTERACTION_RULES_VERSION = crypto.createHash("sha256").update(rulesSource).digest("hex").slice(0, 16);
+
+/**
+ * Resolves the interaction classes of each ingredient from its INCI name and CosIng functions
+ * @param {Array<string>} names - Ingredient names; duplicates (case-insensitive) are dropped
+ * @returns {Promise<Array<{name: string, classes: Array<string>}>>}
+ */
+export async function resolveIngredientClasses(names) {
+  const unique = new Map();
+  for (const name of names) {
+    const key = normalizeIngredientName(name);
+    if (key && !unique.has(key)) unique.set(key, name.trim());
+  }
+  const cosingDocs = await IngredientCosing.find(
+    { inci_normalized: { $in: [...unique.keys()] } },
+    "inci_normalized functions"
+  ).lean();
+  const functionsByKey = new Map(cosingDocs.map((doc) => [
+    doc.inci_normalized,
+    new Set((doc.functions || []).flatMap(({ primary, subtype }) => [primary, subtype].filter(Boolean))),
+  ]));
+
+  return [...unique].map(([key, name]) => {
+    const functions = functionsByKey.get(key) || new Set();
+    const classes = [...INGREDIENT_CLASSES.values()]
+      .filter((ingredientClass) =>
+        ingredientClass.names.has(key) ||
+        ingredientClass.patterns.some((pattern) => pattern.test(key)) ||
+        [...ingredientClass.functions].some((fn) => functions.has(fn)))
+      .map((ingredientClass) => ingredientClass.id);
+    return { name, classes };
+  });
+}
+
+const pairKey = (a, b) => (a < b ? `${a}\n${b}` : `${b}\n${a}`);
+
+// Known concentration first, then the side of the 1% line; without either the ingredient counts
+function countsAsMember(ingredientClass, amount) {
+  if (ingredientClass.minConcentration === null || !amount) return true;
+  if (typeof amount.concentration === "number") return amount.concentration >= ingredientClass.minConcentration;
+  return amount.below_one_percent !== true;
+}
+
+/**
+ * Checks a set of ingredients against the interaction rules. Rules are checked in file order and
+ * a pair of ingredients is reported once, by the first rule matching it.
+ * @param {Array<string|Object>} items - Ingredient names (INCI, case-insensitive), or the weighed ingredients
+ *   of one product (output of weighIngredients): members of classes with a min_concentration then only
+ *   count at that concentration or, when it is unknown, above the 1% line
+ * @returns {Promise<{ingredients: Array<{name: string, classes: Array<string>}>, conflicts: Array<Object>}>}
+ *   Each conflict has rule, severity ("high", "moderate" or "low"), title, explanation, advice and
+ *   classes ([{class, label, ingredients}], one entry when the rule pairs a class with itself);
+ *   conflicts are ordered by severity
+ */
+export async function findIngredientConflicts(items) {
+  const entries = items.map((item) => (typeof item === "string" ? { name: item } : item));
+  const amounts = new Map();
+  for (const entry of entries) {
+    const key = normalizeIngredientName(entry.name);
+    if (typeof entry.name === "string" && !amounts.has(key)) amounts.set(key, entry);
+  }
+  const ingredients = await resolveIngredientClasses(entries.map((entry) => entry.name));
+  const membersOf = (classId) => ingredients
+    .filter((ingredient) => ingredient.classes.includes(classId) &&
+      countsAsMember(INGREDIENT_CLASSES.get(classId), amounts.get(normalizeIngredientName(ingredient.name))))
+    .map((ingredient) => ingredient.name);
+
+  const reported = new Set();
+  const conflicts = [];
+  for (const rule of INTERACTION_RULES) {
+    const [classA, classB] = rule.classes;
+    const pairs = [];
+    for (const a of membersOf(classA)) {
+      for (const b of membersOf(classB)) {
+        const key = pairKey(a, b);
+        if (a === b || reported.has(key) || pairs.some((pair) => pair.key === key)) continue;
+        pairs.push({ key, a, b });
+      }
+    }
+    if (pairs.length === 0) continue;
+    pairs.forEach(({ key }) => reported.add(key));
+
+    const sides = classA === classB
+      ? [{ id: classA, ingredients: pairs.flatMap(({ a, b }) => [a, b]) }]
+      : [{ id: classA, ingredients: pairs.map(({ a }) => a) }, { id: classB, ingredients: pairs.map(({ b }) => b) }];
+    conflicts.push({
+      rule: rule.id,
+      severity: rule.severity,
+      title: rule.title,
+      explanation: rule.explanation,
+      advice: rule.advice || "",
+      classes: sides.map(({ id, ingredients: members }) => ({
+        class: id,
+        label: INGREDIENT_CLASSES.get(id).label,
+        ingredients: [...new Set(members)],
+      })),
+    });
+  }
+  conflicts.sort((a, b) => INTERACTION_SEVERITIES.indexOf(a.severity) - INTERACTION_SEVERITIES.indexOf(b.severity));
+  return { ingredients, conflicts };
+}
@@ -0,0 +1,67 @@
+import IngredientCosing from "../models/ingredientCosing.js";
+import { normalizeIngredientName } from "./ingredientSearch.service.js";
+
+// Annex II bans a substance; the other annexes allow it within limits
+const ANNEX_STATUS = { II: "prohibited", III: "restricted", IV: "restricted", V: "restricted", VI: "restricted" };
+const ANNEX_CATEGORY = {
+  II: "Prohibited substance",
+  III: "Restricted substance",
+  IV: "Colorant",
+  V: "Preservative",
+  VI: "UV filter",
+};
+
+function describeRegulations(status, regulations) {
+  const references = regulations.map((regulation) => regulation.reference).join(", ");
+  if (status === "prohibited") return `Prohibited in EU cosmetics (Annex ${references})`;
+  const limits = regulations.map((regulation) => regulation.max_concentration).filter(Boolean);
+  return limits.length
+    ? `Restricted in EU cosmetics (Annex ${references}), max. ${limits.join("; ")}`
+    : `Restricted in EU cosmetics (Annex ${references})`;
+}
+
+/**
+ * Flags ingredients listed in the Cosmetics Regulation annexes (CosIng data, independent of risk_level)
+ * @param {Array<Object>} ingredients - Output of weighIngredients
+ * @returns {Promise<Array<{name: string, status: "prohibited"|"restricted", regulations: Array<Object>, reason: string, position: number|null, concentration: number|null, concentration_text: string|null}>>}
+ *   Prohibited ingredients first, then in label order. Each regulation has annex, reference ("III/98"),
+ *   category, max_concentration, product_type, conditions, warnings and regulation as worded in CosIng.
+ */
+export async function findRegulatedIngredients(ingredients) {
+  const keys = ingredients.map((ingredient) => normalizeIngredientName(ingredient.name));
+  const cosingDocs = await IngredientCosing.find(
+    { inci_normalized: { $in: keys }, "regulations.0": { $exists: true } },
+    "inci_normalized regulations"
+  ).lean();
+  const regulationsByKey = new Map(cosingDocs.map((doc) => [doc.inci_normalized, doc.regulations]));
+
+  const regulated = ingredients.flatMap((ingredient, i) => {
+    const regulations = (regulationsByKey.get(keys[i]) || []).map((regulation) => ({
+      annex: regulation.annex,
+      reference: regulation.reference,
+      category: ANNEX_CATEGORY[regulation.annex],
+      max_concentration: regulation.max_concentration || "",
+      product_type: regulation.product_type || "",
+      conditions: regulation.conditions || "",
+      warnings: regulation.warnings || "",
+      regulation: regulation.regulation || "",
+    }));
+    if (regulations.length === 0) return [];
+    const status = regulations.some((regulation) => ANNEX_STATUS[regulation.annex] === "prohibited")
+      ? "prohibited"
+      : "restricted";
+    return [{
+      name: ingredient.name,
+      status,
+      regulations,
+      reason: describeRegulations(status, regulations),
+      position: ingredient.position ?? null,
+      concentration: ingredient.concentration ?? null,
+      concentration_text: ingredient.concentration_text ?? null,
+    }];
+  });
+  return regulated.sort((a, b) =>
+    (a.status === "prohibited" ? 0 : 1) - (b.status === "prohibited" ? 0 : 1) ||
+    (a.position ?? Number.MAX_SAFE_INTEGER) - (b.position ?? Number.MAX_SAFE_INTEGER)
+  );
+}
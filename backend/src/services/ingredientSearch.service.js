@@ -0,0 +1,217 @@
+import * as fuzz from "fuzzball";
+import IngredientCosing from "../models/ingredientCosing.js";
+import IngredientRenude from "../models/IngredientRenude.js";
+import IngredientAI from "../models/ingredientAI.js";
+import IngredientKorean from "../models/IngredientKorean.js";
+import Product from "../models/Product.js";
+import { getCosingIngredientIndex } from "./ingredientIndex.service.js";
+import { buildTrigramIndex, findTrigramCandidates } from "../utils/trigramIndex.js";
+
+export const MIN_SEARCH_QUERY_LENGTH = 2;
+export const MAX_SEARCH_QUERY_LENGTH = 100;
+export const MAX_SEARCH_RESULTS = 25;
+const MAX_PROFILE_PRODUCTS = 20;
+// Typos are only looked for once a few letters are typed
+const MIN_FUZZY_QUERY_LENGTH = 4;
+const MIN_FUZZY_SCORE = 75;
+// Same check interval as the CosIng index
+const INDEX_CHECK_INTERVAL_MS = parseInt(process.env.INGREDIENT_INDEX_CHECK_MS || '60000', 10);
+
+// CosIng names come from the matcher index; Renude and AI names missing from CosIng get their own index
+let extraIndex = null;
+let extraSignature = null;
+let lastCheckedAt = 0;
+let pendingBuild = null;
+
+// Same form as IngredientCosing.inci_normalized and IngredientRenude.name_normalized
+export function normalizeIngredientName(name) {
+  return (name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Case-insensitive pattern for fields holding an ingredient name as written in another source
+ * (catalog product lists, scan history, the Korean mapping)
+ * @param {string} name
+ * @returns {RegExp}
+ */
+export function ingredientNamePattern(name) {
+  return new RegExp(`^\\s*${escapeRegExp(name.trim())}\\s*$`, 'i');
+}
+
+async function getExtraSignature() {
+  const signatures = await Promise.all([IngredientRenude, IngredientAI].map(async (Model) => {
+    const [count, latest] = await Promise.all([
+      Model.estimatedDocumentCount(),
+      Model.findOne({}, 'updatedAt').sort({ updatedAt: -1 }).lean()
+    ]);
+    return `${count}:${latest?.updatedAt ? new Date(latest.updatedAt).getTime() : 0}`;
+  }));
+  return signatures.join('|');
+}
+
+async function buildExtraIndex(cosingIndex, signature) {
+  const [renudeDocs, aiDocs] = await Promise.all([
+    IngredientRenude.find({}, 'name').lean(),
+    IngredientAI.find({}, 'name').lean()
+  ]);
+  const names = new Map();
+  for (const { name } of [...renudeDocs, ...aiDocs]) {
+    const key = normalizeIngredientName(name);
+    if (key && !cosingIndex.exact.has(key) && !names.has(key)) names.set(key, name.trim());
+  }
+  extraIndex = buildTrigramIndex([...names.values()]);
+  extraSignature = signature;
+  return extraIndex;
+}
+
+// Both indexes, the extra one rebuilt when Renude or IngredientAI changed
+async function getSearchIndexes() {
+  const cosingIndex = await getCosingIngredientIndex();
+  if (!extraIndex || Date.now() - lastCheckedAt >= INDEX_CHECK_INTERVAL_MS) {
+    pendingBuild ??= (async () => {
+      const signature = await getExtraSignature();
+      lastCheckedAt = Date.now();
+      if (!extraIndex || signature !== extraSignature) await buildExtraIndex(cosingIndex, signature);
+    })().finally(() => { pendingBuild = null; });
+    await pendingBuild;
+  }
+  return [cosingIndex, extraIndex];
+}
+
+// Ranks names typed so far: whole-name prefix, then word prefix, then typo-tolerant fuzzy matches
+function rankNames(index, query) {
+  const ranked = [];
+  const seen = new Set();
+  for (const name of index.names) {
+    const lname = name.toLowerCase();
+    if (lname.startsWith(query)) {
+      ranked.push({ name, match: 'prefix', score: 100 });
+    } else if (lname.includes(` ${query}`) || lname.includes(`-${query}`) || lname.includes(`/${query}`)) {
+      ranked.push({ name, match: 'word', score: 100 });
+    } else {
+      continue;
+    }
+    seen.add(name);
+  }
+  if (query.length >= MIN_FUZZY_QUERY_LENGTH) {
+    for (const name of findTrigramCandidates(index, query)) {
+      if (seen.has(name)) continue;
+      const lname = name.toLowerCase();
+      // The start of the name scores unfinished words ("niacinim" for "niacinamide")
+      const score = Math.max(fuzz.ratio(query, lname), fuzz.ratio(query, lname.slice(0, query.length)));
+      if (score >= MIN_FUZZY_SCORE) ranked.push({ name, match: 'fuzzy', score });
+    }
+  }
+  return ranked;
+}
+
+const MATCH_ORDER = { prefix: 0, word: 1, fuzzy: 2 };
+
+async function loadIngredientRecords(names) {
+  const keys = names.map(normalizeIngredientName);
+  const [cosingDocs, renudeDocs, aiDocs] = await Promise.all([
+    IngredientCosing.find({ inci_normalized: { $in: keys } }, 'inci_name inci_normalized functions regulations').lean(),
+    IngredientRenude.find(
+      { name_normalized: { $in: keys } },
+      'name name_normalized description benefits good_for risk_level reason'
+    ).lean(),
+    IngredientAI.find({ name: { $in: names } }, 'name description benefits good_for risk_level reason').lean()
+  ]);
+  const byKey = (docs, keyOf) => new Map(docs.map((doc) => [keyOf(doc), doc]));
+  return {
+    cosing: byKey(cosingDocs, (doc) => doc.inci_normalized),
+    renude: byKey(renudeDocs, (doc) => doc.name_normalized),
+    ai: byKey(aiDocs, (doc) => normalizeIngredientName(doc.name))
+  };
+}
+
+// Renude takes precedence over IngredientAI, as in product analyses
+function mergeIngredientRecord(name, { cosing, renude, ai }) {
+  const pick = (field) => (renude?.[field]?.length ? renude[field] : ai?.[field]);
+  return {
+    name: cosing?.inci_name || renude?.name || ai?.name || name,
+    functions: (cosing?.functions || []).map(({ primary, subtype }) => ({ primary, subtype: subtype || null })),
+    // Annex II-VI entries of the Cosmetics Regulation
+    regulations: (cosing?.regulations || []).map(({ _id, ...regulation }) => regulation),
+    description: pick('description') || '',
+    benefits: pick('benefits') || [],
+    good_for: pick('good_for') || [],
+    risk_level: (pick('risk_level') || 'unknown').toLowerCase(),
+    reason: pick('reason') || '',
+    sources: [cosing && 'cosing', renude && 'renude', ai && 'ai'].filter(Boolean)
+  };
+}
+
+async function mergeIngredientRecords(names) {
+  const records = await loadIngredientRecords(names);
+  return names.map((name) => {
+    const key = normalizeIngredientName(name);
+    return mergeIngredientRecord(name, {
+      cosing: records.cosing.get(key),
+      renude: records.renude.get(key),
+      ai: records.ai.get(key)
+    });
+  });
+}
+
+/**
+ * Autocompletes ingredient names over CosIng, Renude and IngredientAI
+ * @param {string} query - Typed text, at least MIN_SEARCH_QUERY_LENGTH characters
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - At most MAX_SEARCH_RESULTS
+ * @returns {Promise<Array<Object>>} Merged records (name, CosIng functions and regulations, description,
+ *   benefits, good_for, risk_level, reason, sources) best first, each with match ("prefix", "word" or "fuzzy") and score (0-100)
+ */
+export async function searchIngredients(query, { limit = 10 } = {}) {
+  const normalizedQuery = normalizeIngredientName(query);
+  const indexes = await getSearchIndexes();
+  const ranked = indexes.flatMap((index) => rankNames(index, normalizedQuery));
+  // A name can be in both indexes until the extra one is rebuilt after a CosIng reseed
+  const seen = new Set();
+  const unique = ranked.filter(({ name }) => !seen.has(name.toLowerCase()) && seen.add(name.toLowerCase()));
+  unique.sort((a, b) =>
+    MATCH_ORDER[a.match] - MATCH_ORDER[b.match] ||
+    b.score - a.score ||
+    a.name.length - b.name.length ||
+    a.name.localeCompare(b.name)
+  );
+  const top = unique.slice(0, Math.min(limit, MAX_SEARCH_RESULTS));
+  const records = await mergeIngredientRecords(top.map(({ name }) => name));
+  return records.map((record, i) => ({ ...record, match: top[i].match, score: top[i].score }));
+}
+
+/**
+ * Full profile of one ingredient, merged from every knowledge source
+ * @param {string} name - INCI or Renude/AI name, case-insensitive
+ * @returns {Promise<Object|null>} Merged record with korean_names and the best ranked catalog products
+ *   listing it (products, at most 20, and product_count), null when no source knows the name
+ */
+export async function getIngredientProfile(name) {
+  const key = normalizeIngredientName(name);
+  const [cosingIndex, extra] = await getSearchIndexes();
+  const displayName = cosingIndex.exact.get(key) || extra.exact.get(key);
+  if (!displayName) return null;
+
+  const [[record], koreanDocs] = await Promise.all([
+    mergeIngredientRecords([displayName]),
+    IngredientKorean.find({ inci_name: ingredientNamePattern(displayName) }, 'korean_name').lean()
+  ]);
+  const productFilter = { ingredients: ingredientNamePattern(displayName) };
+  const [products, productCount] = await Promise.all([
+    Product.find(productFilter, 'name brand category price rank thumbnail_url')
+      .sort({ rank: -1 })
+      .limit(MAX_PROFILE_PRODUCTS)
+      .lean(),
+    Product.countDocuments(productFilter)
+  ]);
+  return {
+    ...record,
+    korean_names: koreanDocs.map((doc) => doc.korean_name),
+    products,
+    product_count: productCount
+  };
+}
@@ -0,0 +1,57 @@
+import * as fuzz from "fuzzball";
+import IngredientKorean from "../models/IngredientKorean.js";
+
+const HANGUL_TEST = /\p{Script=Hangul}/u;
+const LATIN_TEST = /\p{Script=Latin}/u;
+// Short names differ by a single syllable (글리세린 / 글리콜), only fuzzy-match longer ones
+const MIN_FUZZY_LENGTH = 4;
+const FUZZY_THRESHOLD = 85;
+
+/**
+ * Normalizes a Korean ingredient name for lookup: spacing on labels is inconsistent
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeKoreanName(name) {
+  if (!name) return '';
+  return name.normalize('NFC').replace(/\s+/g, '');
+}
+
+/**
+ * Loads the Korean → INCI mapping and returns a translator for cleanAndSplitIngredients.
+ * Only Hangul-only parts are translated, bilingual parts already carry the INCI name.
+ * @param {string} ingredientsBlock - Text of the ingredient list
+ * @returns {Promise<{translateToken: Function, translatedFrom: Map<string, string>}|null>}
+ *   null when the block has no Hangul; translatedFrom maps each INCI name back to the label text
+ */
+export async function loadKoreanInciTranslator(ingredientsBlock) {
+  if (!ingredientsBlock || !HANGUL_TEST.test(ingredientsBlock)) return null;
+
+  const docs = await IngredientKorean.find({}, 'korean_normalized inci_name').lean();
+  if (!docs.length) return null;
+  const inciByKorean = new Map(docs.map(d => [d.korean_normalized, d.inci_name]));
+  const koreanNames = [...inciByKorean.keys()];
+  const translatedFrom = new Map();
+
+  const translateToken = (part) => {
+    if (LATIN_TEST.test(part) || !HANGUL_TEST.test(part)) return null;
+    const key = normalizeKoreanName(part);
+    let inciName = inciByKorean.get(key);
+
+    if (!inciName && key.length >= MIN_FUZZY_LENGTH) {
+      let bestScore = 0;
+      for (const name of koreanNames) {
+        const score = fuzz.ratio(key, name);
+        if (score > bestScore) {
+          bestScore = score;
+          inciName = score >= FUZZY_THRESHOLD ? inciByKorean.get(name) : undefined;
+        }
+      }
+    }
+    if (!inciName) return null;
+    if (!translatedFrom.has(inciName)) translatedFrom.set(inciName, part);
+    return inciName;
+  };
+
+  return { translateToken, translatedFrom };
+}
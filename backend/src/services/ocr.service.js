@@ -1,30 +1,89 @@
-import { callNaverOcr, sortFieldsByPosition, buildLinesFromFields } from "../utils/ocrLogic.js";
-import IngredientCosing from "../models/ingredientCosing.js";
-import { extractIngredientsFromText, cleanAndSplitIngredients, matchIngredientsWithFuzzy } from "../utils/ocrLogic.js";
+import { sortFieldsByPosition, buildLinesFromFields, buildOcrWordIndex, detectOcrLanguage } from "../utils/ocrLogic.js";
+import { getOcrProvider } from "./ocrProviders/index.js";
+import { hashFile } from "../utils/fileHash.js";
 import { fileURLToPath } from 'url';
+import fs from 'fs/promises';
 import path from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Pure OCR service: returns OCR data from image
-export async function runOcrService(secretKey, apiUrl, imagePath, imageFormat = 'png') {
-  if (!secretKey || !apiUrl || !imagePath) throw new Error('Missing required parameters');
-  return await callNaverOcr({ secretKey, apiUrl, imagePath, imageFormat });
+// Below this mean confidence an auto-language pass with no script hint tries another language
+const AUTO_LANG_MIN_CONFIDENCE = 0.8;
+// Extra passes an auto-language image may cost, each one a paid OCR call (0 keeps the first pass)
+const AUTO_LANG_MAX_RETRIES = parseInt(process.env.OCR_AUTO_LANG_MAX_RETRIES || '1', 10);
+
+function averageOcrConfidence(ocrData) {
+  const scores = (ocrData?.images?.[0]?.fields || [])
+    .map(f => f.inferConfidence)
+    .filter(score => typeof score === 'number');
+  return scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0;
+}
+
+function readOcrText(ocrData) {
+  try {
+    return getOcrTextFromData(ocrData);
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Picks the OCR language of one image: a first pass with the provider's default
+ * language, then a second pass in the language its script suggests. When the text
+ * gives no hint and reads poorly, the next supported languages are tried, at most
+ * OCR_AUTO_LANG_MAX_RETRIES extra passes in all. The result with the best mean confidence wins.
+ */
+async function recognizeWithAutoLang(provider, imagePath, imageFormat) {
+  const firstLang = provider.defaultLang;
+  const first = await provider.recognize({ imagePath, imageFormat, lang: firstLang });
+  const supported = provider.supportedLangs || [];
+  if (supported.length === 0) return { ocrData: first, lang: firstLang };
+
+  const detected = detectOcrLanguage(readOcrText(first));
+  let candidates = [];
+  if (detected && detected !== firstLang && supported.includes(detected)) {
+    candidates = [detected];
+  } else if (!detected && averageOcrConfidence(first) < AUTO_LANG_MIN_CONFIDENCE) {
+    candidates = supported.filter(l => l !== firstLang);
+  }
+  candidates = candidates.slice(0, AUTO_LANG_MAX_RETRIES);
+
+  let best = { ocrData: first, lang: firstLang, confidence: averageOcrConfidence(first) };
+  for (const lang of candidates) {
+    const ocrData = await provider.recognize({ imagePath, imageFormat, lang });
+    const confidence = averageOcrConfidence(ocrData);
+    if (confidence > best.confidence) best = { ocrData, lang, confidence };
+  }
+  return best;
 }
 
-// Ingredient extraction from OCR text
-export async function extractIngredientsFromTextService(ocrText) {
-  if (!ocrText) throw new Error('No OCR text provided');
-  const ingredientsBlock = extractIngredientsFromText(ocrText);
-  const tokens = cleanAndSplitIngredients(ingredientsBlock).map(t => t.toLowerCase());
-  const ingredientDocs = await IngredientCosing.find({}, 'inci_normalized inci_name').lean();
-  const normalizedList = ingredientDocs.map(d => d.inci_normalized).filter(Boolean);
-  const matchedNormalized = await matchIngredientsWithFuzzy(tokens, normalizedList, 75);
-  const matchedNames = ingredientDocs
-    .filter(d => matchedNormalized.includes(d.inci_normalized))
-    .map(d => d.inci_name || d.inci_normalized);
-  return matchedNames
+/**
+ * Pure OCR service: returns OCR data (CLOVA OCR response shape) from an image
+ * using the provider selected by OCR_PROVIDER. The language is chosen per image
+ * unless given here or fixed with OCR_LANG; it is returned as `lang`.
+ * With OCR_RECORD_DIR set, every response is also saved as a fixture for the fixture provider.
+ * @param {string} imagePath
+ * @param {Object} [options]
+ * @param {string} [options.imageFormat]
+ * @param {string} [options.lang] - OCR language (CLOVA code, e.g. "ko") or "auto"
+ * @returns {Promise<Object>}
+ */
+export async function runOcrService(imagePath, { imageFormat = 'png', lang = process.env.OCR_LANG || 'auto' } = {}) {
+  if (!imagePath) throw new Error('Missing required parameters');
+  const provider = getOcrProvider();
+  const result = lang === 'auto'
+    ? await recognizeWithAutoLang(provider, imagePath, imageFormat)
+    : { ocrData: await provider.recognize({ imagePath, imageFormat, lang }), lang };
+  const ocrData = { ...result.ocrData, lang: result.lang };
+
+  const recordDir = process.env.OCR_RECORD_DIR;
+  if (recordDir) {
+    const imageHash = await hashFile(imagePath);
+    await fs.mkdir(recordDir, { recursive: true });
+    await fs.writeFile(path.join(recordDir, `${imageHash}.json`), JSON.stringify(ocrData, null, 2));
+  }
+  return ocrData;
 }
 
 // Utility to get full OCR text from OCR data
@@ -34,3 +93,21 @@ export function getOcrTextFromData(ocrData) {
   const lines = buildLinesFromFields(sorted);
   return lines.join('\n');
 }
+
+// Utility to get every recognized word (text, confidence, polygon) of one or more images in reading order
+export function getOcrWords(ocrDataList) {
+  return buildOcrWordIndex(ocrDataList.map(ocrData => ocrData?.images?.[0]?.fields || []));
+}
+
+// Merges the OCR text of several images of one label (e.g. a curved bottle shot
+// in parts) in reading order, so a list split across images reads as one block
+export function mergeOcrTexts(ocrTexts) {
+  return ocrTexts
+    .map(text => (text || '').trim())
+    .filter(Boolean)
+    .reduce((merged, text) => {
+      if (!merged) return text;
+      // A name broken at a hyphen on the edge of one image (e.g. "PEG-" / "40") continues on the next
+      return merged.endsWith('-') ? `${merged}${text}` : `${merged}\n${text}`;
+    }, '');
+}
@@ -0,0 +1,31 @@
+import fs from "fs/promises";
+import path from "path";
+import { hashFile } from "../../utils/fileHash.js";
+
+/**
+ * Replays recorded OCR responses, for development and regression tests without credentials.
+ * Fixtures are looked up as <dir>/<sha256 of the image>.json, then <dir>/default.json.
+ * @param {Object} config
+ * @param {string} config.dir - Directory with recorded OCR JSON
+ * @returns {{name: string, recognize: Function}}
+ */
+export function createFixtureOcrProvider({ dir }) {
+  return {
+    name: 'fixture',
+    defaultLang: 'ko',
+    // Recorded responses don't depend on the language
+    supportedLangs: [],
+    async recognize({ imagePath }) {
+      const imageHash = await hashFile(imagePath);
+      for (const fileName of [`${imageHash}.json`, 'default.json']) {
+        try {
+          const content = await fs.readFile(path.join(dir, fileName), 'utf8');
+          return JSON.parse(content);
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+        }
+      }
+      throw new Error(`No OCR fixture found for image ${imageHash} in ${dir}`);
+    }
+  };
+}
@@ -0,0 +1,41 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { createNaverOcrProvider } from "./naver.provider.js";
+import { createTesseractOcrProvider } from "./tesseract.provider.js";
+import { createFixtureOcrProvider } from "./fixture.provider.js";
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '../../../fixtures/ocr');
+
+const PROVIDER_FACTORIES = {
+  naver: () => createNaverOcrProvider({
+    secretKey: process.env.OCR_SECRET_KEY,
+    apiUrl: process.env.OCR_API_URL
+  }),
+  tesseract: () => createTesseractOcrProvider({
+    binary: process.env.TESSERACT_PATH || 'tesseract',
+    lang: process.env.TESSERACT_LANG
+  }),
+  fixture: () => createFixtureOcrProvider({
+    dir: process.env.OCR_FIXTURE_DIR || DEFAULT_FIXTURE_DIR
+  })
+};
+
+/**
+ * Returns the OCR provider selected by OCR_PROVIDER (naver, tesseract or fixture; default naver).
+ * Every provider resolves to the CLOVA OCR response shape.
+ * @param {string} [name] - Provider name overriding the configuration
+ * @returns {{name: string, defaultLang: string, supportedLangs: Array<string>,
+ *   recognize: (params: {imagePath: string, imageFormat?: string, lang?: string}) => Promise<Object>}}
+ */
+export function getOcrProvider(name = process.env.OCR_PROVIDER || 'naver') {
+  const factory = PROVIDER_FACTORIES[name.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown OCR provider "${name}". Use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+  return factory();
+}
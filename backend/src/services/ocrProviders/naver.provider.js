@@ -0,0 +1,23 @@
+import { callNaverOcr } from "../../utils/ocrLogic.js";
+
+/**
+ * Naver CLOVA OCR (General) provider
+ * @param {Object} config
+ * @param {string} config.secretKey - X-OCR-SECRET of the CLOVA OCR domain
+ * @param {string} config.apiUrl - APIGW invoke URL of the CLOVA OCR domain
+ * @returns {{name: string, recognize: Function}}
+ */
+export function createNaverOcrProvider({ secretKey, apiUrl }) {
+  return {
+    name: 'naver',
+    defaultLang: 'ko',
+    // CLOVA OCR General models; "ko" also reads English and unaccented Vietnamese
+    supportedLangs: ['ko', 'ja', 'zh-TW'],
+    async recognize({ imagePath, imageFormat, lang }) {
+      if (!secretKey || !apiUrl) {
+        throw new Error('OCR API credentials are not set in environment variables.');
+      }
+      return callNaverOcr({ secretKey, apiUrl, imagePath, imageFormat, lang });
+    }
+  };
+}
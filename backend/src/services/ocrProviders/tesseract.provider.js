@@ -0,0 +1,80 @@
+import { execFile } from "child_process";
+import { promisify } from "util";
+import path from "path";
+
+const execFileAsync = promisify(execFile);
+
+// CLOVA language codes -> Tesseract traineddata names
+const TESSERACT_LANGS = {
+  ko: 'kor+eng',
+  ja: 'jpn+eng',
+  'zh-TW': 'chi_tra+chi_sim+eng',
+  vi: 'vie+eng',
+  en: 'eng'
+};
+
+const TSV_WORD_LEVEL = '5';
+
+/**
+ * Converts Tesseract TSV output into the CLOVA OCR response shape
+ * (images[0].fields with inferText, inferConfidence and boundingPoly)
+ * @param {string} tsv - Output of `tesseract <image> stdout tsv`
+ * @param {string} imagePath
+ * @returns {Object}
+ */
+export function tesseractTsvToOcrData(tsv, imagePath) {
+  const [, ...rows] = tsv.split('\n');
+  const fields = rows
+    .map(row => row.split('\t'))
+    .filter(cols => cols[0] === TSV_WORD_LEVEL && cols[11]?.trim())
+    .map(cols => {
+      const [left, top, width, height, conf] = cols.slice(6, 11).map(Number);
+      return {
+        inferText: cols[11].trim(),
+        inferConfidence: Math.max(conf, 0) / 100,
+        boundingPoly: {
+          vertices: [
+            { x: left, y: top },
+            { x: left + width, y: top },
+            { x: left + width, y: top + height },
+            { x: left, y: top + height }
+          ]
+        }
+      };
+    });
+
+  return {
+    version: 'V2',
+    requestId: `${Date.now()}`,
+    timestamp: Date.now(),
+    images: [{ name: path.basename(imagePath), inferResult: 'SUCCESS', fields }]
+  };
+}
+
+/**
+ * Local OCR with the Tesseract CLI, no cloud credentials needed
+ * @param {Object} config
+ * @param {string} [config.binary] - Path of the tesseract executable
+ * @param {string} [config.lang] - Tesseract language override (e.g. "kor+eng")
+ * @returns {{name: string, recognize: Function}}
+ */
+export function createTesseractOcrProvider({ binary = 'tesseract', lang } = {}) {
+  return {
+    name: 'tesseract',
+    defaultLang: 'ko',
+    supportedLangs: lang ? [] : Object.keys(TESSERACT_LANGS),
+    async recognize({ imagePath, lang: requestLang = 'ko' }) {
+      const tesseractLang = lang || TESSERACT_LANGS[requestLang] || 'eng';
+      try {
+        const { stdout } = await execFileAsync(
+          binary,
+          [imagePath, 'stdout', '-l', tesseractLang, 'tsv'],
+          { maxBuffer: 20 * 1024 * 1024, timeout: 60000 }
+        );
+        return tesseractTsvToOcrData(stdout, imagePath);
+      } catch (err) {
+        throw new Error(`Tesseract OCR failed: ${err.message}`);
+      }
+    }
+  };
+}
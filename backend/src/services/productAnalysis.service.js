@@ -0,0 +1,244 @@
+import { summarizeBenefitsFromIngredients } from "./benefitSummarization.service.js";
+import { calculateSuitableScore } from "./calcSuitableScore.service.js";
+import { findIngredientConflicts } from "./ingredientInteraction.service.js";
+import { detectFragranceAllergens } from "./fragranceAllergen.service.js";
+import { findRegulatedIngredients } from "./ingredientRegulation.service.js";
+
+export const RISK_LEVELS = ["no-risk", "low-risk", "moderate-risk", "high-risk"];
+
+// Ingredients practically always used at 1% or less (preservatives, chelators, thickeners,
+// fragrance): the 1% line of an INCI list falls at or before the first of them
+const AT_MOST_ONE_PERCENT = new Set([
+  "phenoxyethanol", "ethylhexylglycerin", "chlorphenesin", "caprylyl glycol",
+  "methylparaben", "propylparaben", "sodium benzoate", "potassium sorbate",
+  "disodium edta", "tetrasodium edta", "xanthan gum", "carbomer", "tromethamine",
+  "sodium hydroxide", "citric acid", "sodium citrate", "allantoin", "adenosine",
+  "sodium hyaluronate", "hyaluronic acid", "bisabolol", "tocopherol",
+  "madecassoside", "asiaticoside", "ceramide np", "parfum", "fragrance",
+  "limonene", "linalool", "citronellol", "geraniol",
+]);
+// Below the 1% line an ingredient counts half as much
+const BELOW_ONE_PERCENT_FACTOR = 0.5;
+const MIN_WEIGHT = 0.1;
+// Share of the worst case each risk level adds to the product's risk score (unknown counts as low)
+const RISK_LEVEL_VALUES = { "no-risk": 0, "low-risk": 1 / 3, "moderate-risk": 2 / 3, "high-risk": 1 };
+// A high-risk ingredient at least this heavy (about the top 4 of a list, or 2.5% stated) calls for caution
+const CAUTION_INGREDIENT_WEIGHT = 0.5;
+// Summed weights of high- or moderate-risk ingredients from which the product needs caution or care
+const CAUTION_HIGH_RISK_LOAD = 0.8;
+const MODERATE_RISK_LOAD = 1;
+
+/**
+ * Normalizes the userSkin field of a request (single string from multipart, or array)
+ * @param {string|Array<string>|undefined} userSkin
+ * @returns {Array<string>}
+ */
+export function normalizeUserSkin(userSkin) {
+  if (typeof userSkin === "string") return [userSkin];
+  return Array.isArray(userSkin) ? userSkin.filter(Boolean) : [];
+}
+
+/**
+ * Estimates where the 1% line of an INCI list falls: INCI lists are in descending order down to 1%,
+ * below it ingredients may come in any order. Uses stated concentrations first, then ingredients
+ * known to be used at 1% or less; never places the line before a stated concentration above 1%.
+ * @param {Array<Object>} ingredients - Ingredient details with position and concentration (percent)
+ * @returns {{position: number, basis: "stated"|"typical", ingredient: string}|null} First position
+ *   likely at 1% or less, null when nothing hints at it
+ */
+export function estimateOnePercentLine(ingredients) {
+  const ordered = ingredients
+    .filter((ingredient) => ingredient.position)
+    .sort((a, b) => a.position - b.position);
+  const lastAboveOnePercent = Math.max(0, ...ordered
+    .filter((ingredient) => ingredient.concentration > 1)
+    .map((ingredient) => ingredient.position));
+  const candidates = ordered.filter((ingredient) => ingredient.position > lastAboveOnePercent);
+
+  const stated = candidates.find((ingredient) =>
+    ingredient.concentration !== null && ingredient.concentration !== undefined && ingredient.concentration <= 1);
+  const typical = candidates.find((ingredient) => AT_MOST_ONE_PERCENT.has(ingredient.name.toLowerCase()));
+  const line = [stated, typical]
+    .filter(Boolean)
+    .sort((a, b) => a.position - b.position)[0];
+  if (!line) return null;
+  return {
+    position: line.position,
+    basis: line === stated ? "stated" : "typical",
+    ingredient: line.name,
+  };
+}
+
+/**
+ * Relative weight (0.1-1) of an ingredient in the risk grouping and suitability score.
+ * A stated concentration is used when there is one, otherwise the weight decreases with the
+ * position on the list and is halved below the 1% line.
+ * @param {Object} ingredient - Ingredient details with position and concentration
+ * @param {Object|null} onePercentLine - Output of estimateOnePercentLine
+ * @returns {number}
+ */
+export function getIngredientWeight(ingredient, onePercentLine) {
+  let weight;
+  if (ingredient.concentration !== null && ingredient.concentration !== undefined) {
+    weight = Math.sqrt(ingredient.concentration / 10);
+  } else if (ingredient.position) {
+    weight = 1 / Math.sqrt(ingredient.position);
+    if (onePercentLine && ingredient.position >= onePercentLine.position) {
+      weight *= BELOW_ONE_PERCENT_FACTOR;
+    }
+  } else {
+    weight = 1;
+  }
+  return Number(Math.min(1, Math.max(MIN_WEIGHT, weight)).toFixed(2));
+}
+
+/**
+ * Adds weight and below_one_percent to every ingredient
+ * @param {Array<Object>} ingredients - Output of extractIngredientsFromTextService
+ * @returns {{ingredients: Array<Object>, onePercentLine: Object|null}}
+ */
+export function weighIngredients(ingredients) {
+  const onePercentLine = estimateOnePercentLine(ingredients);
+  return {
+    onePercentLine,
+    ingredients: ingredients.map((ingredient) => ({
+      ...ingredient,
+      weight: getIngredientWeight(ingredient, onePercentLine),
+      below_one_percent: onePercentLine && ingredient.position
+        ? ingredient.position >= onePercentLine.position
+        : null,
+    })),
+  };
+}
+
+/**
+ * Groups matched ingredients by risk level, always returning every level.
+ * Within a level, ingredients that weigh more in the formula come first.
+ * @param {Array<Object>} ingredients - Ingredient details with risk_level, reason and weight
+ * @returns {Object<string, Array<{name: string, reason: string, position: number, concentration: number|null, weight: number}>>}
+ */
+export function groupIngredientsByRisk(ingredients) {
+  const groupedByRisk = ingredients.reduce((acc, ingredient) => {
+    const riskLevel = ingredient.risk_level.toLowerCase() || 'unknown';
+    if (!acc[riskLevel]) {
+      acc[riskLevel] = [];
+    }
+    acc[riskLevel].push({
+      name: ingredient.name,
+      reason: ingredient.reason,
+      position: ingredient.position ?? null,
+      concentration: ingredient.concentration ?? null,
+      concentration_text: ingredient.concentration_text ?? null,
+      weight: ingredient.weight ?? 1,
+      below_one_percent: ingredient.below_one_percent ?? null,
+    });
+    return acc;
+  }, {});
+  Object.values(groupedByRisk).forEach((group) =>
+    group.sort((a, b) => b.weight - a.weight)
+  );
+  // Add missing risk levels as empty arrays
+  RISK_LEVELS.forEach((level) => {
+    if (!groupedByRisk[level]) {
+      groupedByRisk[level] = [];
+    }
+  });
+  return groupedByRisk;
+}
+
+/**
+ * Overall risk of a product from its weighted ingredients: a risky ingredient near the top of the
+ * list or at a high stated concentration counts fully, a trace one only a little
+ * @param {Array<Object>} ingredients - Output of weighIngredients
+ * @returns {{safety_level: "safe"|"moderate"|"caution", risk_score: number}} risk_score is the
+ *   weighted mean risk (0-100)
+ */
+export function assessProductRisk(ingredients) {
+  const levelOf = (ingredient) => (ingredient.risk_level || "").toLowerCase();
+  const weightOf = (ingredient) => ingredient.weight ?? 1;
+  const loadOf = (level) => ingredients
+    .filter((ingredient) => levelOf(ingredient) === level)
+    .reduce((sum, ingredient) => sum + weightOf(ingredient), 0);
+
+  const totalWeight = ingredients.reduce((sum, ingredient) => sum + weightOf(ingredient), 0);
+  const weightedRisk = ingredients.reduce((sum, ingredient) =>
+    sum + weightOf(ingredient) * (RISK_LEVEL_VALUES[levelOf(ingredient)] ?? RISK_LEVEL_VALUES["low-risk"]), 0);
+  const highRisk = ingredients.filter((ingredient) => levelOf(ingredient) === "high-risk");
+
+  let safetyLevel = "safe";
+  if (highRisk.some((ingredient) => weightOf(ingredient) >= CAUTION_INGREDIENT_WEIGHT) ||
+      loadOf("high-risk") >= CAUTION_HIGH_RISK_LOAD) {
+    safetyLevel = "caution";
+  } else if (highRisk.length > 0 || loadOf("moderate-risk") >= MODERATE_RISK_LOAD) {
+    safetyLevel = "moderate";
+  }
+  return {
+    safety_level: safetyLevel,
+    risk_score: totalWeight > 0 ? Math.round((weightedRisk / totalWeight) * 100) : 0,
+  };
+}
+
+/**
+ * Suitability score of weighted ingredients for the user's skin
+ * @param {Array<Object>} ingredients - Output of weighIngredients
+ * @param {Array<string>} userSkin - User skin type and concerns
+ * @returns {number|null} null without skin information
+ */
+export function scoreSuitability(ingredients, userSkin) {
+  return Array.isArray(userSkin) && userSkin.length > 0
+    ? calculateSuitableScore(ingredients, userSkin)
+    : null;
+}
+
+/**
+ * Builds the analysis payload shared by every analysis endpoint
+ * @param {Object} params
+ * @param {Array<Object>} params.ingredients - Output of extractIngredientsFromTextService
+ * @param {Object} params.productInfo - Product name, brand, category and benefits
+ * @param {Array<string>} params.userSkin - User skin type and concerns
+ * @param {Array<{width: number, height: number}>} [params.labelImages] - Size of each uploaded back image
+ *   (EXIF rotation applied), the coordinate space of ingredient locations
+ * @param {Array<Object>} [params.unmatched] - Tokens no INCI name matched, with suggestions
+ * @param {function(string): void} [params.onStage] - Called with "summarize" before the benefit summary
+ * @returns {Promise<{product: Object, suitable: number|null, safety_level: string, risk_score: number, risk: Object, allergens: Array<Object>, regulatory: Array<Object>, conflicts: Array<Object>, ingredients: Array<Object>, one_percent_line: Object|null, label_images: Array<Object>, unmatched: Array<Object>}>}
+ *   allergens lists fragrance allergens (see detectFragranceAllergens), regulatory the EU prohibited and
+ *   restricted ingredients (see findRegulatedIngredients), conflicts the actives of the product that
+ *   interact (see findIngredientConflicts), safety_level and risk_score the weighted overall risk
+ *   (see assessProductRisk)
+ */
+export async function buildProductAnalysis({ ingredients: extractedIngredients, productInfo, userSkin, labelImages = [], unmatched = [], onStage }) {
+  // Ingredients near the top of the list count more than trace ones
+  const { ingredients, onePercentLine } = weighIngredients(extractedIngredients);
+
+  // Calculate suitability scores
+  const suitabilityScores = scoreSuitability(ingredients, userSkin);
+
+  // Summarize benefits from ingredients using LLM
+  onStage?.('summarize');
+  const summarizedBenefits = await summarizeBenefitsFromIngredients(ingredients);
+
+  // Conflicting actives within the product itself; trace pH adjusters and antioxidants don't count
+  const { conflicts } = await findIngredientConflicts(ingredients);
+  // EU annex entries from CosIng, independent of the LLM-derived risk_level
+  const regulatory = await findRegulatedIngredients(ingredients);
+
+  // Enrich product info by combining original benefits with ingredient-based benefits
+  return {
+    product: {
+      ...productInfo,
+      benefits: [...(productInfo.benefits || []), ...summarizedBenefits],
+    },
+    suitable: suitabilityScores,
+    // A trace risky ingredient weighs less on the verdict than one near the top of the list
+    ...assessProductRisk(ingredients),
+    risk: groupIngredientsByRisk(ingredients),
+    // Reported apart from the risk levels for fragrance-sensitive users
+    allergens: detectFragranceAllergens(ingredients),
+    regulatory,
+    conflicts,
+    ingredients,
+    one_percent_line: onePercentLine,
+    label_images: labelImages,
+    unmatched,
+  };
+}
@@ -0,0 +1,31 @@
+import SkinJournalEntry from "../models/SkinJournalEntry.js";
+
+const sameConcerns = (a = [], b = []) =>
+  a.length === b.length && [...a].sort().join("|") === [...b].sort().join("|");
+
+/**
+ * Records a dated snapshot when a user's skin type or concerns change
+ * @param {Object} user - User document after the update
+ * @param {{skinType?: string, concerns?: string[]}} previous - Values before the update, empty for new users
+ * @returns {Promise<Object|null>} Created entry, or null when nothing changed
+ */
+export async function recordSkinProfileChange(user, previous = {}) {
+  const concerns = [...(user.concerns || [])];
+  const previousConcerns = previous.concerns ? [...previous.concerns] : [];
+
+  if (
+    previous.skinType === user.skinType &&
+    sameConcerns(previousConcerns, concerns)
+  ) {
+    return null;
+  }
+
+  return SkinJournalEntry.create({
+    userId: user._id,
+    type: "profile_change",
+    skinType: user.skinType,
+    concerns,
+    previousSkinType: previous.skinType,
+    previousConcerns,
+  });
+}
@@ -0,0 +1,47 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { createLocalStorageProvider } from "./local.provider.js";
+import { createS3StorageProvider } from "./s3.provider.js";
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_LOCAL_DIR = path.join(__dirname, '../../../storage');
+
+const PROVIDER_FACTORIES = {
+  local: () => createLocalStorageProvider({
+    dir: process.env.STORAGE_LOCAL_DIR || DEFAULT_LOCAL_DIR
+  }),
+  s3: () => createS3StorageProvider({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  })
+};
+
+const providers = new Map();
+
+/**
+ * Returns the storage provider selected by STORAGE_PROVIDER (local or s3; default local).
+ * Providers are created once and reused, so the S3 client keeps its connections.
+ * @param {string} [name] - Provider name overriding the configuration
+ * @returns {{name: string,
+ *   putObject: (key: string, buffer: Buffer, contentType: string) => Promise<void>,
+ *   getObject: (key: string) => Promise<{buffer: Buffer, contentType: string}|null>,
+ *   deleteObject: (key: string) => Promise<void>,
+ *   listObjects: (prefix: string) => Promise<Array<{key: string, lastModified: Date}>>}}
+ */
+export function getStorageProvider(name = process.env.STORAGE_PROVIDER || 'local') {
+  const providerName = name.toLowerCase();
+  const factory = PROVIDER_FACTORIES[providerName];
+  if (!factory) {
+    throw new Error(`Unknown storage provider "${name}". Use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+  if (!providers.has(providerName)) providers.set(providerName, factory());
+  return providers.get(providerName);
+}
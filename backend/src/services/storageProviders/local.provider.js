@@ -0,0 +1,77 @@
+import fs from "fs/promises";
+import path from "path";
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+};
+
+/**
+ * Stores objects as files under a local directory, for development and single-server deployments
+ * @param {Object} config
+ * @param {string} config.dir - Root directory of the stored objects
+ * @returns {{name: string, putObject: Function, getObject: Function, deleteObject: Function, listObjects: Function}}
+ */
+export function createLocalStorageProvider({ dir }) {
+  const root = path.resolve(dir);
+  // Keys are relative paths; anything resolving outside the root is rejected
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  async function walk(dirPath, results) {
+    let entries;
+    try {
+      entries = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return results;
+      throw err;
+    }
+    for (const entry of entries) {
+      const entryPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath, results);
+      } else if (entry.isFile()) {
+        const { mtime } = await fs.stat(entryPath);
+        results.push({
+          key: path.relative(root, entryPath).split(path.sep).join('/'),
+          lastModified: mtime,
+        });
+      }
+    }
+    return results;
+  }
+
+  return {
+    name: 'local',
+    async putObject(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+    async getObject(key) {
+      const filePath = resolveKey(key);
+      try {
+        const buffer = await fs.readFile(filePath);
+        const contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        return { buffer, contentType };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async deleteObject(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+    async listObjects(prefix) {
+      // Prefixes used here are directories ("scans/")
+      return walk(resolveKey(prefix), []);
+    },
+  };
+}
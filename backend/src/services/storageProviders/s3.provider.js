@@ -0,0 +1,81 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from "@aws-sdk/client-s3";
+
+/**
+ * Stores objects in an S3 bucket or any S3-compatible service (MinIO, R2, NCP Object Storage)
+ * @param {Object} config
+ * @param {string} config.bucket - Bucket name
+ * @param {string} [config.region] - Bucket region
+ * @param {string} [config.endpoint] - Service URL for S3-compatible services
+ * @param {string} [config.accessKeyId]
+ * @param {string} [config.secretAccessKey]
+ * @param {boolean} [config.forcePathStyle] - Bucket in the path instead of the host name (MinIO)
+ * @returns {{name: string, putObject: Function, getObject: Function, deleteObject: Function, listObjects: Function}}
+ */
+export function createS3StorageProvider({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+  let client = null;
+  const getClient = () => {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is not set in environment variables.');
+    }
+    if (!client) {
+      client = new S3Client({
+        region: region || 'us-east-1',
+        endpoint: endpoint || undefined,
+        forcePathStyle: Boolean(forcePathStyle),
+        // Falls back to the SDK's default credential chain (IAM role, shared config)
+        credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+      });
+    }
+    return client;
+  };
+
+  return {
+    name: 's3',
+    async putObject(key, buffer, contentType) {
+      await getClient().send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+      }));
+    },
+    async getObject(key) {
+      try {
+        const response = await getClient().send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        const bytes = await response.Body.transformToByteArray();
+        return {
+          buffer: Buffer.from(bytes),
+          contentType: response.ContentType || 'application/octet-stream',
+        };
+      } catch (err) {
+        if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return null;
+        throw err;
+      }
+    },
+    async deleteObject(key) {
+      await getClient().send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    async listObjects(prefix) {
+      const objects = [];
+      let ContinuationToken;
+      do {
+        const page = await getClient().send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken,
+        }));
+        (page.Contents || []).forEach(({ Key, LastModified }) => {
+          objects.push({ key: Key, lastModified: LastModified });
+        });
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return objects;
+    },
+  };
+}
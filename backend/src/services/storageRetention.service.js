@@ -0,0 +1,112 @@
+import fs from "fs/promises";
+import path from "path";
+import ScanHistory from "../models/ScanHistory.js";
+import SkinJournalEntry from "../models/SkinJournalEntry.js";
+import { getStorageProvider } from "./storageProviders/index.js";
+import {
+  TEMP_UPLOAD_DIR,
+  SCAN_IMAGE_PREFIX,
+  THUMBNAIL_PREFIX,
+  JOURNAL_PHOTO_PREFIX,
+  thumbnailKeyFor,
+} from "./imageStorage.service.js";
+
+// Uploads still on disk after this long belong to an analysis that crashed or was abandoned
+const TEMP_FILE_MAX_AGE_MS =
+  (Number(process.env.UPLOAD_TEMP_MAX_AGE_MINUTES) || 60) * 60 * 1000;
+// Images are stored when analyzed and referenced when the scan is saved to history,
+// so unreferenced ones are only removed once the user had time to save
+const ORPHAN_IMAGE_GRACE_MS =
+  (Number(process.env.ORPHAN_IMAGE_GRACE_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Removes files left in the temporary upload directory
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of removed files
+ */
+export async function cleanupTempUploads(now = new Date()) {
+  let entries;
+  try {
+    entries = await fs.readdir(TEMP_UPLOAD_DIR, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
+  let removed = 0;
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const filePath = path.join(TEMP_UPLOAD_DIR, entry.name);
+    const { mtime } = await fs.stat(filePath);
+    if (now - mtime < TEMP_FILE_MAX_AGE_MS) continue;
+    await fs.rm(filePath, { force: true });
+    removed += 1;
+  }
+  return removed;
+}
+
+async function loadReferencedImageKeys() {
+  const [front, back] = await Promise.all([
+    ScanHistory.distinct("productImages.front"),
+    ScanHistory.distinct("productImages.back"),
+  ]);
+  return new Set([...front, ...back]);
+}
+
+/**
+ * Removes stored scan images (and thumbnails) that no scan history entry references
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of removed images
+ */
+export async function cleanupOrphanedScanImages(now = new Date()) {
+  const storage = getStorageProvider();
+  const [images, thumbnails] = await Promise.all([
+    storage.listObjects(SCAN_IMAGE_PREFIX),
+    storage.listObjects(THUMBNAIL_PREFIX),
+  ]);
+  // Listed before the references are read, so an image saved in between is never seen as orphaned
+  const referenced = await loadReferencedImageKeys();
+  const referencedThumbnails = new Set([...referenced].filter(Boolean).map((key) =>
+    key.startsWith(SCAN_IMAGE_PREFIX) ? thumbnailKeyFor(key) : key
+  ));
+  const isOrphan = ({ key, lastModified }, references) =>
+    !references.has(key) && now - new Date(lastModified) >= ORPHAN_IMAGE_GRACE_MS;
+
+  const orphanedImages = images.filter((object) => isOrphan(object, referenced));
+  const orphanedThumbnails = thumbnails.filter((object) => isOrphan(object, referencedThumbnails));
+  for (const { key } of [...orphanedImages, ...orphanedThumbnails]) {
+    await storage.deleteObject(key);
+  }
+  return orphanedImages.length;
+}
+
+/**
+ * Removes stored skin journal photos that no journal entry references, e.g. left by an
+ * entry that failed to save or a delete that did not reach storage
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of removed photos
+ */
+export async function cleanupOrphanedJournalPhotos(now = new Date()) {
+  const storage = getStorageProvider();
+  const photos = await storage.listObjects(JOURNAL_PHOTO_PREFIX);
+  const referenced = new Set(await SkinJournalEntry.distinct("photo"));
+  const orphaned = photos.filter(({ key, lastModified }) =>
+    !referenced.has(key) && now - new Date(lastModified) >= ORPHAN_IMAGE_GRACE_MS
+  );
+  for (const { key } of orphaned) {
+    await storage.deleteObject(key);
+  }
+  return orphaned.length;
+}
+
+/**
+ * Runs every storage cleanup
+ * @param {Date} [now]
+ * @returns {Promise<{tempFiles: number, orphanedImages: number, orphanedJournalPhotos: number}>}
+ *   Number of removed items per kind
+ */
+export async function runStorageRetention(now = new Date()) {
+  const tempFiles = await cleanupTempUploads(now);
+  const orphanedImages = await cleanupOrphanedScanImages(now);
+  const orphanedJournalPhotos = await cleanupOrphanedJournalPhotos(now);
+  return { tempFiles, orphanedImages, orphanedJournalPhotos };
+}
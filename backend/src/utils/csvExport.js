@@ -0,0 +1,28 @@
+/**
+ * Minimal CSV serializer for data exports (RFC 4180 quoting)
+ */
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  let str;
+  if (value instanceof Date) str = value.toISOString();
+  else if (Array.isArray(value)) str = value.join("; ");
+  else if (typeof value === "object") str = JSON.stringify(value);
+  else str = String(value);
+
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serializes rows to CSV using the given columns
+ * @param {Array<Object>} rows - Records to serialize
+ * @param {Array<{header: string, value: Function}>} columns - Column header and value accessor
+ * @returns {string} CSV text with a header line
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map((c) => escapeCsvValue(c.header)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => escapeCsvValue(c.value(row))).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
@@ -0,0 +1,17 @@
+import crypto from "crypto";
+import fs from "fs";
+
+/**
+ * SHA-256 hex digest of a file's content
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
@@ -0,0 +1,198 @@
+// Measurements on small grayscale copies of label images, used by the preprocessing pipeline.
+// Images are { gray: Uint8Array (one byte per pixel), width, height }.
+
+// Ink pixels sampled for skew estimation; enough for a stable projection profile
+const MAX_SKEW_SAMPLES = 60000;
+
+/**
+ * Otsu threshold of a grayscale image
+ * @param {Uint8Array} gray
+ * @returns {number} Threshold (0-255) separating background from ink
+ */
+export function otsuThreshold(gray) {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < gray.length; i++) histogram[gray[i]]++;
+
+  const total = gray.length;
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = { threshold: 127, variance: -1 };
+  for (let t = 0; t < 256; t++) {
+    weightBackground += histogram[t];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+    sumBackground += t * histogram[t];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (variance > best.variance) best = { threshold: t, variance };
+  }
+  return best.threshold;
+}
+
+/**
+ * Marks ink pixels: the minority side of the Otsu threshold, so light text on dark labels works too
+ * @param {{gray: Uint8Array, width: number, height: number}} image
+ * @returns {{mask: Uint8Array, inkIsDark: boolean, inkCount: number}}
+ */
+export function buildInkMask({ gray }) {
+  const threshold = otsuThreshold(gray);
+  let darkCount = 0;
+  for (let i = 0; i < gray.length; i++) if (gray[i] <= threshold) darkCount++;
+  const inkIsDark = darkCount <= gray.length / 2;
+
+  const mask = new Uint8Array(gray.length);
+  let inkCount = 0;
+  for (let i = 0; i < gray.length; i++) {
+    const isInk = inkIsDark ? gray[i] <= threshold : gray[i] > threshold;
+    if (isInk) {
+      mask[i] = 1;
+      inkCount++;
+    }
+  }
+  return { mask, inkIsDark, inkCount };
+}
+
+function projectionScore(xs, ys, count, angle, offset, bins) {
+  const sin = Math.sin(angle);
+  const cos = Math.cos(angle);
+  bins.fill(0);
+  for (let i = 0; i < count; i++) {
+    bins[Math.round(ys[i] * cos - xs[i] * sin) + offset]++;
+  }
+  let score = 0;
+  for (let i = 0; i < bins.length; i++) score += bins[i] * bins[i];
+  return score;
+}
+
+/**
+ * Estimates how far text lines are tilted, from the angle that makes the horizontal
+ * projection of the ink sharpest (text lines collapse into few rows)
+ * @param {Uint8Array} mask - Output of buildInkMask
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} [options]
+ * @param {number} [options.maxAngle=10] - Largest tilt considered, in degrees
+ * @returns {number|null} Clockwise tilt in degrees (rotate by its negative to straighten), null without ink
+ */
+export function estimateSkewAngle(mask, width, height, { maxAngle = 10 } = {}) {
+  let inkCount = 0;
+  for (let i = 0; i < mask.length; i++) inkCount += mask[i];
+  if (inkCount === 0) return null;
+
+  const step = Math.max(1, Math.ceil(inkCount / MAX_SKEW_SAMPLES));
+  const xs = new Float64Array(Math.ceil(inkCount / step));
+  const ys = new Float64Array(xs.length);
+  let count = 0;
+  let seen = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!mask[y * width + x]) continue;
+      if (seen++ % step === 0) {
+        xs[count] = x;
+        ys[count] = y;
+        count++;
+      }
+    }
+  }
+
+  const offset = width + 1;
+  const bins = new Int32Array(width + height + 3);
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  // Coarse search, then refine around the best angle
+  let bestAngle = 0;
+  let bestScore = -1;
+  for (let degrees = -maxAngle; degrees <= maxAngle; degrees += 0.5) {
+    const score = projectionScore(xs, ys, count, toRadians(degrees), offset, bins);
+    if (score > bestScore) [bestAngle, bestScore] = [degrees, score];
+  }
+  const coarse = bestAngle;
+  for (let degrees = coarse - 0.5; degrees <= coarse + 0.5; degrees += 0.1) {
+    const score = projectionScore(xs, ys, count, toRadians(degrees), offset, bins);
+    if (score > bestScore) [bestAngle, bestScore] = [degrees, score];
+  }
+  return Math.round(bestAngle * 10) / 10;
+}
+
+function percentileIndex(counts, total, fraction) {
+  const target = total * fraction;
+  let cumulative = 0;
+  for (let i = 0; i < counts.length; i++) {
+    cumulative += counts[i];
+    if (cumulative > target) return i;
+  }
+  return counts.length - 1;
+}
+
+/**
+ * Bounding box of the ink, ignoring the sparsest 0.5% on each side (specks, table edges)
+ * @param {Uint8Array} mask - Output of buildInkMask
+ * @param {number} width
+ * @param {number} height
+ * @returns {{left: number, top: number, width: number, height: number}|null} null without ink
+ */
+export function findInkBox(mask, width, height) {
+  const columns = new Int32Array(width);
+  const rows = new Int32Array(height);
+  let total = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!mask[y * width + x]) continue;
+      columns[x]++;
+      rows[y]++;
+      total++;
+    }
+  }
+  if (total === 0) return null;
+
+  const left = percentileIndex(columns, total, 0.005);
+  const right = percentileIndex(columns, total, 0.995);
+  const top = percentileIndex(rows, total, 0.005);
+  const bottom = percentileIndex(rows, total, 0.995);
+  return { left, top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Typical text line height: the median height of row bands that contain ink
+ * @param {Uint8Array} mask - Output of buildInkMask
+ * @param {number} width
+ * @param {number} height
+ * @returns {number|null} Height in pixels, null when no text line is found
+ */
+export function estimateTextLineHeight(mask, width, height) {
+  const minInk = Math.max(1, Math.round(width * 0.01));
+  const runs = [];
+  let run = 0;
+  for (let y = 0; y <= height; y++) {
+    let ink = 0;
+    if (y < height) {
+      for (let x = 0; x < width; x++) ink += mask[y * width + x];
+    }
+    if (ink >= minInk) {
+      run++;
+    } else {
+      if (run >= 2) runs.push(run);
+      run = 0;
+    }
+  }
+  if (runs.length === 0) return null;
+  runs.sort((a, b) => a - b);
+  return runs[Math.floor(runs.length / 2)];
+}
+
+/**
+ * Luminance range between the 1st and 99th percentile
+ * @param {Uint8Array} gray
+ * @returns {{low: number, high: number}}
+ */
+export function luminanceRange(gray) {
+  const histogram = new Int32Array(256);
+  for (let i = 0; i < gray.length; i++) histogram[gray[i]]++;
+  return {
+    low: percentileIndex(histogram, gray.length, 0.01),
+    high: percentileIndex(histogram, gray.length, 0.99),
+  };
+}
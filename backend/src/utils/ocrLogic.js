@@ -4,6 +4,7 @@ import path from "path";
 import csv from "csv-parser";
 import * as fuzz from "fuzzball";
 import FormData from "form-data";
+import { findTrigramCandidates } from "./trigramIndex.js";
 
 const OCR_CONFIG = {
   VERSION: "V2",
@@ -63,8 +64,41 @@ export async function callNaverOcr({ secretKey, apiUrl, imagePath, imageFormat =
   }
 }
 
-// Improved cleaning & splitting for ingredient extraction
-export function cleanAndSplitIngredients(ingredientsText) {
+// Hangul, Han and Kana: names in these scripts can't be matched against INCI directly
+const CJK_SCRIPT_RE = /[\p{Script=Hangul}\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+/gu;
+const CJK_SCRIPT_TEST = /[\p{Script=Hangul}\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+// Stated concentrations: "(5%)", "(8660ppm)" (normalized by extractIngredientsFromText) or a bare "5%"
+const CONCENTRATION_RE = /[\(（]\s*(\d+(?:\.\d+)?)\s*(ppm|ppb|%|mg|g)\s*[\)）]|(?<![\d.,])(\d+(?:\.\d+)?)\s*(%)/gi;
+const UNIT_TO_PERCENT = { '%': 1, ppm: 1e-4, ppb: 1e-7 };
+// Private-use characters survive splitting, so a concentration stays with its ingredient
+const CONCENTRATION_MARK_RE = /\uE000(\d+)\uE001/g;
+
+// "8,660" (thousands) → "8660", "0,5" (decimal comma) → "0.5"
+function normalizeConcentrationNumber(num) {
+  return /^\d{1,3}(?:,\d{3})+(?:\.\d+)?$/.test(num) ? num.replace(/,/g, '') : num.replace(',', '.');
+}
+
+function parseConcentration(value, unit) {
+  const amount = parseFloat(value);
+  const normalizedUnit = unit.toLowerCase();
+  const factor = UNIT_TO_PERCENT[normalizedUnit];
+  return {
+    percent: factor ? Number((amount * factor).toFixed(6)) : null,
+    text: normalizedUnit === '%' ? `${amount}%` : `${amount} ${normalizedUnit}`
+  };
+}
+
+// Improved cleaning & splitting for ingredient extraction.
+// corrections: [{ pattern: RegExp (global), replacement }] applied to the raw text (see loadIngredientCorrections).
+// translateToken(part) may return the INCI name of a part written only in Korean/CJK (or null).
+export function cleanAndSplitIngredients(ingredientsText, options = {}) {
+  return splitIngredientsWithConcentrations(ingredientsText, options).map(item => item.token);
+}
+
+// Same as cleanAndSplitIngredients, keeping the concentration stated next to each name:
+// [{ token, concentration: { percent, text } | null }] in label order
+export function splitIngredientsWithConcentrations(ingredientsText, { corrections = [], translateToken } = {}) {
   if (!ingredientsText) return [];
   
   // Pre-processing: handle common OCR issues
@@ -73,43 +107,59 @@ export function cleanAndSplitIngredients(ingredientsText) {
   // Remove brackets and their content
   cleaned = cleaned.replace(/[\[\]]/g, ' ');
   
-  // Fix common broken words from OCR - must do this BEFORE splitting
-  const brokenWordFixes = [
-    ['METHYLCELLU\\s+LOSE', 'METHYLCELLULOSE'],
-    ['HYDROXYPR\\s*OPYL', 'HYDROXYPROPYL'],
-    ['HYDROXYPR\\s*OPYLTRIMONIUM', 'HYDROXYPROPYLTRIMONIUM'],
-    ['SO\\s+DIUM', 'SODIUM'],
-    ['DIUM\\s+CHLORIDE', 'SODIUM CHLORIDE'],
-    ['HYALUR\\s*ONATE', 'HYALURONATE'],
-    ['HYALUR\\s*ONIC', 'HYALURONIC'],
-    ['1\\.2-HEXANE-\\s*DIOL', '1,2-HEXANEDIOL'],
-    ['BUTYLENE\\s+GLYCOL\\s+DIOL', 'BUTYLENE GLYCOL'],
-    ['MALACHITE\\s+SO\\s+OPYLTRIMONIUM', 'MALACHITE'],
-    ['LOSE\\s+METHYLCELLU', 'METHYLCELLULOSE'],
-  ];
+  // Fix known OCR misreads (stored corrections) - must do this BEFORE splitting
+  for (const { pattern, replacement } of corrections) {
+    cleaned = cleaned.replace(pattern, () => replacement);
+  }
   
-  brokenWordFixes.forEach(([broken, fixed]) => {
-    const regex = new RegExp(broken, 'gi');
-    cleaned = cleaned.replace(regex, fixed);
+  // Replace stated concentrations by marks, then drop other parentheses with units ("(contains 2%)")
+  const concentrations = [];
+  cleaned = cleaned.replace(CONCENTRATION_RE, (_, value, unit, bareValue, bareUnit) => {
+    concentrations.push(parseConcentration(value ?? bareValue, unit ?? bareUnit));
+    return ` \uE000${concentrations.length - 1}\uE001 `;
   });
-  
-  // Remove concentration parentheses and their content
   cleaned = cleaned.replace(/\([^)]*(?:ppm|ppb|%|mg)\)/gi, '');
   
   // Split by commas, periods, and line breaks
-  let parts = cleaned.split(/[,\.\n]+/).map(p => p.trim()).filter(Boolean);
+  const rawParts = cleaned.split(/[,\.\n，、；。]+/).map(p => p.trim()).filter(Boolean);
+
+  // Pull the marks out of each part; a part holding only a concentration belongs to the previous name
+  let parts = [];
+  for (const raw of rawParts) {
+    const marks = [...raw.matchAll(CONCENTRATION_MARK_RE)];
+    const text = raw.replace(CONCENTRATION_MARK_RE, ' ').replace(/\s+/g, ' ').trim();
+    const concentration = marks.length ? concentrations[Number(marks[0][1])] : null;
+    if (!text) {
+      const previous = parts[parts.length - 1];
+      if (previous && !previous.concentration) previous.concentration = concentration;
+      continue;
+    }
+    parts.push({ text, concentration });
+  }
+
+  // Names written only in Korean: replace in place so the list order is kept
+  if (translateToken) {
+    parts = parts.map(p => ({ ...p, text: translateToken(p.text) || p.text }));
+  }
+
+  // Bilingual labels ("글리세린 Glycerin", "水 Water"): keep the Latin name
+  parts = parts.map(p => (/\p{Script=Latin}/u.test(p.text) && CJK_SCRIPT_TEST.test(p.text)
+    ? { ...p, text: p.text.replace(CJK_SCRIPT_RE, ' ').trim() }
+    : p));
 
   // Further split parts that contain '/' (e.g., leaf/stem)
   parts = parts.flatMap(p => {
     // Skip splitting if it looks like a chemical notation (e.g., CI 77491)
-    if (/^CI\s*\d+/i.test(p)) return [p];
-    return p.split(/\s*\/\s*/).map(s => s.trim());
+    if (/^CI\s*\d+/i.test(p.text)) return [p];
+    // A concentration written after "Water/Aqua" belongs to the whole name, keep it on the last piece
+    const pieces = p.text.split(/\s*\/\s*/).map(s => s.trim());
+    return pieces.map((text, i) => ({ text, concentration: i === pieces.length - 1 ? p.concentration : null }));
   });
 
   // Repair common OCR join/split issues
   const repaired = [];
   for (let i = 0; i < parts.length; i++) {
-    let tok = parts[i];
+    let tok = parts[i].text;
     
     // Clean up the token
     tok = tok.replace(/^[\-\.]+|[\-\.]+$/g, '').replace(/\s+/g, ' ').trim();
@@ -132,25 +182,25 @@ export function cleanAndSplitIngredients(ingredientsText) {
     
     // If token is a known prefix word and there's a next token, try merging
     if (words.length === 1 && firstWords.includes(words[0]) && i + 1 < parts.length) {
-      const next = parts[i + 1].replace(/\s+/g, ' ').trim();
+      const next = parts[i + 1].text.replace(/\s+/g, ' ').trim();
       if (next && !isNoiseToken(next)) {
         const merged = `${tok} ${next}`;
         // Check if merged form looks like valid ingredient name
         if (/(ate|ide|one|ol|ane|ene|acid|glucan|hyaluronate|glycol|glucoside|allantoin|sulfate|chloride|citrate|edta|extract|oil|water|glycerin|cellulose|carbomer|tromethamine)/i.test(merged)) {
-          repaired.push(merged);
+          repaired.push({ text: merged, concentration: parts[i + 1].concentration || parts[i].concentration });
           i++; // skip next token
           continue;
         }
       }
     }
     
-    repaired.push(tok);
+    repaired.push({ text: tok, concentration: parts[i].concentration });
   }
 
   // Final cleanup: normalize spacing, remove trailing punctuation
   return repaired
-    .map(r => r.replace(/\s+/g, ' ').replace(/[\.,;\-]+$/g, '').trim())
-    .filter(t => t && !isNoiseToken(t));
+    .map(r => ({ token: r.text.replace(/\s+/g, ' ').replace(/[\.,;\-]+$/g, '').trim(), concentration: r.concentration || null }))
+    .filter(r => r.token && !isNoiseToken(r.token));
 }
 
 export function sortFieldsByPosition(fields) {
@@ -200,6 +250,110 @@ export function buildLinesFromFields(sortedFields) {
     });
 }
 
+function normalizeOcrWord(word) {
+  return (word || '').toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+// Flatten the OCR fields of one or more images into words in reading order, keeping
+// the confidence and bounding polygon of the field each word came from
+export function buildOcrWordIndex(fieldsPerImage) {
+  const words = [];
+  fieldsPerImage.forEach((fields, imageIndex) => {
+    sortFieldsByPosition(fields || []).forEach((f, fieldIndex) => {
+      for (const word of (f.inferText || '').split(/[\s,;]+/)) {
+        const text = normalizeOcrWord(word);
+        if (!text) continue;
+        words.push({
+          text,
+          confidence: typeof f.inferConfidence === 'number' ? f.inferConfidence : null,
+          image: imageIndex,
+          field: fieldIndex,
+          polygon: (f.boundingPoly?.vertices || []).map(v => ({ x: v?.x ?? 0, y: v?.y ?? 0 }))
+        });
+      }
+    });
+  });
+  return words;
+}
+
+// Map each recognized word to its OCR confidence (best score when a word occurs several times)
+export function buildWordConfidenceMap(words) {
+  const confidences = new Map();
+  for (const w of words || []) {
+    if (w.confidence === null) continue;
+    confidences.set(w.text, Math.max(confidences.get(w.text) ?? 0, w.confidence));
+  }
+  return confidences;
+}
+
+// Confidence of an ingredient token is its weakest recognized word (null when no word is known)
+export function estimateTokenConfidence(token, wordConfidences) {
+  if (!wordConfidences || wordConfidences.size === 0) return null;
+  const scores = token
+    .split(/\s+/)
+    .map(word => wordConfidences.get(normalizeOcrWord(word)))
+    .filter(score => typeof score === 'number');
+  return scores.length ? Math.min(...scores) : null;
+}
+
+/**
+ * Finds the OCR words an ingredient token was read from. Tokens come in reading order,
+ * so the search starts after the previous token and wraps around once.
+ * @param {string} token - Ingredient token from cleanAndSplitIngredients
+ * @param {Array<Object>} words - Output of buildOcrWordIndex
+ * @param {number} [fromIndex=0] - Word index to start searching at
+ * @returns {{end: number, confidence: number|null, locations: Array<{image: number, polygon: Array<{x: number, y: number}>}>}|null}
+ */
+export function locateTokenInOcrWords(token, words, fromIndex = 0) {
+  const target = token.split(/\s+/).map(normalizeOcrWord).filter(Boolean);
+  if (!target.length || !words?.length) return null;
+
+  const search = (start) => {
+    for (let i = start; i <= words.length - target.length; i++) {
+      if (target.every((t, k) => words[i + k].text === t)) return i;
+    }
+    return -1;
+  };
+  let start = search(fromIndex);
+  if (start === -1 && fromIndex > 0) start = search(0);
+  if (start === -1) return null;
+
+  const span = words.slice(start, start + target.length);
+  const scores = span.map(w => w.confidence).filter(c => c !== null);
+  // One location per OCR field: a field often holds several words of the same name
+  const locations = [];
+  const seenFields = new Set();
+  for (const w of span) {
+    const key = `${w.image}:${w.field}`;
+    if (seenFields.has(key)) continue;
+    seenFields.add(key);
+    locations.push({ image: w.image, polygon: w.polygon });
+  }
+  return {
+    end: start + target.length,
+    confidence: scores.length ? Math.min(...scores) : null,
+    locations
+  };
+}
+
+// Guess the OCR language of a label from the scripts in already recognized text.
+// Returns a CLOVA language code, or null for Latin-only text (English labels).
+export function detectOcrLanguage(text) {
+  if (!text) return null;
+  const count = (re) => (text.match(re) || []).length;
+  const kana = count(/[\p{Script=Hiragana}\p{Script=Katakana}]/gu);
+  const hangul = count(/\p{Script=Hangul}/gu);
+  const han = count(/\p{Script=Han}/gu);
+  const vietnamese = count(/[ăâđêôơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/giu);
+  const MIN_CHARS = 3;
+
+  if (kana >= MIN_CHARS) return 'ja';
+  if (hangul >= MIN_CHARS && hangul >= han) return 'ko';
+  if (han >= MIN_CHARS) return 'zh-TW';
+  if (vietnamese >= MIN_CHARS) return 'vi';
+  return null;
+}
+
 // Shared pattern constants for ingredient extraction
 const HEADER_PATTERNS = [
   /\bingredients?\s*[:：\-]?\s*/i,
@@ -207,6 +361,12 @@ const HEADER_PATTERNS = [
   /\bingredient\s+list\s*[:：\-]?\s*/i,
   /전\s*성\s*분\s*[:：\-]?\s*/i,
   /성\s*분\s*[:：\-]?\s*/i,
+  // Vietnamese (with or without diacritics)
+  /th[àa]nh\s+ph[ầa]n\s*[:：\-]?\s*/i,
+  // Japanese / Chinese ("全成分" before "成分", traditional "成份")
+  /全\s*成\s*[分份]\s*[:：\-]?\s*/,
+  /成\s*[分份]\s*[:：\-]?\s*/,
+  /配\s*料\s*表?\s*[:：\-]?\s*/,
 ];
 
 const END_MARKERS = [
@@ -236,14 +396,53 @@ const END_MARKERS = [
   /주\s*의/i,
   /보\s*관\s*방\s*법/i,
   /제\s*조\s*업\s*체/i,
+  // Vietnamese markers
+  /h[ưu][ớo]ng\s+d[ẫa]n\s+s[ửu]\s+d[ụu]ng/i,
+  /c[áa]ch\s+d[ùu]ng/i,
+  /c[ôo]ng\s+d[ụu]ng/i,
+  /b[ảa]o\s+qu[ảa]n/i,
+  /l[ưu]u\s+[ýy]\s*[:：]/i,
+  /ch[úu]\s+[ýy]\s*[:：]/i,
+  /c[ảa]nh\s+b[áa]o/i,
+  /nh[àa]\s+s[ảa]n\s+xu[ấa]t/i,
+  /s[ảa]n\s+xu[ấa]t\s+t[ạa]i/i,
+  /xu[ấa]t\s+x[ứu]/i,
+  /nh[àa]\s+ph[âa]n\s+ph[ốo]i/i,
+  /nh[ậa]p\s+kh[ẩa]u\s+b[ởo]i/i,
+  /dung\s+t[íi]ch/i,
+  /kh[ốo]i\s+l[ưu][ợo]ng/i,
+  /h[ạa]n\s+s[ửu]\s+d[ụu]ng/i,
+  /s[ốo]\s+l[ôo]\s*[:：]/i,
+  /\b(?:NSX|HSD)\b/,
+  // Japanese markers
+  /使\s*用\s*方\s*法/,
+  /使\s*用\s*上\s*の\s*注\s*意/,
+  /ご\s*使\s*用/,
+  /保\s*管\s*方\s*法/,
+  /製\s*造\s*販\s*売\s*元/,
+  /[販発]\s*売\s*元/,
+  /内\s*容\s*量/,
+  /原\s*産\s*国/,
+  // Chinese markers (simplified and traditional)
+  /用\s*法\s*[:：]/,
+  /注\s*意\s*事\s*[项項]/,
+  /[贮储儲]\s*存/,
+  /保\s*存\s*(?:方\s*法|期\s*限)/,
+  /保\s*[质質]\s*期/,
+  /生\s*[产產]\s*(?:日\s*期|商|企\s*[业業])/,
+  /[制製]\s*造\s*商/,
+  /[净淨]\s*含\s*量/,
+  /[产產]\s*地/,
+  /[经經]\s*[销銷]\s*商/,
 ];
 
+
 // --- Text extraction ---
-export function extractIngredientsFromText(fullText) {
+export function extractIngredientsFromText(fullText, { requireHeader = true } = {}) {
   if (!fullText || typeof fullText !== 'string') return '';
 
-  // normalize whitespace
-  const normalized = fullText.replace(/[\u00A0\t\r]+/g, ' ').replace(/ +/g, ' ').trim();
+  // normalize whitespace (and Unicode composition, so Vietnamese diacritics match the patterns)
+  const normalized = fullText.normalize('NFC').replace(/[\u00A0\u3000\t\r]+/g, ' ').replace(/ +/g, ' ').trim();
 
   // find header
   let start = -1;
@@ -252,8 +451,11 @@ export function extractIngredientsFromText(fullText) {
     if (m) { start = m.index + m[0].length; break; }
   }
 
-  // If no header found, return empty
-  if (start === -1) return '';
+  // If no header found, return empty (or treat the whole text as the list)
+  if (start === -1) {
+    if (requireHeader) return '';
+    start = 0;
+  }
 
   let tail = normalized.slice(start);
 
@@ -271,17 +473,17 @@ export function extractIngredientsFromText(fullText) {
   tail = tail.replace(/\s?\[[^\]]*\]/g, ' '); // remove bracketed artifacts
   tail = tail.replace(/\b\d{6,}\b/g, ' '); // remove long numbers (lot/ref numbers)
   
-  // Remove Korean text (keep only English ingredients)
-  tail = tail.replace(/[\u3131-\u318E\uAC00-\uD7A3]+/g, ' ');
-  
-  // Clean up concentration parentheses: remove (8,660 ppm), (100 ppb), etc.
-  tail = tail.replace(/\([\d,\.]+\s*(?:ppm|ppb|%|mg|g)\)/gi, '');
+  // Keep stated concentrations but make them separator-safe: (8,660 ppm) → (8660ppm), (0,5%) → (0.5%)
+  tail = tail.replace(/[\(（]\s*([\d,\.]+)\s*(ppm|ppb|%|mg|g)\s*[\)）]/gi,
+    (_, num, unit) => `(${normalizeConcentrationNumber(num)}${unit.toLowerCase()})`);
+  tail = tail.replace(/(\d),(\d{1,2})\s*%/g, '$1.$2%');
   
   // Normalize whitespace and line breaks
   tail = tail.replace(/\s*\n\s*/g, ' ').replace(/\s+/g, ' ');
 
   // collapse repeated separators like '.,' and trim
-  tail = tail.replace(/[\.]{2,}/g, '.').replace(/\s*[,;]+\s*/g, ', ').trim();
+  // (CJK labels separate names with '、', '，' or '；')
+  tail = tail.replace(/[\.]{2,}/g, '.').replace(/\s*[,;，；、]+\s*/g, ', ').trim();
 
   return tail.replace(/^[:\-\s,;]+|[:\-\s,;]+$/g, '').trim();
 }
@@ -290,11 +492,15 @@ export function extractIngredientsFromText(fullText) {
 function isNoiseToken(tok) {
   if (!tok) return true;
   const t = tok.trim().toLowerCase();
+
+  // Names written only in Korean, Japanese or Chinese are kept, even one character long (水):
+  // the ones not translated to INCI are reported as unmatched, so a correction can map them
+  if (CJK_SCRIPT_TEST.test(t) && !/\p{Script=Latin}/u.test(t)) return false;
   if (t.length <= 1) return true;
   
-  // Filter out pure numbers, punctuation, or Korean characters
+  // Filter out pure numbers, punctuation, or names in other scripts
   if (/^[0-9\s'"\-\.]+$/.test(t)) return true;
-  if (/[\u3131-\u318E\uAC00-\uD7A3]/.test(t)) return true; // Korean characters
+  if (!/\p{Script=Latin}/u.test(t)) return true;
   
   // obvious non-ingredient words and fragments
   const noise = [
@@ -322,34 +528,78 @@ function isNoiseToken(tok) {
 
 // Fuzzy matching using fuzzball's ratio
 export async function matchIngredientsWithFuzzy(tokens, ingredientNames, threshold = 75) {
-  const found = new Set();
-  if (!tokens || !ingredientNames) return [];
+  const matches = await matchIngredientsWithScores(tokens, ingredientNames, threshold);
+  return matches.map(m => m.name);
+}
+
+// Same as matchIngredientsWithFuzzy, keeping the OCR token and score (0-100) of each match.
+// An ingredient found by several tokens keeps its best match.
+// ingredientNames can be a name list or a prebuilt index (buildTrigramIndex): with an index
+// only the names sharing enough trigrams with a token are scored.
+export async function matchIngredientsWithScores(tokens, ingredientNames, threshold = 75) {
+  const { matches } = await matchIngredientsWithReport(tokens, ingredientNames, threshold);
+  return matches;
+}
 
+// Same as matchIngredientsWithScores, also reporting the tokens no name reached the threshold
+// for, each with its closest names as suggestions: { matches, unmatched: [{ token, suggestions: [{ name, score }] }] }
+export async function matchIngredientsWithReport(tokens, ingredientNames, threshold = 75, { suggestionCount = 3, minSuggestionScore = 60 } = {}) {
+  const found = new Map();
+  const unmatched = new Map();
+  if (!tokens || !ingredientNames) return { matches: [], unmatched: [] };
+
+  const addMatch = (name, token, score) => {
+    const existing = found.get(name);
+    if (!existing || score > existing.score) found.set(name, { name, token, score });
+  };
+
+  const index = Array.isArray(ingredientNames) ? null : ingredientNames;
   // Precompute a lowercase mapping for fast compare
-  const normalizedMap = new Map();
-  for (const name of ingredientNames) {
-    if (!name) continue;
-    normalizedMap.set(name.toLowerCase(), name);
+  let normalizedMap = index?.exact;
+  if (!normalizedMap) {
+    normalizedMap = new Map();
+    for (const name of ingredientNames) {
+      if (!name) continue;
+      normalizedMap.set(name.toLowerCase(), name);
+    }
   }
 
   for (const token of tokens) {
     const t = token.toLowerCase();
     // try exact lowercase match first
     if (normalizedMap.has(t)) {
-      found.add(normalizedMap.get(t));
+      addMatch(normalizedMap.get(t), token, 100);
       continue;
     }
 
+    const candidates = index
+      ? findTrigramCandidates(index, t).map(name => {
+        const lname = name.toLowerCase();
+        return [lname, normalizedMap.get(lname)];
+      })
+      : normalizedMap.entries();
     let best = null;
     let bestScore = 0;
-    for (const [lname, original] of normalizedMap.entries()) {
+    // Closest names, best first, kept in case the token ends up unmatched
+    const nearest = [];
+    for (const [lname, original] of candidates) {
       // fuzzball token_set_ratio is good for order/extra words tolerance
       const score = fuzz.token_set_ratio(t, lname);
       if (score > bestScore) { bestScore = score; best = original; }
       if (bestScore === 100) break;
+      if (score >= minSuggestionScore &&
+          (nearest.length < suggestionCount || score > nearest[nearest.length - 1].score) &&
+          !nearest.some(n => n.name === original)) {
+        nearest.push({ name: original, score });
+        nearest.sort((a, b) => b.score - a.score);
+        if (nearest.length > suggestionCount) nearest.pop();
+      }
+    }
+    if (bestScore >= threshold && best) {
+      addMatch(best, token, bestScore);
+    } else if (!unmatched.has(t)) {
+      unmatched.set(t, { token, suggestions: nearest });
     }
-    if (bestScore >= threshold && best) found.add(best);
   }
-  return Array.from(found);
+  return { matches: Array.from(found.values()), unmatched: Array.from(unmatched.values()) };
 }
-
@@ -0,0 +1,81 @@
+// In-memory trigram index over ingredient names, used to prune the candidates of a
+// fuzzy match before scoring them with fuzzball.
+
+// A name must share this fraction of the trigrams of the shorter of itself and the token
+// to be scored: token_set_ratio also scores 100 when one side's words are a subset of the other's
+const DEFAULT_MIN_SHARED = 0.5;
+
+// Same normalization as fuzzball's full_process: lowercase, non alphanumerics as spaces
+function normalizeForTrigrams(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Trigrams of every word padded with spaces, so short words and word starts count too
+function toTrigrams(text) {
+  const grams = new Set();
+  for (const word of normalizeForTrigrams(text).split(' ')) {
+    if (!word) continue;
+    const padded = ` ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  }
+  return grams;
+}
+
+/**
+ * Builds the trigram index of a name list
+ * @param {Array<string>} names - Ingredient names (display form)
+ * @returns {{names: Array<string>, exact: Map<string, string>, postings: Map<string, Array<number>>, gramCounts: Array<number>}}
+ *   exact maps lowercase names to their (last listed) display form, postings maps a trigram to name ids
+ *   in list order, gramCounts holds the trigram count of each name
+ */
+export function buildTrigramIndex(names) {
+  const list = (names || []).filter(Boolean);
+  const exact = new Map();
+  const postings = new Map();
+  const gramCounts = new Array(list.length);
+
+  list.forEach((name, id) => {
+    exact.set(name.toLowerCase(), name);
+    const grams = toTrigrams(name);
+    gramCounts[id] = grams.size;
+    for (const gram of grams) {
+      let ids = postings.get(gram);
+      if (!ids) postings.set(gram, ids = []);
+      ids.push(id);
+    }
+  });
+
+  return { names: list, exact, postings, gramCounts };
+}
+
+/**
+ * Names sharing enough trigrams with a token to possibly reach a fuzzy match
+ * @param {Object} index - Output of buildTrigramIndex
+ * @param {string} token - OCR token
+ * @param {number} [minShared] - Fraction of the shorter side's trigrams a candidate must share
+ * @returns {Array<string>} Candidate names, in the order of the indexed list
+ */
+export function findTrigramCandidates(index, token, minShared = DEFAULT_MIN_SHARED) {
+  const grams = toTrigrams(token);
+  if (grams.size === 0) return [];
+
+  const counts = new Map();
+  for (const gram of grams) {
+    const ids = index.postings.get(gram);
+    if (!ids) continue;
+    for (const id of ids) counts.set(id, (counts.get(id) || 0) + 1);
+  }
+
+  const candidateIds = [];
+  for (const [id, count] of counts) {
+    const needed = Math.ceil(Math.min(grams.size, index.gramCounts[id]) * minShared);
+    if (count >= Math.max(1, needed)) candidateIds.push(id);
+  }
+  // Keep list order so ties resolve exactly like a full scan
+  return candidateIds.sort((a, b) => a - b).map(id => index.names[id]);
+}
@@ -0,0 +1,101 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { hashDistance, hashBands, entryDistance } from "../../src/services/analysisCache.service.js";
+
+// 256-bit difference hashes are 64 hex digits
+const HASH = "0123456789abcdef".repeat(4);
+
+// Flips one bit in each of the given hex digits
+function flipBits(hash, digitIndexes) {
+  const digits = hash.split("");
+  for (const i of digitIndexes) digits[i] = (parseInt(digits[i], 16) ^ 1).toString(16);
+  return digits.join("");
+}
+
+describe("hashDistance", () => {
+  it("is 0 for identical hashes", () => {
+    assert.equal(hashDistance(HASH, HASH), 0);
+  });
+
+  it("counts differing bits, not differing digits", () => {
+    assert.equal(hashDistance("0", "f"), 4);
+    assert.equal(hashDistance("8", "1"), 2);
+    assert.equal(hashDistance("00ff", "0f0f"), 8);
+    assert.equal(hashDistance(HASH, flipBits(HASH, [0, 10, 63])), 3);
+  });
+
+  it("is symmetric", () => {
+    const other = "fedcba9876543210".repeat(4);
+    assert.equal(hashDistance(HASH, other), hashDistance(other, HASH));
+  });
+
+  it("is 256 between a hash and its complement", () => {
+    assert.equal(hashDistance("0".repeat(64), "f".repeat(64)), 256);
+  });
+});
+
+describe("hashBands", () => {
+  it("splits a hash into 16 numbered bands of 4 hex digits", () => {
+    const bands = hashBands(HASH);
+
+    assert.equal(bands.length, 16);
+    assert.equal(bands[0], "0:0123");
+    assert.equal(bands[1], "1:4567");
+    assert.equal(bands[15], "15:cdef");
+  });
+
+  it("numbers the bands, so equal digits at different places don't collide", () => {
+    const bands = hashBands("0".repeat(64));
+
+    assert.equal(new Set(bands).size, 16);
+  });
+
+  it("keeps a band in common for hashes fewer than 16 bits apart", () => {
+    // One flipped bit in each of the first 15 bands
+    const near = flipBits(HASH, Array.from({ length: 15 }, (_, band) => band * 4));
+    assert.equal(hashDistance(HASH, near), 15);
+
+    const shared = hashBands(near).filter((band) => hashBands(HASH).includes(band));
+    assert.deepEqual(shared, ["15:cdef"]);
+  });
+
+  it("can share no band once every band differs", () => {
+    const far = flipBits(HASH, Array.from({ length: 16 }, (_, band) => band * 4));
+
+    assert.equal(hashBands(far).filter((band) => hashBands(HASH).includes(band)).length, 0);
+  });
+});
+
+describe("entryDistance", () => {
+  const back = "fedcba9876543210".repeat(4);
+
+  it("is 0 for the same images", () => {
+    assert.equal(entryDistance({ frontHash: HASH, backHashes: [back] }, { frontHash: HASH, backHashes: [back] }), 0);
+  });
+
+  it("takes the largest distance over the front and back images, in order", () => {
+    const entry = { frontHash: HASH, backHashes: [back, HASH] };
+    const key = { frontHash: flipBits(HASH, [0]), backHashes: [flipBits(back, [1, 2, 3]), HASH] };
+
+    assert.equal(entryDistance(entry, key), 3);
+    assert.ok(entryDistance(entry, { ...key, backHashes: [HASH, back] }) > 100);
+  });
+
+  it("compares only the back images when neither side has a front image", () => {
+    const entry = { frontHash: null, backHashes: [back] };
+
+    assert.equal(entryDistance(entry, { frontHash: null, backHashes: [flipBits(back, [5, 6])] }), 2);
+  });
+
+  it("is Infinity when only one side has a front image", () => {
+    assert.equal(entryDistance({ frontHash: HASH, backHashes: [back] }, { frontHash: null, backHashes: [back] }), Infinity);
+    assert.equal(entryDistance({ frontHash: null, backHashes: [back] }, { frontHash: HASH, backHashes: [back] }), Infinity);
+  });
+
+  it("is Infinity when the number of back images differs", () => {
+    assert.equal(
+      entryDistance({ frontHash: HASH, backHashes: [back] }, { frontHash: HASH, backHashes: [back, back] }),
+      Infinity,
+    );
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { detectFragranceAllergens } from "../../src/services/fragranceAllergen.service.js";
+
+// Weighed ingredients as buildProductAnalysis passes them, in label order
+const ingredient = (name, position, extra = {}) => ({
+  name, position, concentration: null, concentration_text: null, below_one_percent: null, ...extra,
+});
+
+describe("detectFragranceAllergens", () => {
+  it("finds nothing in a fragrance-free list", () => {
+    assert.deepEqual(detectFragranceAllergens([ingredient("Water", 1), ingredient("Glycerin", 2)]), []);
+    assert.deepEqual(detectFragranceAllergens([]), []);
+  });
+
+  it("reports EU-declarable allergens with their regulation", () => {
+    const [linalool, anethole] = detectFragranceAllergens([
+      ingredient("Linalool", 8), ingredient("Anethole", 9),
+    ]);
+
+    assert.equal(linalool.type, "allergen");
+    assert.equal(linalool.allergen, "Linalool");
+    assert.equal(linalool.regulation, "2003/15/EC");
+    assert.deepEqual(linalool.contains, []);
+    assert.equal(anethole.regulation, "2023/1545");
+  });
+
+  it("finds allergens by synonym, case and spacing aside, under their EU name", () => {
+    const allergens = detectFragranceAllergens([ingredient("d-limonene", 1), ingredient("  LILIAL ", 2)]);
+
+    assert.deepEqual(allergens.map(({ name, allergen }) => ({ name, allergen })), [
+      { name: "d-limonene", allergen: "Limonene" },
+      { name: "  LILIAL ", allergen: "Butylphenyl Methylpropional" },
+    ]);
+  });
+
+  it("ignores common names in parentheses", () => {
+    const [oakmoss] = detectFragranceAllergens([ingredient("Evernia Prunastri (Oakmoss) Extract", 12)]);
+
+    assert.equal(oakmoss.allergen, "Evernia Prunastri Extract");
+  });
+
+  it("reports essential oils with the allergens they naturally contain", () => {
+    const [lavender] = detectFragranceAllergens([ingredient("Lavandula Angustifolia Oil", 5)]);
+
+    assert.equal(lavender.type, "essential_oil");
+    assert.equal(lavender.allergen, "Lavender oil");
+    assert.equal(lavender.regulation, null);
+    assert.ok(lavender.contains.includes("Linalool"));
+    assert.match(lavender.reason, /Linalool/);
+  });
+
+  it("does not take seed, kernel, nut or fruit oils for essential oils", () => {
+    const allergens = detectFragranceAllergens([
+      ingredient("Citrus Aurantium Dulcis Peel Oil", 1),
+      ingredient("Citrus Aurantium Dulcis Seed Oil", 2),
+      ingredient("Citrus Paradisi Fruit Oil", 3),
+      ingredient("Citrus Extract", 4),
+    ]);
+
+    assert.deepEqual(allergens.map(({ name }) => name), ["Citrus Aurantium Dulcis Peel Oil"]);
+  });
+
+  it("reports undisclosed fragrance", () => {
+    const allergens = detectFragranceAllergens([ingredient("Parfum", 10), ingredient("Aroma", 11)]);
+
+    assert.deepEqual(allergens.map(({ type, allergen }) => ({ type, allergen })), [
+      { type: "fragrance", allergen: "Fragrance" },
+      { type: "fragrance", allergen: "Fragrance" },
+    ]);
+  });
+
+  it("keeps label order, position and concentration", () => {
+    const allergens = detectFragranceAllergens([
+      ingredient("Water", 1),
+      ingredient("Parfum", 2, { below_one_percent: false }),
+      ingredient("Linalool", 3, { concentration: 0.02, concentration_text: "0.02%", below_one_percent: true }),
+    ]);
+
+    assert.deepEqual(allergens.map(({ name, position, concentration, concentration_text, below_one_percent }) =>
+      ({ name, position, concentration, concentration_text, below_one_percent })), [
+      { name: "Parfum", position: 2, concentration: null, concentration_text: null, below_one_percent: false },
+      { name: "Linalool", position: 3, concentration: 0.02, concentration_text: "0.02%", below_one_percent: true },
+    ]);
+  });
+
+  it("fills missing amounts with null", () => {
+    const [linalool] = detectFragranceAllergens([{ name: "Linalool" }]);
+
+    assert.equal(linalool.position, null);
+    assert.equal(linalool.concentration, null);
+    assert.equal(linalool.concentration_text, null);
+    assert.equal(linalool.below_one_percent, null);
+  });
+});
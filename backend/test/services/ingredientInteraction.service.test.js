@@ -0,0 +1,150 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import IngredientCosing from "../../src/models/ingredientCosing.js";
+import { findIngredientConflicts, resolveIngredientClasses } from "../../src/services/ingredientInteraction.service.js";
+
+// CosIng function categories of the ingredients used below; other names have no CosIng entry
+const COSING_FUNCTIONS = {
+  "glycolic acid": [{ primary: "Buffering", subtype: "Exfoliating" }],
+  "papain": [{ primary: "Exfoliating" }],
+  "niacinamide": [{ primary: "Skin conditioning" }],
+};
+
+describe("ingredient interaction rules", () => {
+  beforeEach(() => {
+    // Classes by CosIng function are read from the database; answer from the table above instead
+    mock.method(IngredientCosing, "find", (filter) => ({
+      lean: async () => filter.inci_normalized.$in
+        .filter((key) => COSING_FUNCTIONS[key])
+        .map((key) => ({ inci_normalized: key, functions: COSING_FUNCTIONS[key] })),
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe("resolveIngredientClasses", () => {
+    it("matches classes by name, name pattern and CosIng function", async () => {
+      const ingredients = await resolveIngredientClasses(["Retinol", "Retinyl Palmitate", "Papain", "Water"]);
+
+      assert.deepEqual(ingredients, [
+        { name: "Retinol", classes: ["retinoid"] },
+        { name: "Retinyl Palmitate", classes: ["retinoid"] },
+        { name: "Papain", classes: ["exfoliant"] },
+        { name: "Water", classes: [] },
+      ]);
+    });
+
+    it("drops duplicate names whatever their case and spacing", async () => {
+      const ingredients = await resolveIngredientClasses(["Salicylic Acid", " salicylic  acid", "SALICYLIC ACID"]);
+
+      assert.deepEqual(ingredients, [{ name: "Salicylic Acid", classes: ["bha"] }]);
+    });
+
+    it("puts an ingredient in every class it belongs to", async () => {
+      const [glycolic] = await resolveIngredientClasses(["Glycolic Acid"]);
+
+      assert.deepEqual(glycolic.classes, ["aha", "exfoliant"]);
+    });
+  });
+
+  describe("findIngredientConflicts", () => {
+    it("reports nothing for ingredients without interactions", async () => {
+      const { conflicts } = await findIngredientConflicts(["Water", "Glycerin", "Niacinamide"]);
+
+      assert.deepEqual(conflicts, []);
+    });
+
+    it("reports a rule with the ingredients on each side", async () => {
+      const { conflicts } = await findIngredientConflicts(["retinol", "Benzoyl Peroxide"]);
+
+      assert.equal(conflicts.length, 1);
+      const [conflict] = conflicts;
+      assert.equal(conflict.rule, "retinoid-benzoyl-peroxide");
+      assert.equal(conflict.severity, "high");
+      assert.ok(conflict.title);
+      assert.ok(conflict.explanation);
+      assert.deepEqual(conflict.classes.map(({ class: id, ingredients }) => ({ id, ingredients })), [
+        { id: "retinoid", ingredients: ["retinol"] },
+        { id: "benzoyl_peroxide", ingredients: ["Benzoyl Peroxide"] },
+      ]);
+    });
+
+    it("lists a class paired with itself once, without pairing an ingredient with itself", async () => {
+      const single = await findIngredientConflicts(["Retinol", "retinol"]);
+      assert.deepEqual(single.conflicts, []);
+
+      const { conflicts } = await findIngredientConflicts(["Retinol", "Retinyl Palmitate"]);
+      assert.equal(conflicts.length, 1);
+      assert.equal(conflicts[0].rule, "retinoid-retinoid");
+      assert.deepEqual(conflicts[0].classes.map(({ class: id, ingredients }) => ({ id, ingredients })), [
+        { id: "retinoid", ingredients: ["Retinol", "Retinyl Palmitate"] },
+      ]);
+    });
+
+    it("reports a pair once, under the first rule matching it", async () => {
+      // Glycolic acid is both an AHA and an exfoliant: retinoid-aha comes before retinoid-exfoliant
+      const { conflicts } = await findIngredientConflicts(["Retinol", "Glycolic Acid", "Papain"]);
+
+      assert.deepEqual(conflicts.map(({ rule }) => rule), ["retinoid-aha", "retinoid-exfoliant"]);
+      const exfoliants = conflicts[1].classes.find(({ class: id }) => id === "exfoliant");
+      assert.deepEqual(exfoliants.ingredients, ["Papain"]);
+    });
+
+    it("orders conflicts by severity", async () => {
+      const { conflicts } = await findIngredientConflicts([
+        "Gluconolactone", "Retinol", "Ascorbic Acid", "Benzoyl Peroxide",
+      ]);
+
+      assert.deepEqual(conflicts.map(({ severity }) => severity), ["high", "moderate", "low"]);
+      assert.deepEqual(conflicts.map(({ rule }) => rule), [
+        "retinoid-benzoyl-peroxide", "benzoyl-peroxide-ascorbic-acid", "retinoid-pha",
+      ]);
+    });
+
+    it("returns the resolved classes of every ingredient", async () => {
+      const { ingredients } = await findIngredientConflicts(["Retinol", "Water"]);
+
+      assert.deepEqual(ingredients, [{ name: "Retinol", classes: ["retinoid"] }, { name: "Water", classes: [] }]);
+    });
+  });
+
+  describe("findIngredientConflicts with weighed ingredients", () => {
+    const retinol = { name: "Retinol", concentration: null, below_one_percent: true };
+
+    it("counts a class with a min_concentration from that concentration on", async () => {
+      const below = await findIngredientConflicts([retinol, { name: "Glycolic Acid", concentration: 0.5 }]);
+      assert.deepEqual(below.conflicts, []);
+
+      const at = await findIngredientConflicts([retinol, { name: "Glycolic Acid", concentration: 1 }]);
+      assert.deepEqual(at.conflicts.map(({ rule }) => rule), ["retinoid-aha"]);
+    });
+
+    it("uses the 1% line when the concentration is unknown", async () => {
+      const below = await findIngredientConflicts([
+        retinol, { name: "Ascorbic Acid", concentration: null, below_one_percent: true },
+      ]);
+      assert.deepEqual(below.conflicts, []);
+
+      const above = await findIngredientConflicts([
+        retinol, { name: "Salicylic Acid", concentration: null, below_one_percent: false },
+      ]);
+      assert.deepEqual(above.conflicts.map(({ rule }) => rule), ["retinoid-bha"]);
+    });
+
+    it("counts classes without a min_concentration in any amount", async () => {
+      const { conflicts } = await findIngredientConflicts([
+        retinol, { name: "Benzoyl Peroxide", concentration: 0.1, below_one_percent: true },
+      ]);
+
+      assert.deepEqual(conflicts.map(({ rule }) => rule), ["retinoid-benzoyl-peroxide"]);
+    });
+
+    it("counts names without amounts as members", async () => {
+      const { conflicts } = await findIngredientConflicts(["Retinol", "Lactic Acid"]);
+
+      assert.deepEqual(conflicts.map(({ rule }) => rule), ["retinoid-aha"]);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { runOcrService, getOcrTextFromData, getOcrWords } from "../../src/services/ocr.service.js";
+import {
+  extractIngredientsFromText,
+  splitIngredientsWithConcentrations,
+  matchIngredientsWithReport,
+  locateTokenInOcrWords,
+} from "../../src/utils/ocrLogic.js";
+import { buildTrigramIndex } from "../../src/utils/trigramIndex.js";
+
+// Recorded label in fixtures/ocr/default.json, in label order
+const LABEL_INGREDIENTS = [
+  "Water", "Glycerin", "Niacinamide", "Butylene Glycol", "Panthenol",
+  "Sodium Hyaluronate", "Centella Asiatica Extract", "Allantoin", "Adenosine",
+];
+// INCI names that look like the label's, so a loose match would pick them
+const LOOKALIKE_NAMES = [
+  "Glyceryl Stearate", "Propylene Glycol", "Hyaluronic Acid", "Sodium Hyaluronate Crosspolymer",
+  "Centella Asiatica Leaf Extract", "Niacin", "Adenine",
+];
+// Same threshold as the analysis (extractIngredientsFromTextService)
+const MATCH_THRESHOLD = 85;
+
+describe("OCR fixture provider to ingredient extraction", () => {
+  const savedEnv = {};
+  let tmpDir;
+  let imagePath;
+
+  before(async () => {
+    for (const name of ["OCR_PROVIDER", "OCR_FIXTURE_DIR", "OCR_RECORD_DIR"]) savedEnv[name] = process.env[name];
+    process.env.OCR_PROVIDER = "fixture";
+    // The recorded default.json answers any image without a fixture of its own
+    delete process.env.OCR_FIXTURE_DIR;
+    delete process.env.OCR_RECORD_DIR;
+
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "ocr-fixture-"));
+    imagePath = path.join(tmpDir, "label.png");
+    await fs.writeFile(imagePath, "not a recorded image");
+  });
+
+  after(async () => {
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it("matches the recorded label's ingredients in label order", async () => {
+    const ocrData = await runOcrService(imagePath);
+    const ingredientsBlock = extractIngredientsFromText(getOcrTextFromData(ocrData));
+    const tokens = splitIngredientsWithConcentrations(ingredientsBlock).map(({ token }) => token);
+
+    const index = buildTrigramIndex([...LOOKALIKE_NAMES, ...LABEL_INGREDIENTS]);
+    const { matches, unmatched } = await matchIngredientsWithReport(tokens, index, MATCH_THRESHOLD);
+
+    assert.deepEqual(matches.map(({ name }) => name), LABEL_INGREDIENTS);
+    matches.forEach(({ score }) => assert.equal(score, 100));
+    assert.deepEqual(unmatched, []);
+  });
+
+  it("locates every matched ingredient on the recorded label", async () => {
+    const ocrData = await runOcrService(imagePath);
+    const words = getOcrWords([ocrData]);
+
+    let cursor = 0;
+    for (const name of LABEL_INGREDIENTS) {
+      const located = locateTokenInOcrWords(name, words, cursor);
+      assert.ok(located, `${name} not found on the label`);
+      assert.ok(located.locations.length > 0);
+      located.locations.forEach(({ image }) => assert.equal(image, 0));
+      cursor = located.end;
+    }
+  });
+});
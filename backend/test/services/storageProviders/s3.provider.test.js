@@ -0,0 +1,220 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import sharp from "sharp";
+import { createS3StorageProvider } from "../../../src/services/storageProviders/s3.provider.js";
+
+const BUCKET = "scan-images";
+// Set for imageStorage, which reads its provider from the environment
+const STORAGE_ENV_VARS = [
+  "STORAGE_PROVIDER", "S3_BUCKET", "S3_REGION", "S3_ENDPOINT",
+  "S3_ACCESS_KEY_ID", "S3_SECRET_ACCESS_KEY", "S3_FORCE_PATH_STYLE",
+];
+// Small pages so listing has to follow continuation tokens
+const LIST_PAGE_SIZE = 2;
+
+const escapeXml = (text) =>
+  text.replace(/[<>&'"]/g, (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" })[char]);
+
+// aws-chunked bodies carry the payload in "<hex size>[;...]\r\n<data>\r\n" chunks, ending with a 0-size one
+function decodeAwsChunked(body) {
+  const chunks = [];
+  let offset = 0;
+  while (offset < body.length) {
+    const lineEnd = body.indexOf("\r\n", offset);
+    const size = parseInt(body.subarray(offset, lineEnd).toString().split(";")[0], 16);
+    if (!size) break;
+    chunks.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * In-process S3-compatible service (path-style, one bucket) with just the calls the provider makes
+ * @returns {Promise<{endpoint: string, objects: Map<string, Object>, close: Function}>}
+ */
+async function startS3Stub() {
+  const objects = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const rawBody = Buffer.concat(chunks);
+    const url = new URL(req.url, "http://localhost");
+    const [, bucket, ...keyParts] = url.pathname.split("/");
+    const key = decodeURIComponent(keyParts.join("/"));
+
+    const sendXml = (status, xml) => {
+      res.writeHead(status, { "Content-Type": "application/xml" });
+      res.end(`<?xml version="1.0" encoding="UTF-8"?>${xml}`);
+    };
+    if (bucket !== BUCKET) {
+      return sendXml(404, "<Error><Code>NoSuchBucket</Code><Message>No such bucket</Message></Error>");
+    }
+
+    if (!key && req.method === "GET" && url.searchParams.get("list-type") === "2") {
+      const prefix = url.searchParams.get("prefix") || "";
+      const start = Number(url.searchParams.get("continuation-token") || 0);
+      const keys = [...objects.keys()].filter((name) => name.startsWith(prefix)).sort();
+      const page = keys.slice(start, start + LIST_PAGE_SIZE);
+      const truncated = start + LIST_PAGE_SIZE < keys.length;
+      return sendXml(200, [
+        `<ListBucketResult><Name>${BUCKET}</Name><Prefix>${escapeXml(prefix)}</Prefix>`,
+        `<KeyCount>${page.length}</KeyCount><MaxKeys>${LIST_PAGE_SIZE}</MaxKeys><IsTruncated>${truncated}</IsTruncated>`,
+        truncated ? `<NextContinuationToken>${start + LIST_PAGE_SIZE}</NextContinuationToken>` : "",
+        ...page.map((name) =>
+          `<Contents><Key>${escapeXml(name)}</Key><LastModified>${objects.get(name).lastModified.toISOString()}</LastModified>` +
+          `<Size>${objects.get(name).body.length}</Size></Contents>`),
+        "</ListBucketResult>",
+      ].join(""));
+    }
+
+    if (req.method === "PUT") {
+      const body = /aws-chunked/.test(req.headers["content-encoding"] || "") ? decodeAwsChunked(rawBody) : rawBody;
+      objects.set(key, {
+        body,
+        contentType: req.headers["content-type"] || "application/octet-stream",
+        lastModified: new Date(),
+      });
+      res.writeHead(200, { ETag: '"stub"' });
+      return res.end();
+    }
+    if (req.method === "GET") {
+      const object = objects.get(key);
+      if (!object) {
+        return sendXml(404, `<Error><Code>NoSuchKey</Code><Message>No such key</Message><Key>${escapeXml(key)}</Key></Error>`);
+      }
+      res.writeHead(200, { "Content-Type": object.contentType, "Content-Length": object.body.length });
+      return res.end(object.body);
+    }
+    if (req.method === "DELETE") {
+      objects.delete(key);
+      res.writeHead(204);
+      return res.end();
+    }
+    sendXml(405, "<Error><Code>MethodNotAllowed</Code><Message>Not supported by the stub</Message></Error>");
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    objects,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+describe("S3 storage provider", () => {
+  let stub;
+  let storage;
+  const savedEnv = {};
+
+  before(async () => {
+    stub = await startS3Stub();
+    const config = {
+      bucket: BUCKET,
+      region: "us-east-1",
+      endpoint: stub.endpoint,
+      accessKeyId: "test",
+      secretAccessKey: "test",
+      forcePathStyle: true,
+    };
+    storage = createS3StorageProvider(config);
+
+    // Scan images reach the provider through imageStorage, configured from the environment
+    for (const name of STORAGE_ENV_VARS) savedEnv[name] = process.env[name];
+    Object.assign(process.env, {
+      STORAGE_PROVIDER: "s3",
+      S3_BUCKET: config.bucket,
+      S3_REGION: config.region,
+      S3_ENDPOINT: config.endpoint,
+      S3_ACCESS_KEY_ID: config.accessKeyId,
+      S3_SECRET_ACCESS_KEY: config.secretAccessKey,
+      S3_FORCE_PATH_STYLE: "true",
+    });
+  });
+
+  after(async () => {
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await stub.close();
+  });
+
+  it("stores and reads back an object with its content type", async () => {
+    await storage.putObject("scans/a.jpg", Buffer.from("image bytes"), "image/jpeg");
+
+    const object = await storage.getObject("scans/a.jpg");
+    assert.equal(object.buffer.toString(), "image bytes");
+    assert.equal(object.contentType, "image/jpeg");
+  });
+
+  it("returns null for a missing object", async () => {
+    assert.equal(await storage.getObject("scans/missing.jpg"), null);
+  });
+
+  it("deletes an object", async () => {
+    await storage.putObject("scans/b.jpg", Buffer.from("b"), "image/jpeg");
+    await storage.deleteObject("scans/b.jpg");
+
+    assert.equal(await storage.getObject("scans/b.jpg"), null);
+  });
+
+  it("lists every object under a prefix across pages", async () => {
+    stub.objects.clear();
+    for (const key of ["scans/1.jpg", "scans/2.jpg", "scans/3.jpg", "thumbnails/1.jpg"]) {
+      await storage.putObject(key, Buffer.from(key), "image/jpeg");
+    }
+
+    const objects = await storage.listObjects("scans/");
+    assert.deepEqual(objects.map(({ key }) => key), ["scans/1.jpg", "scans/2.jpg", "scans/3.jpg"]);
+    objects.forEach(({ lastModified }) => assert.ok(lastModified instanceof Date));
+  });
+
+  it("stores scan images with a thumbnail, and renders a missing thumbnail on first read", async () => {
+    const { storeScanImage, getScanImage, deleteScanImage, thumbnailKeyFor } =
+      await import("../../../src/services/imageStorage.service.js");
+    const photo = await sharp({
+      create: { width: 1200, height: 800, channels: 3, background: { r: 200, g: 120, b: 80 } },
+    }).png().toBuffer();
+
+    const key = await storeScanImage(photo);
+    assert.ok(stub.objects.has(key));
+    assert.ok(stub.objects.has(thumbnailKeyFor(key)));
+
+    stub.objects.delete(thumbnailKeyFor(key));
+    const thumbnail = await getScanImage(key, { thumbnail: true });
+    assert.equal(thumbnail.contentType, "image/jpeg");
+    const { width, height } = await sharp(thumbnail.buffer).metadata();
+    assert.equal(Math.max(width, height), 320);
+    assert.ok(stub.objects.has(thumbnailKeyFor(key)));
+
+    await deleteScanImage(key);
+    assert.equal(await getScanImage(key), null);
+    assert.ok(!stub.objects.has(thumbnailKeyFor(key)));
+  });
+
+  it("stores journal photos sent as data URLs, upright JPEG under a journal key", async () => {
+    const { storeJournalPhoto, getJournalPhoto, deleteJournalPhoto, isJournalPhotoKey, ImageStorageError } =
+      await import("../../../src/services/imageStorage.service.js");
+    const photo = await sharp({
+      create: { width: 3000, height: 1000, channels: 3, background: { r: 90, g: 60, b: 50 } },
+    }).png().toBuffer();
+
+    const key = await storeJournalPhoto(`data:image/png;base64,${photo.toString("base64")}`);
+    assert.ok(isJournalPhotoKey(key));
+    const stored = await getJournalPhoto(key);
+    assert.equal(stored.contentType, "image/jpeg");
+    const { width, format } = await sharp(stored.buffer).metadata();
+    assert.equal(format, "jpeg");
+    assert.equal(width, 2048);
+
+    await deleteJournalPhoto(key);
+    assert.equal(await getJournalPhoto(key), null);
+    // Only journal keys are read, so scan images can't be fetched through the journal route
+    assert.equal(await getJournalPhoto("scans/a.jpg"), null);
+    await assert.rejects(storeJournalPhoto("https://example.com/a.jpg"), ImageStorageError);
+    await assert.rejects(storeJournalPhoto("data:image/png;base64,bm90IGFuIGltYWdl"), ImageStorageError);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parse } from "csv-parse/sync";
+import { toCsv } from "../../src/utils/csvExport.js";
+
+// One column holding the row itself, to check how single values come out
+const VALUE_COLUMN = [{ header: "value", value: (row) => row }];
+const cell = (value) => toCsv([value], VALUE_COLUMN).split("\r\n")[1];
+
+describe("toCsv", () => {
+  it("writes a header line and one CRLF-terminated line per row", () => {
+    const csv = toCsv(
+      [{ name: "Retinol", risk: "moderate-risk" }, { name: "Water", risk: "no-risk" }],
+      [{ header: "Name", value: (row) => row.name }, { header: "Risk", value: (row) => row.risk }],
+    );
+
+    assert.equal(csv, "Name,Risk\r\nRetinol,moderate-risk\r\nWater,no-risk\r\n");
+  });
+
+  it("writes only the header without rows", () => {
+    assert.equal(toCsv([], VALUE_COLUMN), "value\r\n");
+  });
+
+  it("leaves plain values unquoted", () => {
+    assert.equal(cell("Sodium Hyaluronate"), "Sodium Hyaluronate");
+    assert.equal(cell(42), "42");
+    assert.equal(cell(false), "false");
+  });
+
+  it("quotes values with commas, quotes or line breaks and doubles their quotes", () => {
+    assert.equal(cell("Water, Glycerin"), '"Water, Glycerin"');
+    assert.equal(cell('5" tube'), '"5"" tube"');
+    assert.equal(toCsv(["line 1\nline 2"], VALUE_COLUMN), 'value\r\n"line 1\nline 2"\r\n');
+    assert.equal(toCsv(["a\rb"], VALUE_COLUMN), 'value\r\n"a\rb"\r\n');
+  });
+
+  it("quotes headers like values", () => {
+    assert.equal(toCsv([], [{ header: "Risk, level", value: () => "" }]), '"Risk, level"\r\n');
+  });
+
+  it("writes null and undefined as empty cells", () => {
+    const csv = toCsv([{}], [
+      { header: "a", value: () => null },
+      { header: "b", value: () => undefined },
+      { header: "c", value: () => 0 },
+    ]);
+
+    assert.equal(csv, "a,b,c\r\n,,0\r\n");
+  });
+
+  it("writes dates as ISO strings, arrays joined with semicolons and objects as JSON", () => {
+    assert.equal(cell(new Date("2026-01-02T03:04:05.000Z")), "2026-01-02T03:04:05.000Z");
+    assert.equal(cell(["dry", "sensitive"]), "dry; sensitive");
+    assert.equal(cell({ front: "a.jpg" }), '"{""front"":""a.jpg""}"');
+  });
+
+  it("reads back as the original values with a CSV parser", () => {
+    const values = ['He said "hi"', "a,b", "multi\r\nline", "", "plain", '"', ",", "\n"];
+    const csv = toCsv(values, VALUE_COLUMN);
+
+    const records = parse(csv, { columns: true });
+    assert.deepEqual(records.map((record) => record.value), values);
+  });
+});
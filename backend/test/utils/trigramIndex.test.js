@@ -0,0 +1,106 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildTrigramIndex, findTrigramCandidates } from "../../src/utils/trigramIndex.js";
+import { matchIngredientsWithReport } from "../../src/utils/ocrLogic.js";
+
+const NAMES = [
+  "Water", "Aqua", "Glycerin", "Glyceryl Stearate", "Butylene Glycol", "Propylene Glycol",
+  "Pentylene Glycol", "Niacinamide", "Niacin", "Panthenol", "Sodium Hyaluronate",
+  "Hydrolyzed Hyaluronic Acid", "Hyaluronic Acid", "Centella Asiatica Extract",
+  "Centella Asiatica Leaf Extract", "Allantoin", "Adenosine", "Tocopherol", "Tocopheryl Acetate",
+  "Sodium Chloride", "Disodium EDTA", "Phenoxyethanol", "Ethylhexylglycerin", "CI 77491",
+  "PEG-40 Hydrogenated Castor Oil", "Camellia Sinensis Leaf Extract", "Citric Acid",
+];
+
+describe("buildTrigramIndex", () => {
+  it("skips empty names and maps lowercase names to their display form", () => {
+    const index = buildTrigramIndex(["Water", "", null, "Sodium Hyaluronate"]);
+
+    assert.deepEqual(index.names, ["Water", "Sodium Hyaluronate"]);
+    assert.equal(index.exact.get("sodium hyaluronate"), "Sodium Hyaluronate");
+    assert.equal(index.gramCounts.length, 2);
+  });
+
+  it("indexes the padded trigrams of every word", () => {
+    const index = buildTrigramIndex(["Aqua"]);
+
+    // " aqua " -> " aq", "aqu", "qua", "ua "
+    assert.equal(index.gramCounts[0], 4);
+    for (const gram of [" aq", "aqu", "qua", "ua "]) assert.deepEqual(index.postings.get(gram), [0]);
+  });
+
+  it("builds an empty index from no names", () => {
+    const index = buildTrigramIndex(undefined);
+
+    assert.deepEqual(index.names, []);
+    assert.deepEqual(findTrigramCandidates(index, "water"), []);
+  });
+});
+
+describe("findTrigramCandidates", () => {
+  const index = buildTrigramIndex(NAMES);
+
+  it("returns the names sharing enough trigrams, in list order", () => {
+    const candidates = findTrigramCandidates(index, "glycerin");
+
+    assert.ok(candidates.includes("Glycerin"));
+    assert.ok(!candidates.includes("Water"));
+    assert.deepEqual(candidates, NAMES.filter(name => candidates.includes(name)));
+  });
+
+  it("keeps names whose words are a subset of the token or the other way round", () => {
+    assert.ok(findTrigramCandidates(index, "centella extract").includes("Centella Asiatica Extract"));
+    assert.ok(findTrigramCandidates(index, "hyaluronic acid 1%").includes("Hyaluronic Acid"));
+  });
+
+  it("tolerates OCR misreads", () => {
+    assert.ok(findTrigramCandidates(index, "niacinamlde").includes("Niacinamide"));
+    assert.ok(findTrigramCandidates(index, "phenoxyethano1").includes("Phenoxyethanol"));
+  });
+
+  it("returns nothing for tokens without letters or digits, or sharing no trigram", () => {
+    assert.deepEqual(findTrigramCandidates(index, "--"), []);
+    assert.deepEqual(findTrigramCandidates(index, "zzzz"), []);
+  });
+
+  it("lets more candidates through with a lower minimum share", () => {
+    const strict = findTrigramCandidates(index, "sodium glycol", 0.9);
+    const loose = findTrigramCandidates(index, "sodium glycol", 0.1);
+
+    assert.ok(loose.length > strict.length);
+    strict.forEach(name => assert.ok(loose.includes(name)));
+  });
+});
+
+describe("matching through the index", () => {
+  // Label tokens as OCR reads them: exact, misread, split, reordered, or not an ingredient at all
+  const TOKENS = [
+    "water", "Glycerln", "Butylene Glyco1", "Niacinamlde", "Panthenol", "Sodium Hyaluronat",
+    "Centella Asiatica Extact", "Asiatica Centella Extract", "Allantoln", "Adenosine",
+    "Tocopheryl Acetat", "Disodium ETDA", "Phenoxyethanol", "Ethylhexylglycerine", "CI 77491",
+    "PEG-40 Hydrogenated Castor", "Camelia Sinensis Leaf Extract", "Citric", "Made in Korea", "Best before",
+  ];
+
+  it("finds the same matches as a full scan of the name list", async () => {
+    for (const threshold of [75, 85, 95]) {
+      const indexed = await matchIngredientsWithReport(TOKENS, buildTrigramIndex(NAMES), threshold);
+      const fullScan = await matchIngredientsWithReport(TOKENS, NAMES, threshold);
+
+      assert.deepEqual(indexed.matches, fullScan.matches, `matches differ at threshold ${threshold}`);
+      assert.deepEqual(
+        indexed.unmatched.map(({ token }) => token),
+        fullScan.unmatched.map(({ token }) => token),
+        `unmatched tokens differ at threshold ${threshold}`,
+      );
+    }
+  });
+
+  it("still matches exact names without scoring", async () => {
+    const { matches } = await matchIngredientsWithReport(["AQUA", "ci 77491"], buildTrigramIndex(NAMES), 85);
+
+    assert.deepEqual(matches, [
+      { name: "Aqua", token: "AQUA", score: 100 },
+      { name: "CI 77491", token: "ci 77491", score: 100 },
+    ]);
+  });
+});
@@ -8,6 +8,7 @@ import Chatbot from "pages/chatbot";
 import UserProfileDashboard from "pages/user-profile";
 import Login from "pages/login";
 import LandingPage from "pages/landing-page";
+import IngredientDetail from "pages/ingredient-detail";
 
 const Routes = () => {
   return (
@@ -21,6 +22,7 @@ const Routes = () => {
           <Route path="/chatbot" element={<Chatbot />} />
           <Route path="/profile" element={<UserProfileDashboard />} />
           <Route path="/login" element={<Login />} />
+          <Route path="/ingredient/:name" element={<IngredientDetail />} />
         </RouterRoutes>
       </ErrorBoundary>
     </BrowserRouter>
@@ -0,0 +1,381 @@
+import React, { useState, useEffect } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { Helmet } from "react-helmet";
+import Header from "../../components/ui/Header";
+import Icon from "../../components/AppIcon";
+import Image from "../../components/AppImage";
+import Button from "../../components/ui/Button";
+import ApiService from "../../services/api";
+import { getIngredientPath } from "../../utils/ingredientLinks";
+
+const RISK_BADGES = {
+  "no-risk": { color: "text-blue-700", bg: "bg-blue-100", label: "Safe", icon: "Shield" },
+  "low-risk": { color: "text-green-700", bg: "bg-green-100", label: "Low Risk", icon: "Info" },
+  "moderate-risk": {
+    color: "text-orange-700",
+    bg: "bg-orange-100",
+    label: "Moderate",
+    icon: "AlertTriangle",
+  },
+  "high-risk": { color: "text-red-700", bg: "bg-red-100", label: "High Risk", icon: "AlertCircle" },
+};
+const UNKNOWN_RISK = {
+  color: "text-muted-foreground",
+  bg: "bg-muted",
+  label: "Unknown",
+  icon: "HelpCircle",
+};
+
+const SOURCE_LABELS = { cosing: "CosIng", renude: "Renude", ai: "AI generated" };
+
+const SectionCard = ({ icon, title, children }) => (
+  <div className="glass-card rounded-xl p-6">
+    <div className="flex items-center space-x-3 mb-4">
+      <div className="w-10 h-10 bg-gradient-primary rounded-lg flex items-center justify-center shadow-glass">
+        <Icon name={icon} size={20} color="white" />
+      </div>
+      <h3 className="text-xl font-heading font-semibold gradient-text">{title}</h3>
+    </div>
+    {children}
+  </div>
+);
+
+const IngredientDetail = () => {
+  const { name } = useParams();
+  const navigate = useNavigate();
+  const [ingredient, setIngredient] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [scans, setScans] = useState([]);
+  const isAuthenticated = localStorage.getItem("isAuthenticated") === "true";
+
+  useEffect(() => {
+    let cancelled = false;
+
+    // The signed-in user's scans listing this ingredient
+    const loadScans = async (ingredientName) => {
+      const userId = JSON.parse(localStorage.getItem("userProfile") || "{}")?.id;
+      if (!isAuthenticated || !userId) return;
+      try {
+        const response = await ApiService.getScanHistory(userId, 1, 20, {
+          ingredient: ingredientName,
+        });
+        if (!cancelled) setScans(response.data || []);
+      } catch (err) {
+        console.error("Failed to load scans for ingredient:", err);
+      }
+    };
+
+    const loadIngredient = async () => {
+      setIsLoading(true);
+      setError(null);
+      setSuggestions([]);
+      setScans([]);
+      try {
+        const response = await ApiService.getIngredientProfile(name);
+        if (cancelled) return;
+        setIngredient(response.ingredient);
+        loadScans(response.ingredient.name);
+      } catch (err) {
+        if (cancelled) return;
+        setIngredient(null);
+        setSuggestions(err?.data?.suggestions || []);
+        setError(
+          err?.status === 404
+            ? `No ingredient named "${name}" was found.`
+            : err?.message || "Could not load this ingredient."
+        );
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadIngredient();
+    return () => {
+      cancelled = true;
+    };
+  }, [name, isAuthenticated]);
+
+  const formatDate = (date) =>
+    new Date(date).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+
+  const riskBadge = RISK_BADGES[ingredient?.risk_level] || UNKNOWN_RISK;
+
+  return (
+    <>
+      <Helmet>
+        <title>{ingredient?.name || name} - SkinCare Analyzer</title>
+        <meta
+          name="description"
+          content={`Description, benefits, risk and products containing ${ingredient?.name || name}`}
+        />
+      </Helmet>
+      <div className="min-h-screen bg-background">
+        <Header />
+        <main className="pt-16">
+          <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-6 lg:py-8 space-y-6">
+            <Button
+              variant="ghost"
+              onClick={() => navigate(-1)}
+              iconName="ArrowLeft"
+              iconPosition="left"
+              iconSize={16}
+            >
+              Back
+            </Button>
+
+            {isLoading ? (
+              <div className="flex items-center justify-center min-h-[40vh]">
+                <div className="text-center">
+                  <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary mx-auto mb-4"></div>
+                  <p className="text-muted-foreground">Loading ingredient...</p>
+                </div>
+              </div>
+            ) : error ? (
+              <div className="glass-card rounded-xl p-8 text-center">
+                <Icon
+                  name="SearchX"
+                  size={48}
+                  className="text-muted-foreground mx-auto mb-4"
+                />
+                <p className="text-foreground font-medium mb-4">{error}</p>
+                {suggestions.length > 0 && (
+                  <div className="space-y-2">
+                    <p className="text-sm text-muted-foreground font-caption">
+                      Did you mean:
+                    </p>
+                    <div className="flex flex-wrap justify-center gap-2">
+                      {suggestions.map((suggestion) => (
+                        <Link
+                          key={suggestion.name}
+                          to={getIngredientPath(suggestion.name)}
+                          className="text-sm px-3 py-1 rounded-full bg-primary/10 text-primary hover:bg-primary/20 transition-smooth"
+                        >
+                          {suggestion.name}
+                        </Link>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            ) : (
+              <>
+                {/* Overview */}
+                <div className="glass-card rounded-xl p-6">
+                  <div className="flex flex-wrap items-center gap-3 mb-3">
+                    <h1 className="text-2xl sm:text-3xl font-heading font-bold gradient-text">
+                      {ingredient.name}
+                    </h1>
+                    <span
+                      className={`text-xs px-2 py-1 rounded-full font-medium flex items-center gap-1 border ${riskBadge.bg} ${riskBadge.color}`}
+                    >
+                      <Icon name={riskBadge.icon} size={12} />
+                      {riskBadge.label}
+                    </span>
+                  </div>
+                  {ingredient.korean_names?.length > 0 && (
+                    <p className="text-sm text-muted-foreground font-caption mb-3">
+                      {ingredient.korean_names.join(", ")}
+                    </p>
+                  )}
+                  <p className="text-foreground font-caption">
+                    {ingredient.description || "No description available yet."}
+                  </p>
+                  <p className="text-xs text-muted-foreground font-caption mt-4">
+                    Sources:{" "}
+                    {ingredient.sources
+                      ?.map((source) => SOURCE_LABELS[source] || source)
+                      .join(", ")}
+                  </p>
+                </div>
+
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  {/* Risk */}
+                  <SectionCard icon="Shield" title="Risk Assessment">
+                    <div
+                      className={`inline-flex items-center gap-2 px-3 py-1 rounded-full text-sm font-medium mb-3 ${riskBadge.bg} ${riskBadge.color}`}
+                    >
+                      <Icon name={riskBadge.icon} size={14} />
+                      {riskBadge.label}
+                    </div>
+                    <p className="text-sm text-foreground font-caption">
+                      {ingredient.reason || "No specific concerns recorded."}
+                    </p>
+                  </SectionCard>
+
+                  {/* CosIng functions */}
+                  <SectionCard icon="FlaskConical" title="Functions">
+                    {ingredient.functions?.length > 0 ? (
+                      <div className="flex flex-wrap gap-2">
+                        {ingredient.functions.map((fn) => (
+                          <span
+                            key={`${fn.primary}-${fn.subtype || ""}`}
+                            className="text-xs px-2 py-1 rounded-full bg-primary/10 text-primary"
+                          >
+                            {fn.subtype ? `${fn.primary} · ${fn.subtype}` : fn.primary}
+                          </span>
+                        ))}
+                      </div>
+                    ) : (
+                      <p className="text-sm text-muted-foreground font-caption">
+                        Not listed in CosIng.
+                      </p>
+                    )}
+                  </SectionCard>
+
+                  {/* Benefits */}
+                  <SectionCard icon="Sparkles" title="Benefits">
+                    {ingredient.benefits?.length > 0 ? (
+                      <ul className="space-y-2">
+                        {ingredient.benefits.map((benefit) => (
+                          <li key={benefit} className="flex items-start space-x-2">
+                            <Icon
+                              name="Check"
+                              size={14}
+                              className="text-primary mt-1 flex-shrink-0"
+                            />
+                            <span className="text-sm text-foreground font-caption">
+                              {benefit}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <p className="text-sm text-muted-foreground font-caption">
+                        No benefits recorded.
+                      </p>
+                    )}
+                  </SectionCard>
+
+                  {/* Good for */}
+                  <SectionCard icon="Heart" title="Good For">
+                    {ingredient.good_for?.length > 0 ? (
+                      <div className="flex flex-wrap gap-2">
+                        {ingredient.good_for.map((skin) => (
+                          <span
+                            key={skin}
+                            className="text-sm px-3 py-1 rounded-full bg-success/10 text-success border border-success/20 capitalize"
+                          >
+                            {skin}
+                          </span>
+                        ))}
+                      </div>
+                    ) : (
+                      <p className="text-sm text-muted-foreground font-caption">
+                        No skin types recorded.
+                      </p>
+                    )}
+                  </SectionCard>
+                </div>
+
+                {/* Catalog products */}
+                <SectionCard
+                  icon="Package"
+                  title={`Products Containing It (${ingredient.product_count || 0})`}
+                >
+                  {ingredient.products?.length > 0 ? (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                      {ingredient.products.map((product) => (
+                        <div
+                          key={product._id}
+                          className="flex items-center space-x-3 p-3 border border-black-300 rounded-lg bg-white"
+                        >
+                          {product.thumbnail_url && (
+                            <div className="w-12 h-12 rounded-lg overflow-hidden flex-shrink-0">
+                              <Image
+                                src={product.thumbnail_url}
+                                alt={product.name}
+                                className="w-full h-full object-cover"
+                              />
+                            </div>
+                          )}
+                          <div className="min-w-0">
+                            <p className="text-sm font-medium text-foreground truncate">
+                              {product.name}
+                            </p>
+                            <p className="text-xs text-muted-foreground font-caption truncate">
+                              {product.brand} · {product.category}
+                            </p>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-sm text-muted-foreground font-caption">
+                      No catalog product lists this ingredient.
+                    </p>
+                  )}
+                  {ingredient.product_count > ingredient.products?.length && (
+                    <p className="text-xs text-muted-foreground font-caption mt-3">
+                      Showing the {ingredient.products.length} best ranked products.
+                    </p>
+                  )}
+                </SectionCard>
+
+                {/* The user's scans */}
+                <SectionCard icon="History" title="In Your Scans">
+                  {!isAuthenticated ? (
+                    <p className="text-sm text-muted-foreground font-caption">
+                      <Link to="/login" className="text-primary hover:underline">
+                        Sign in
+                      </Link>{" "}
+                      to see which of your scanned products contain it.
+                    </p>
+                  ) : scans.length > 0 ? (
+                    <div className="space-y-3">
+                      {scans.map((scan) => (
+                        <div
+                          key={scan._id}
+                          className="flex items-center space-x-3 p-3 border border-black-300 rounded-lg bg-white"
+                        >
+                          <div className="w-12 h-12 rounded-lg overflow-hidden bg-white/10 flex-shrink-0">
+                            <Image
+                              src={
+                                ApiService.getScanImageUrl(scan.productImages?.front, {
+                                  thumbnail: true,
+                                }) || "/assets/images/placeholder.png"
+                              }
+                              alt={`${scan.productName} product image`}
+                              className="w-full h-full object-cover"
+                            />
+                          </div>
+                          <div className="flex-1 min-w-0">
+                            <p className="text-sm font-medium text-foreground truncate">
+                              {scan.productName}
+                            </p>
+                            <p className="text-xs text-muted-foreground font-caption truncate">
+                              {[scan.productBrand, formatDate(scan.scanDate || scan.createdAt)]
+                                .filter(Boolean)
+                                .join(" · ")}
+                            </p>
+                          </div>
+                        </div>
+                      ))}
+                      <Link
+                        to="/profile"
+                        className="inline-block text-sm text-primary hover:underline"
+                      >
+                        View scan history
+                      </Link>
+                    </div>
+                  ) : (
+                    <p className="text-sm text-muted-foreground font-caption">
+                      None of your scanned products contain it.
+                    </p>
+                  )}
+                </SectionCard>
+              </>
+            )}
+          </div>
+        </main>
+      </div>
+    </>
+  );
+};
+
+export default IngredientDetail;
@@ -138,6 +138,15 @@ const RegisterStep1 = ({ data, setData, nextStep, setErrorMessage }) => {
         required
       />
 
+      <Input
+        className="transition-all duration-300 border-gray-300 focus-visible:border-pink-500 focus-visible:ring-pink-500"
+        label="Email"
+        type="email"
+        placeholder="Enter your email (optional)"
+        value={data.email}
+        onChange={(e) => setData({ ...data, email: e.target.value })}
+      />
+
       <div className="space-y-2">
         <Input
           className="transition-all duration-300 border-gray-300 focus-visible:border-pink-500 focus-visible:ring-pink-500"
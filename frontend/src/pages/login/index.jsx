@@ -10,6 +10,12 @@ import AuthHeader from "./components/AuthHeader";
 import LoadingStateOverlay from "../../components/ui/LoadingStateOverlay";
 import ApiService from "../../services/api";
 
+// Shown instead of the server's wording for the errors the form can point at
+const REGISTER_ERROR_MESSAGES = {
+  DUPLICATE_USERNAME: "This username is already taken. Please choose another one.",
+  DUPLICATE_EMAIL: "An account with this email already exists.",
+};
+
 const Login = () => {
   const navigate = useNavigate();
 
@@ -39,38 +45,16 @@ const Login = () => {
     setErrorMessage("");
 
     try {
-      // Try to get user from database by username
-      const userResponse = await ApiService.getUserByUsername(
-        formData.username
-      );
-
-      if (userResponse && userResponse.user) {
-        const user = userResponse.user;
-        // For now, we'll skip password validation since this is a demo
-        // In real app, you'd validate password against hashed version
-
-        // Store user profile in localStorage for session management
-        const userProfile = {
-          email: user.email,
-          username: user.username,
-          name: user.name,
-          skinType: user.skinType,
-          skinStatus: user.concerns || [],
-          primaryStatus: user.concerns || [],
-          joinDate: new Date(user.createdAt).toLocaleDateString("en-US"),
-        };
-
-        localStorage.setItem("userProfile", JSON.stringify(userProfile));
-        localStorage.setItem("isAuthenticated", "true");
-        navigate("/profile");
-      } else {
-        setErrorMessage(
-          "Account does not exist. Please check your username or register a new account."
-        );
-      }
+      // Verifies the password server-side and stores the issued tokens
+      await ApiService.login(formData.username, formData.password);
+      navigate("/profile");
     } catch (error) {
       console.error("Login error:", error);
-      setErrorMessage("Account does not exist. Please register a new account.");
+      setErrorMessage(
+        error.status === 401
+          ? "Incorrect username or password. Please try again."
+          : "Login failed. Please try again."
+      );
     } finally {
       setIsLoading(false);
     }
@@ -80,37 +64,26 @@ const Login = () => {
     setIsLoading(true);
     try {
       const userData = {
-        email: registerData.email,
+        email: registerData.email || undefined,
         username: registerData.username || registerData.name,
         name: registerData.name,
+        password: registerData.password,
         skinType: registerData.skinType,
         concerns: registerData.skinStatus,
       };
 
-      // Create user in database
-      const response = await ApiService.createOrUpdateUser(userData);
-
-      if (response && response.user) {
-        const user = response.user;
-
-        // Store user profile in localStorage for session management
-        const userProfile = {
-          email: user.email,
-          username: user.username,
-          name: user.name,
-          skinType: user.skinType,
-          skinStatus: user.concerns || [],
-          primaryStatus: user.concerns || [],
-          joinDate: new Date(user.createdAt).toLocaleDateString("en-US"),
-        };
-
-        localStorage.setItem("userProfile", JSON.stringify(userProfile));
-        localStorage.setItem("isAuthenticated", "true");
-        navigate("/profile");
-      }
+      // Create the account and start a session
+      await ApiService.register(userData);
+      navigate("/profile");
     } catch (error) {
       console.error("Registration error:", error);
-      setErrorMessage("Registration failed. Please try again.");
+      setErrorMessage(
+        REGISTER_ERROR_MESSAGES[error.code] ||
+          (error.status === 409
+            ? error.message
+            : "Registration failed. Please try again.")
+      );
+      if (error.status === 409) setStep(1);
     } finally {
       setIsLoading(false);
     }
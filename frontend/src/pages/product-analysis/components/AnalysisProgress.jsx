@@ -1,47 +1,67 @@
 import React from "react";
 import Icon from "../../../components/AppIcon";
 
-const AnalysisProgress = ({ isAnalyzing, progress, currentStep }) => {
-  const analysisSteps = [
-    {
-      id: "upload",
-      label: "Uploading Images",
-      icon: "Upload",
-      description: "Processing product images",
-    },
-    {
-      id: "ocr",
-      label: "Text Recognition",
-      icon: "ScanText",
-      description: "Reading information from product labels",
-    },
-    {
-      id: "analysis",
-      label: "Ingredient Analysis",
-      icon: "Beaker",
-      description: "Evaluating each ingredient",
-    },
-    {
-      id: "risk",
-      label: "Risk Assessment",
-      icon: "Shield",
-      description: "Calculating safety levels",
-    },
-    {
-      id: "complete",
-      label: "Completed",
-      icon: "CheckCircle",
-      description: "Generating analysis report",
-    },
-  ];
+// Step ids match the stage events of the backend analysis job
+const analysisSteps = [
+  {
+    id: "upload",
+    label: "Uploading",
+    icon: "Upload",
+    description: "Sending your product to the analyzer",
+  },
+  {
+    id: "convert",
+    label: "Preparing Images",
+    icon: "Image",
+    description: "Converting label images for text recognition",
+    imagesOnly: true,
+  },
+  {
+    id: "ocr",
+    label: "Text Recognition",
+    icon: "ScanText",
+    description: "Reading information from product labels",
+    imagesOnly: true,
+  },
+  {
+    id: "match",
+    label: "Ingredient Matching",
+    icon: "Search",
+    description: "Matching the label text to known ingredients",
+  },
+  {
+    id: "enrich",
+    label: "Ingredient Analysis",
+    icon: "Beaker",
+    description: "Looking up details for each ingredient",
+  },
+  {
+    id: "summarize",
+    label: "Risk Assessment",
+    icon: "Shield",
+    description: "Calculating safety levels and summarizing benefits",
+  },
+  {
+    id: "complete",
+    label: "Completed",
+    icon: "CheckCircle",
+    description: "Generating analysis report",
+  },
+];
+
+const AnalysisProgress = ({ isAnalyzing, progress, currentStep, isTextMode }) => {
+  // A pasted ingredient list skips image conversion and OCR
+  const visibleSteps = isTextMode
+    ? analysisSteps.filter((step) => !step.imagesOnly)
+    : analysisSteps;
 
   if (!isAnalyzing) return null;
 
-  const currentStepIndex = analysisSteps?.findIndex(
+  const currentStepIndex = visibleSteps.findIndex(
     (step) => step?.id === currentStep
   );
   const currentStepData =
-    analysisSteps?.[currentStepIndex] || analysisSteps?.[0];
+    visibleSteps[currentStepIndex] || visibleSteps[0];
 
   return (
     <div className="fixed inset-0 bg-white/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
@@ -100,7 +120,7 @@ const AnalysisProgress = ({ isAnalyzing, progress, currentStep }) => {
 
         {/* Steps Timeline */}
         <div className="space-y-3">
-          {analysisSteps?.map((step, index) => {
+          {visibleSteps.map((step, index) => {
             const isCompleted = index < currentStepIndex;
             const isCurrent = index === currentStepIndex;
             const isPending = index > currentStepIndex;
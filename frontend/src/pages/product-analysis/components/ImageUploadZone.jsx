@@ -3,7 +3,24 @@ import Icon from "../../../components/AppIcon";
 import Image from "../../../components/AppImage";
 import Button from "../../../components/ui/Button";
 
-const ImageUploadZone = ({ type, onImageUpload, uploadedImage }) => {
+const INPUT_MODES = [
+  { id: "image", label: "Photo", icon: "Camera" },
+  { id: "text", label: "Paste ingredients", icon: "ClipboardList" },
+];
+
+const ImageUploadZone = ({
+  type,
+  onImageUpload,
+  uploadedImage,
+  optional = false,
+  multiple = false,
+  maxImages = 6,
+  onImageRemove,
+  inputMode = "image",
+  onInputModeChange,
+  pastedText,
+  onPastedTextChange,
+}) => {
   const [isDragOver, setIsDragOver] = useState(false);
   const fileInputRef = useRef(null);
 
@@ -23,25 +40,36 @@ const ImageUploadZone = ({ type, onImageUpload, uploadedImage }) => {
 
     const files = e?.dataTransfer?.files;
     if (files?.length > 0) {
-      handleFileSelect(files?.[0]);
+      handleFilesSelect(files);
     }
   };
 
-  const handleFileSelect = (file) => {
-    if (file && file?.type?.startsWith("image/")) {
+  const readImageFile = (file) =>
+    new Promise((resolve) => {
       const reader = new FileReader();
-      reader.onload = (e) => {
-        onImageUpload(type, e?.target?.result, file);
-      };
+      reader.onload = (e) => resolve(e?.target?.result);
       reader?.readAsDataURL(file);
-    }
+    });
+
+  // In multiple mode files are appended in the order they were selected
+  const handleFilesSelect = async (fileList) => {
+    const remaining = multiple ? maxImages - images.length : 1;
+    const files = Array.from(fileList)
+      .filter((file) => file?.type?.startsWith("image/"))
+      .slice(0, Math.max(remaining, 0));
+    const imageData = await Promise.all(files.map(readImageFile));
+    files.forEach((file, index) => {
+      onImageUpload(type, imageData[index], file);
+    });
   };
 
   const handleFileInputChange = (e) => {
-    const file = e?.target?.files?.[0];
-    if (file) {
-      handleFileSelect(file);
+    const files = e?.target?.files;
+    if (files?.length > 0) {
+      handleFilesSelect(files);
     }
+    // Allow selecting the same file again after removing it
+    e.target.value = "";
   };
 
   const handleClick = () => {
@@ -52,117 +80,231 @@ const ImageUploadZone = ({ type, onImageUpload, uploadedImage }) => {
     onImageUpload(type, null, null);
   };
 
+  const images = multiple
+    ? uploadedImage || []
+    : uploadedImage
+    ? [uploadedImage]
+    : [];
+  const hasImage = images.length > 0;
+
+  // The paste tab is only offered when the parent handles pasted text
+  const canPasteText = Boolean(onInputModeChange && onPastedTextChange);
+  const isTextMode = canPasteText && inputMode === "text";
+
+  const handlePastedFieldChange = (field, value) => {
+    onPastedTextChange({ ...pastedText, [field]: value });
+  };
+
   return (
     <div className="w-full">
       <div className="mb-3">
         <h3 className="text-lg font-heading font-semibold text-foreground">
           {type === "front" ? "Front Label" : "Back Label"}
+          {optional && (
+            <span className="ml-2 text-xs font-caption font-normal text-muted-foreground">
+              (optional)
+            </span>
+          )}
         </h3>
         <p className="text-sm text-muted-foreground font-caption">
           {type === "front"
             ? "Take a photo of the front label to analyze basic information"
+            : isTextMode
+            ? "Paste the ingredient list (INCI) copied from the packaging or a website"
             : "Take a photo of the back label to analyze detailed ingredients"}
         </p>
+        {canPasteText && (
+          <div className="flex space-x-2 mt-3">
+            {INPUT_MODES.map((mode) => (
+              <button
+                key={mode.id}
+                type="button"
+                onClick={() => onInputModeChange(mode.id)}
+                className={`flex items-center space-x-1.5 px-3 py-1.5 rounded-full text-sm font-medium transition-smooth ${
+                  inputMode === mode.id
+                    ? "bg-primary text-white"
+                    : "bg-muted text-muted-foreground hover:bg-primary/10"
+                }`}
+              >
+                <Icon name={mode.icon} size={14} />
+                <span>{mode.label}</span>
+              </button>
+            ))}
+          </div>
+        )}
       </div>
-      <div
-        className={`
-          relative w-full h-64 border-2 border-dashed rounded-xl transition-all duration-200 cursor-pointer
-          ${
-            isDragOver
-              ? "border-primary bg-primary/5 scale-105"
-              : uploadedImage
-              ? "border-success bg-success/5"
-              : "border-border hover:border-primary/50 hover:bg-primary/5"
-          }
-          ${uploadedImage ? "" : "glass-card"}
-        `}
-        onDragOver={handleDragOver}
-        onDragLeave={handleDragLeave}
-        onDrop={handleDrop}
-        onClick={!uploadedImage ? handleClick : undefined}
-      >
-        <input
-          ref={fileInputRef}
-          type="file"
-          accept="image/*"
-          onChange={handleFileInputChange}
-          className="hidden"
-        />
-
-        {uploadedImage ? (
-          <div className="relative w-full h-full">
-            <Image
-              src={uploadedImage}
-              alt={`${
-                type === "front" ? "Front Label" : "Back Label"
-              } skincare product uploaded for analysis`}
-              className="w-full h-full object-cover rounded-lg"
+      {isTextMode ? (
+        <div className="w-full h-64 rounded-xl glass-card border-2 border-border p-3 flex flex-col space-y-2">
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="text"
+              value={pastedText?.name || ""}
+              onChange={(e) => handlePastedFieldChange("name", e?.target?.value)}
+              placeholder="Product name (optional)"
+              className="bg-background border border-border rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20"
             />
+            <input
+              type="text"
+              value={pastedText?.brand || ""}
+              onChange={(e) => handlePastedFieldChange("brand", e?.target?.value)}
+              placeholder="Brand (optional)"
+              className="bg-background border border-border rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20"
+            />
+          </div>
+          <textarea
+            value={pastedText?.text || ""}
+            onChange={(e) => handlePastedFieldChange("text", e?.target?.value)}
+            placeholder="Water, Glycerin, Niacinamide, Butylene Glycol, ..."
+            maxLength={10000}
+            className="flex-1 w-full bg-background border border-border rounded-lg px-3 py-2 text-sm resize-none focus:outline-none focus:ring-2 focus:ring-primary/20"
+          />
+        </div>
+      ) : (
+        <div
+          className={`
+            relative w-full h-64 border-2 border-dashed rounded-xl transition-all duration-200 cursor-pointer
+            ${
+              isDragOver
+                ? "border-primary bg-primary/5 scale-105"
+                : hasImage
+                ? "border-success bg-success/5"
+                : "border-border hover:border-primary/50 hover:bg-primary/5"
+            }
+            ${hasImage ? "" : "glass-card"}
+          `}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+          onClick={!hasImage ? handleClick : undefined}
+        >
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            multiple={multiple}
+            onChange={handleFileInputChange}
+            className="hidden"
+          />
 
-            {/* Image Actions Overlay */}
-            <div className="absolute inset-0 bg-black/40 opacity-0 hover:opacity-100 transition-opacity duration-200 rounded-lg flex items-center justify-center">
-              <div className="flex space-x-3">
-                <Button
-                  variant="secondary"
-                  size="sm"
-                  onClick={(e) => {
-                    e?.stopPropagation();
-                    handleClick();
-                  }}
-                  iconName="RefreshCw"
-                  iconPosition="left"
-                  iconSize={16}
-                  className="bg-white/90 text-gray-800 hover:bg-white"
+          {hasImage && multiple ? (
+            <div className="grid grid-cols-3 gap-2 w-full h-full p-2 overflow-y-auto">
+              {images.map((image, index) => (
+                <div
+                  key={index}
+                  className="relative h-28 rounded-lg overflow-hidden"
                 >
-                  Change
-                </Button>
-                <Button
-                  variant="destructive"
-                  size="sm"
+                  <Image
+                    src={image}
+                    alt={`Back label part ${index + 1} uploaded for analysis`}
+                    className="w-full h-full object-cover"
+                  />
+                  <span className="absolute top-1 left-1 w-5 h-5 rounded-full bg-black/60 text-white text-xs flex items-center justify-center">
+                    {index + 1}
+                  </span>
+                  <button
+                    type="button"
+                    title="Remove image"
+                    onClick={(e) => {
+                      e?.stopPropagation();
+                      onImageRemove?.(type, index);
+                    }}
+                    className="absolute top-1 right-1 w-6 h-6 rounded-full bg-black/60 text-white flex items-center justify-center hover:bg-destructive"
+                  >
+                    <Icon name="X" size={12} />
+                  </button>
+                </div>
+              ))}
+              {images.length < maxImages && (
+                <button
+                  type="button"
                   onClick={(e) => {
                     e?.stopPropagation();
-                    handleRemoveImage();
+                    handleClick();
                   }}
-                  iconName="Trash2"
-                  iconPosition="left"
-                  iconSize={16}
+                  className="h-28 rounded-lg border-2 border-dashed border-border flex flex-col items-center justify-center text-muted-foreground hover:border-primary/50 hover:bg-primary/5 transition-smooth"
                 >
-                  Delete
-                </Button>
-              </div>
-            </div>
-
-            {/* Success Indicator */}
-            <div className="absolute top-3 right-3 w-8 h-8 bg-success rounded-full flex items-center justify-center shadow-glass">
-              <Icon name="Check" size={16} color="white" />
+                  <Icon name="Plus" size={20} />
+                  <span className="text-xs font-caption mt-1">Add part</span>
+                </button>
+              )}
             </div>
-          </div>
-        ) : (
-          <div className="flex flex-col items-center justify-center h-full p-6 text-center">
-            <div className="w-16 h-16 bg-gradient-primary rounded-full flex items-center justify-center mb-4 shadow-glass">
-              <Icon
-                name={isDragOver ? "Upload" : "Camera"}
-                size={24}
-                color="white"
+          ) : hasImage ? (
+            <div className="relative w-full h-full">
+              <Image
+                src={uploadedImage}
+                alt={`${
+                  type === "front" ? "Front Label" : "Back Label"
+                } skincare product uploaded for analysis`}
+                className="w-full h-full object-cover rounded-lg"
               />
+
+              {/* Image Actions Overlay */}
+              <div className="absolute inset-0 bg-black/40 opacity-0 hover:opacity-100 transition-opacity duration-200 rounded-lg flex items-center justify-center">
+                <div className="flex space-x-3">
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={(e) => {
+                      e?.stopPropagation();
+                      handleClick();
+                    }}
+                    iconName="RefreshCw"
+                    iconPosition="left"
+                    iconSize={16}
+                    className="bg-white/90 text-gray-800 hover:bg-white"
+                  >
+                    Change
+                  </Button>
+                  <Button
+                    variant="destructive"
+                    size="sm"
+                    onClick={(e) => {
+                      e?.stopPropagation();
+                      handleRemoveImage();
+                    }}
+                    iconName="Trash2"
+                    iconPosition="left"
+                    iconSize={16}
+                  >
+                    Delete
+                  </Button>
+                </div>
+              </div>
+
+              {/* Success Indicator */}
+              <div className="absolute top-3 right-3 w-8 h-8 bg-success rounded-full flex items-center justify-center shadow-glass">
+                <Icon name="Check" size={16} color="white" />
+              </div>
             </div>
+          ) : (
+            <div className="flex flex-col items-center justify-center h-full p-6 text-center">
+              <div className="w-16 h-16 bg-gradient-primary rounded-full flex items-center justify-center mb-4 shadow-glass">
+                <Icon
+                  name={isDragOver ? "Upload" : "Camera"}
+                  size={24}
+                  color="white"
+                />
+              </div>
 
-            <h4 className="text-lg font-heading font-medium text-foreground mb-2">
-              {isDragOver ? "Drop Image Here" : "Upload Image"}
-            </h4>
+              <h4 className="text-lg font-heading font-medium text-foreground mb-2">
+                {isDragOver ? "Drop Image Here" : "Upload Image"}
+              </h4>
 
-            <p className="text-sm text-muted-foreground mb-4 font-caption">
-              Drag and drop an image or click to select a file
-            </p>
+              <p className="text-sm text-muted-foreground mb-4 font-caption">
+                {multiple
+                  ? "Drag and drop images or click to select files. Add several photos, in reading order, for curved bottles or folded boxes"
+                  : "Drag and drop an image or click to select a file"}
+              </p>
 
-            <div className="flex flex-wrap justify-center gap-2 text-xs text-muted-foreground font-caption">
-              <span className="px-2 py-1 bg-muted rounded-md">JPG</span>
-              <span className="px-2 py-1 bg-muted rounded-md">PNG</span>
-              <span className="px-2 py-1 bg-muted rounded-md">WEBP</span>
+              <div className="flex flex-wrap justify-center gap-2 text-xs text-muted-foreground font-caption">
+                <span className="px-2 py-1 bg-muted rounded-md">JPG</span>
+                <span className="px-2 py-1 bg-muted rounded-md">PNG</span>
+                <span className="px-2 py-1 bg-muted rounded-md">WEBP</span>
+              </div>
             </div>
-          </div>
-        )}
-      </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -1,9 +1,48 @@
-import React, { useState } from "react";
+import React, { useState, useEffect, useRef } from "react";
+import { Link } from "react-router-dom";
 import Icon from "../../../components/AppIcon";
+import Button from "../../../components/ui/Button";
+import { getIngredientPath } from "../../../utils/ingredientLinks";
 
-const IngredientsCard = ({ ingredientsData }) => {
+const IngredientsCard = ({
+  ingredientsData,
+  focusedIngredient,
+  unmatched,
+  onApplyCorrections,
+  canReanalyze,
+  onePercentLine,
+}) => {
   const [expandedIngredient, setExpandedIngredient] = useState(null);
   const [searchTerm, setSearchTerm] = useState("");
+  // Chosen INCI name per unmatched OCR text
+  const [corrections, setCorrections] = useState({});
+  const [isApplying, setIsApplying] = useState(false);
+  const [correctionError, setCorrectionError] = useState(null);
+  const [correctionsSaved, setCorrectionsSaved] = useState(false);
+  const itemRefs = useRef({});
+  const isAuthenticated = localStorage.getItem("isAuthenticated") === "true";
+
+  // A new analysis comes with its own unmatched tokens
+  useEffect(() => {
+    setCorrections({});
+    setCorrectionError(null);
+    setCorrectionsSaved(false);
+  }, [unmatched]);
+
+  // Open and scroll to an ingredient selected elsewhere (e.g. on the label image)
+  useEffect(() => {
+    if (!focusedIngredient?.name) return;
+    const index = ingredientsData?.findIndex(
+      (ingredient) => ingredient?.name === focusedIngredient.name
+    );
+    if (index === undefined || index < 0) return;
+    setSearchTerm("");
+    setExpandedIngredient(index);
+    itemRefs.current[index]?.scrollIntoView({
+      behavior: "smooth",
+      block: "nearest",
+    });
+  }, [focusedIngredient, ingredientsData]);
 
   const filteredIngredients = ingredientsData?.filter(
     (ingredient) =>
@@ -13,6 +52,60 @@ const IngredientsCard = ({ ingredientsData }) => {
       )
   );
 
+  const lowConfidenceCount =
+    ingredientsData?.filter((ingredient) => ingredient?.low_confidence)
+      ?.length || 0;
+
+  const formatPercent = (value) => `${Math.round(value)}%`;
+
+  const getOnePercentHint = () =>
+    onePercentLine?.basis === "stated"
+      ? `${onePercentLine.ingredient} is labelled at 1% or less; ingredients from here on may be in any order`
+      : `Estimated from ${onePercentLine?.ingredient}, which is usually used at 1% or less; ingredients from here on may be in any order`;
+
+  const setCorrection = (ocrText, inciName) =>
+    setCorrections((prev) => ({ ...prev, [ocrText]: inciName }));
+
+  const chosenCorrections = Object.entries(corrections)
+    .filter(([, inciName]) => inciName?.trim())
+    .map(([ocrText, inciName]) => ({
+      ocr_text: ocrText,
+      inci_name: inciName.trim(),
+    }));
+
+  const handleApplyCorrections = async () => {
+    setIsApplying(true);
+    setCorrectionError(null);
+    try {
+      await onApplyCorrections?.(chosenCorrections);
+      setCorrections({});
+      setCorrectionsSaved(true);
+    } catch (error) {
+      setCorrectionError(
+        error?.status === 401
+          ? "Please sign in again to save corrections."
+          : error?.message || "Could not save the corrections."
+      );
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  // Explains why a detection is flagged, e.g. 'Read as "glycerine" (match 94%, OCR 60%)'
+  const getVerifyHint = (ingredient) => {
+    const details = [];
+    if (ingredient?.match_score != null) {
+      details.push(`match ${formatPercent(ingredient.match_score)}`);
+    }
+    if (ingredient?.ocr_confidence != null) {
+      details.push(`OCR ${formatPercent(ingredient.ocr_confidence * 100)}`);
+    }
+    const readAs = ingredient?.ocr_text ? `Read as "${ingredient.ocr_text}"` : "";
+    return [readAs, details.length ? `(${details.join(", ")})` : ""]
+      .filter(Boolean)
+      .join(" ");
+  };
+
   const getBenefitIcon = (benefit) => {
     const benefitLower = benefit?.toLowerCase();
     if (benefitLower?.includes("hydrat")) return "Droplets";
@@ -110,6 +203,21 @@ const IngredientsCard = ({ ingredientsData }) => {
           Ingredients Details
         </h3>
       </div>
+      {lowConfidenceCount > 0 && (
+        <div className="flex items-start space-x-2 p-3 mb-4 bg-warning/10 border border-warning/20 rounded-lg">
+          <Icon
+            name="ScanEye"
+            size={16}
+            className="text-warning mt-0.5 flex-shrink-0"
+          />
+          <p className="text-sm text-foreground font-caption">
+            {lowConfidenceCount === 1
+              ? "1 ingredient was hard to read"
+              : `${lowConfidenceCount} ingredients were hard to read`}{" "}
+            — please check the ones marked "Please verify" against the label.
+          </p>
+        </div>
+      )}
       {/* Search Bar */}
       <div className="relative mb-6">
         <Icon
@@ -134,131 +242,179 @@ const IngredientsCard = ({ ingredientsData }) => {
 
           const riskConfig = getRiskColor(riskLevel);
           const riskBadge = getRiskBadge(riskLevel);
+          // Divider above the first ingredient estimated at 1% or less
+          const showOnePercentLine =
+            !searchTerm &&
+            onePercentLine?.position &&
+            ingredient?.position >= onePercentLine.position &&
+            !(filteredIngredients[index - 1]?.position >= onePercentLine.position);
 
           return (
-            <div
-              key={index}
-              className={`border rounded-lg overflow-hidden transition-all duration-200 ${riskConfig.border}`}
-            >
+            <React.Fragment key={index}>
+              {showOnePercentLine && (
+                <div className="flex items-center space-x-2 text-xs text-muted-foreground font-caption">
+                  <div className="flex-1 border-t border-dashed border-muted-foreground/40" />
+                  <span title={getOnePercentHint()}>≈ 1% line</span>
+                  <div className="flex-1 border-t border-dashed border-muted-foreground/40" />
+                </div>
+              )}
               <div
-                className={`p-4 cursor-pointer transition-colors duration-200 ${riskConfig.bg}`}
-                onClick={() =>
-                  setExpandedIngredient(
-                    expandedIngredient === index ? null : index
-                  )
-                }
+                ref={(el) => {
+                  itemRefs.current[index] = el;
+                }}
+                className={`border rounded-lg overflow-hidden transition-all duration-200 ${riskConfig.border}`}
               >
-                <div className="flex items-center justify-between">
-                  <div className="flex-1">
-                    <div className="flex items-center space-x-3 mb-2">
-                      <h4 className={`font-heading font-semibold ${riskConfig.nameColor}`}>
-                        {ingredient?.name}
-                      </h4>
-
-                      {/* Risk Badge */}
-                      {riskBadge && (
-                        <span
-                          className={`
-                            text-xs px-2 py-1 rounded-full font-medium flex items-center gap-1
-                            ${riskBadge.bg} ${riskBadge.color} border
-                          `}
-                        >
-                          <Icon name={riskBadge.icon} size={12} />
-                          {riskBadge.label}
-                        </span>
-                      )}
-
-                      {/* Concentration Badge */}
-                      {ingredient?.concentration && (
-                        <span
-                          className={`
-                            text-xs px-2 py-1 rounded-full border font-data
-                            ${getConcentrationColor(ingredient?.concentration)}
-                          `}
-                        >
-                          {ingredient?.concentration}%
-                        </span>
-                      )}
-                    </div>
+                <div
+                  className={`p-4 cursor-pointer transition-colors duration-200 ${riskConfig.bg}`}
+                  onClick={() =>
+                    setExpandedIngredient(
+                      expandedIngredient === index ? null : index
+                    )
+                  }
+                >
+                  <div className="flex items-center justify-between">
+                    <div className="flex-1">
+                      <div className="flex items-center space-x-3 mb-2">
+                        {ingredient?.position && (
+                          <span className="text-xs text-muted-foreground font-data">
+                            #{ingredient.position}
+                          </span>
+                        )}
+                        <h4 className={`font-heading font-semibold ${riskConfig.nameColor}`}>
+                          {/* Opens the ingredient page instead of expanding the row */}
+                          <Link
+                            to={getIngredientPath(ingredient?.name)}
+                            onClick={(e) => e.stopPropagation()}
+                            className="hover:underline"
+                          >
+                            {ingredient?.name}
+                          </Link>
+                        </h4>
 
-                    <p className="text-sm text-muted-foreground font-caption">
-                      {ingredient?.description}
-                    </p>
-                  </div>
+                        {/* Risk Badge */}
+                        {riskBadge && (
+                          <span
+                            className={`
+                              text-xs px-2 py-1 rounded-full font-medium flex items-center gap-1
+                              ${riskBadge.bg} ${riskBadge.color} border
+                            `}
+                          >
+                            <Icon name={riskBadge.icon} size={12} />
+                            {riskBadge.label}
+                          </span>
+                        )}
 
-                  <Icon
-                    name={
-                      expandedIngredient === index ? "ChevronUp" : "ChevronDown"
-                    }
-                    size={20}
-                    className="text-muted-foreground ml-3"
-                  />
-                </div>
-              </div>
+                        {/* Low confidence marker */}
+                        {ingredient?.low_confidence && (
+                          <span
+                            title={getVerifyHint(ingredient)}
+                            className="text-xs px-2 py-1 rounded-full font-medium flex items-center gap-1 text-warning bg-warning/10 border border-warning/20"
+                          >
+                            <Icon name="ScanEye" size={12} />
+                            Please verify
+                          </span>
+                        )}
 
-              {expandedIngredient === index && (
-                <div className="px-4 pb-4 border-t border-white/10 bg-white/5">
-                  <div className="pt-4 space-y-4">
-                    {/* Benefits */}
-                    <div>
-                      <h5 className="text-sm font-heading font-semibold text-foreground mb-3">
-                        Benefits
-                      </h5>
-                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
-                        {ingredient?.benefits?.map((benefit, benefitIndex) => (
-                          <div
-                            key={benefitIndex}
-                            className="flex items-center space-x-2"
+                        {/* Concentration Badge */}
+                        {ingredient?.concentration_text && (
+                          <span
+                            className={`
+                              text-xs px-2 py-1 rounded-full border font-data
+                              ${getConcentrationColor(ingredient?.concentration)}
+                            `}
                           >
-                            <Icon
-                              name={getBenefitIcon(benefit)}
-                              size={14}
-                              className="text-primary"
-                            />
-                            <span className="text-sm text-foreground font-caption">
-                              {benefit}
-                            </span>
-                          </div>
-                        ))}
+                            {ingredient.concentration_text}
+                          </span>
+                        )}
                       </div>
+
+                      <p className="text-sm text-muted-foreground font-caption">
+                        {ingredient?.description}
+                      </p>
                     </div>
 
-                    {/* Usage Notes */}
-                    {ingredient?.usageNotes && (
+                    <Icon
+                      name={
+                        expandedIngredient === index ? "ChevronUp" : "ChevronDown"
+                      }
+                      size={20}
+                      className="text-muted-foreground ml-3"
+                    />
+                  </div>
+                </div>
+
+                {expandedIngredient === index && (
+                  <div className="px-4 pb-4 border-t border-white/10 bg-white/5">
+                    <div className="pt-4 space-y-4">
+                      {/* Benefits */}
                       <div>
-                        <h5 className="text-sm font-heading font-semibold text-foreground mb-2">
-                          Usage Notes
+                        <h5 className="text-sm font-heading font-semibold text-foreground mb-3">
+                          Benefits
                         </h5>
-                        <p className="text-sm text-muted-foreground font-caption">
-                          {ingredient?.usageNotes}
-                        </p>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                          {ingredient?.benefits?.map((benefit, benefitIndex) => (
+                            <div
+                              key={benefitIndex}
+                              className="flex items-center space-x-2"
+                            >
+                              <Icon
+                                name={getBenefitIcon(benefit)}
+                                size={14}
+                                className="text-primary"
+                              />
+                              <span className="text-sm text-foreground font-caption">
+                                {benefit}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
                       </div>
-                    )}
 
-                    {/* Safety Info */}
-                    {ingredient?.safetyInfo && (
-                      <div className="p-3 bg-warning/10 border border-warning/20 rounded-lg">
-                        <div className="flex items-start space-x-2">
-                          <Icon
-                            name="AlertTriangle"
-                            size={16}
-                            className="text-warning mt-0.5"
-                          />
-                          <div>
-                            <h5 className="text-sm font-heading font-semibold text-warning mb-1">
-                              Safety Information
-                            </h5>
-                            <p className="text-sm text-foreground font-caption">
-                              {ingredient?.safetyInfo}
-                            </p>
+                      {/* Detection details */}
+                      {ingredient?.low_confidence && (
+                        <p className="text-xs text-muted-foreground font-caption">
+                          {getVerifyHint(ingredient)}. This detection may be
+                          wrong, please compare it with the label.
+                        </p>
+                      )}
+
+                      {/* Usage Notes */}
+                      {ingredient?.usageNotes && (
+                        <div>
+                          <h5 className="text-sm font-heading font-semibold text-foreground mb-2">
+                            Usage Notes
+                          </h5>
+                          <p className="text-sm text-muted-foreground font-caption">
+                            {ingredient?.usageNotes}
+                          </p>
+                        </div>
+                      )}
+
+                      {/* Safety Info */}
+                      {ingredient?.safetyInfo && (
+                        <div className="p-3 bg-warning/10 border border-warning/20 rounded-lg">
+                          <div className="flex items-start space-x-2">
+                            <Icon
+                              name="AlertTriangle"
+                              size={16}
+                              className="text-warning mt-0.5"
+                            />
+                            <div>
+                              <h5 className="text-sm font-heading font-semibold text-warning mb-1">
+                                Safety Information
+                              </h5>
+                              <p className="text-sm text-foreground font-caption">
+                                {ingredient?.safetyInfo}
+                              </p>
+                            </div>
                           </div>
                         </div>
-                      </div>
-                    )}
+                      )}
+                    </div>
                   </div>
-                </div>
-              )}
-            </div>
+                )}
+              </div>
+            </React.Fragment>
           );
         })}
       </div>
@@ -274,6 +430,103 @@ const IngredientsCard = ({ ingredientsData }) => {
           </p>
         </div>
       )}
+      {/* Label text that matched no ingredient */}
+      {unmatched?.length > 0 && (
+        <div className="mt-6 pt-6 border-t border-white/10">
+          <div className="flex items-center space-x-2 mb-1">
+            <Icon name="HelpCircle" size={18} className="text-warning" />
+            <h4 className="font-heading font-semibold text-foreground">
+              Unrecognized text ({unmatched.length})
+            </h4>
+          </div>
+          <p className="text-sm text-muted-foreground font-caption mb-4">
+            These parts of the label didn't match a known ingredient. Pick the
+            right name or type it to improve this and future scans.
+          </p>
+
+          <div className="space-y-3 max-h-72 overflow-y-auto">
+            {unmatched.map((item) => {
+              const selected = corrections[item?.ocr_text] || "";
+              return (
+                <div
+                  key={item?.ocr_text}
+                  className="p-3 border border-black-300 rounded-lg bg-white space-y-2"
+                >
+                  <p className="text-sm font-data text-foreground break-words">
+                    "{item?.ocr_text}"
+                  </p>
+                  {item?.suggestions?.length > 0 && (
+                    <div className="flex flex-wrap gap-2">
+                      {item.suggestions.map((suggestion) => (
+                        <button
+                          key={suggestion?.name}
+                          type="button"
+                          onClick={() =>
+                            setCorrection(
+                              item.ocr_text,
+                              selected === suggestion.name ? "" : suggestion.name
+                            )
+                          }
+                          className={`text-xs px-2 py-1 rounded-full border transition-smooth ${
+                            selected === suggestion?.name
+                              ? "bg-primary text-white border-primary"
+                              : "bg-muted text-foreground border-transparent hover:bg-primary/10"
+                          }`}
+                        >
+                          {suggestion?.name} · {formatPercent(suggestion?.score)}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  <input
+                    type="text"
+                    placeholder="Or type the INCI name..."
+                    value={
+                      item?.suggestions?.some((s) => s?.name === selected)
+                        ? ""
+                        : selected
+                    }
+                    onChange={(e) =>
+                      setCorrection(item.ocr_text, e?.target?.value)
+                    }
+                    className="w-full px-3 py-2 bg-white/50 border border-border rounded-lg text-sm font-caption placeholder-muted-foreground focus:outline-none focus:ring-2 focus:ring-primary/50"
+                  />
+                </div>
+              );
+            })}
+          </div>
+
+          {correctionsSaved && !correctionError && (
+            <p className="text-sm text-success font-caption mt-3">
+              Corrections saved. They apply to your next scans, and to everyone's once other users confirm them.
+            </p>
+          )}
+          {correctionError && (
+            <p className="text-sm text-error font-caption mt-3">
+              {correctionError}
+            </p>
+          )}
+          <div className="flex items-center justify-between gap-3 mt-4">
+            <p className="text-xs text-muted-foreground font-caption">
+              {isAuthenticated
+                ? "Corrections are saved and used for future scans."
+                : "Sign in to save corrections."}
+            </p>
+            <Button
+              size="sm"
+              onClick={handleApplyCorrections}
+              loading={isApplying}
+              disabled={
+                !isAuthenticated || isApplying || chosenCorrections.length === 0
+              }
+              iconName={canReanalyze ? "RefreshCw" : "Check"}
+              iconPosition="left"
+            >
+              {canReanalyze ? "Apply & re-analyze" : "Save corrections"}
+            </Button>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,88 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import Icon from "../../../components/AppIcon";
+import { getIngredientPath } from "../../../utils/ingredientLinks";
+
+const SEVERITY_CONFIG = {
+  high: {
+    color: "text-destructive",
+    bg: "bg-destructive/10 border-destructive/20",
+    icon: "AlertCircle",
+    label: "High",
+  },
+  moderate: {
+    color: "text-warning",
+    bg: "bg-warning/10 border-warning/20",
+    icon: "AlertTriangle",
+    label: "Moderate",
+  },
+  low: {
+    color: "text-blue-500",
+    bg: "bg-blue/10 border-blue/10",
+    icon: "Info",
+    label: "Low",
+  },
+};
+
+// Actives of the analyzed product that interact with each other; hidden when there are none
+const InteractionWarningsCard = ({ conflicts }) => {
+  if (!conflicts?.length) return null;
+
+  return (
+    <div className="glass-card rounded-xl p-6">
+      <div className="flex items-center space-x-3 mb-6">
+        <div className="w-10 h-10 bg-gradient-primary rounded-lg flex items-center justify-center shadow-glass">
+          <Icon name="Zap" size={20} color="white" />
+        </div>
+        <div>
+          <h3 className="text-xl font-heading font-semibold gradient-text">
+            Ingredient Interactions
+          </h3>
+          <p className="text-xs text-muted-foreground font-caption">
+            This product combines actives that can work against each other
+          </p>
+        </div>
+      </div>
+      <div className="space-y-4">
+        {conflicts.map((conflict) => {
+          const config = SEVERITY_CONFIG[conflict.severity] || SEVERITY_CONFIG.low;
+          return (
+            <div key={conflict.rule} className={`border rounded-lg p-4 ${config.bg}`}>
+              <div className="flex items-center space-x-3 mb-2">
+                <Icon name={config.icon} size={18} className={config.color} />
+                <h4 className={`font-heading font-semibold ${config.color}`}>
+                  {conflict.title}
+                </h4>
+                <span className={`text-sm px-2 py-1 rounded-full ${config.bg} ${config.color}`}>
+                  {config.label}
+                </span>
+              </div>
+              <div className="flex flex-wrap gap-2 mb-2">
+                {conflict.classes?.flatMap((group) =>
+                  group.ingredients.map((name) => (
+                    <Link
+                      key={`${group.class}-${name}`}
+                      to={getIngredientPath(name)}
+                      title={group.label}
+                      className="text-xs px-2 py-1 rounded-full bg-white/40 text-foreground hover:underline"
+                    >
+                      {name}
+                    </Link>
+                  ))
+                )}
+              </div>
+              <p className="text-sm text-foreground">{conflict.explanation}</p>
+              {conflict.advice && (
+                <p className="text-xs text-muted-foreground font-caption mt-1">
+                  {conflict.advice}
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default InteractionWarningsCard;
@@ -0,0 +1,120 @@
+import React, { useState } from "react";
+import Icon from "../../../components/AppIcon";
+import Image from "../../../components/AppImage";
+
+// Same palette as the ingredient names in IngredientsCard
+const RISK_STYLES = {
+  "no-risk": { shape: "fill-blue-500 stroke-blue-600", dot: "bg-blue-500", label: "Safe" },
+  "low-risk": { shape: "fill-green-500 stroke-green-600", dot: "bg-green-500", label: "Low Risk" },
+  "moderate-risk": { shape: "fill-orange-500 stroke-orange-600", dot: "bg-orange-500", label: "Moderate" },
+  "high-risk": { shape: "fill-red-500 stroke-red-600", dot: "bg-red-500", label: "High Risk" },
+};
+const UNKNOWN_STYLE = { shape: "fill-gray-400 stroke-gray-500", dot: "bg-gray-400", label: "Unknown" };
+
+const normalizeRiskLevel = (riskLevel) =>
+  (riskLevel || "").toLowerCase().replace(/_/g, "-");
+
+const LabelOverlayCard = ({ images, labelImages, ingredients, onIngredientSelect }) => {
+  const [activeImage, setActiveImage] = useState(0);
+  const [hoveredIngredient, setHoveredIngredient] = useState(null);
+
+  const locatedIngredients = (ingredients || []).filter(
+    (ingredient) => ingredient?.locations?.length > 0
+  );
+  const imageSize = labelImages?.[activeImage];
+
+  // Polygons are in the pixel space of the uploaded photo (the backend maps them back from the OCR input)
+  if (!images?.[activeImage] || !imageSize || locatedIngredients.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="glass-card rounded-xl p-6">
+      <div className="flex items-center space-x-3 mb-2">
+        <div className="w-10 h-10 bg-gradient-primary rounded-lg flex items-center justify-center shadow-glass">
+          <Icon name="ScanSearch" size={20} color="white" />
+        </div>
+        <h3 className="text-xl font-heading font-semibold gradient-text">
+          Ingredients on the Label
+        </h3>
+      </div>
+      <p className="text-sm text-muted-foreground font-caption mb-4">
+        Tap a highlighted ingredient to see its details
+      </p>
+
+      {images.length > 1 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {images.map((_, index) => (
+            <button
+              key={index}
+              type="button"
+              onClick={() => setActiveImage(index)}
+              className={`px-3 py-1.5 rounded-full text-sm font-medium transition-smooth ${
+                activeImage === index
+                  ? "bg-primary text-white"
+                  : "bg-muted text-muted-foreground hover:bg-primary/10"
+              }`}
+            >
+              Part {index + 1}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="relative w-full rounded-lg overflow-hidden">
+        <Image
+          src={images[activeImage]}
+          alt={`Back label part ${activeImage + 1} with highlighted ingredients`}
+          className="block w-full h-auto"
+        />
+        <svg
+          viewBox={`0 0 ${imageSize.width} ${imageSize.height}`}
+          preserveAspectRatio="none"
+          className="absolute inset-0 w-full h-full"
+        >
+          {locatedIngredients.map((ingredient) => {
+            const style =
+              RISK_STYLES[normalizeRiskLevel(ingredient?.risk_level)] ||
+              UNKNOWN_STYLE;
+            const isHovered = hoveredIngredient === ingredient?.name;
+
+            return ingredient.locations
+              .filter((location) => location?.image === activeImage)
+              .map((location, locationIndex) => (
+                <polygon
+                  key={`${ingredient?.name}-${locationIndex}`}
+                  points={location.polygon
+                    .map((point) => `${point.x},${point.y}`)
+                    .join(" ")}
+                  className={`${style.shape} cursor-pointer transition-all duration-200`}
+                  fillOpacity={isHovered ? 0.5 : 0.25}
+                  strokeWidth={isHovered ? 3 : 1.5}
+                  vectorEffect="non-scaling-stroke"
+                  onMouseEnter={() => setHoveredIngredient(ingredient?.name)}
+                  onMouseLeave={() => setHoveredIngredient(null)}
+                  onClick={() => onIngredientSelect?.(ingredient)}
+                >
+                  <title>{ingredient?.name}</title>
+                </polygon>
+              ));
+          })}
+        </svg>
+      </div>
+
+      {/* Legend */}
+      <div className="flex flex-wrap gap-3 mt-4">
+        {Object.values(RISK_STYLES).map((style) => (
+          <span
+            key={style.label}
+            className="flex items-center space-x-1.5 text-xs text-muted-foreground font-caption"
+          >
+            <span className={`w-3 h-3 rounded-sm ${style.dot}`} />
+            <span>{style.label}</span>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LabelOverlayCard;
@@ -1,5 +1,7 @@
 import React from "react";
+import { Link } from "react-router-dom";
 import Icon from "../../../components/AppIcon";
+import { getIngredientPath } from "../../../utils/ingredientLinks";
 
 const RiskAssessmentCard = ({ riskData }) => {
   const getRiskConfig = (level) => {
@@ -58,6 +60,109 @@ const RiskAssessmentCard = ({ riskData }) => {
         </h3>
       </div>
       <div className="space-y-6">
+        {/* Fragrance allergens, whatever their risk level */}
+        {riskData?.allergens?.length > 0 && (
+          <div className="border rounded-lg p-4 bg-secondary/10 border-secondary/20">
+            <div className="flex items-center space-x-3 mb-3">
+              <Icon name="Flower2" size={18} className="text-secondary" />
+              <h4 className="font-heading font-semibold text-secondary">
+                Fragrance Allergens
+              </h4>
+              <span className="text-sm px-2 py-1 rounded-full bg-secondary/10 text-secondary">
+                {riskData.allergens.length} ingredient
+                {riskData.allergens.length > 1 ? "s" : ""}
+              </span>
+            </div>
+            <div className="space-y-2">
+              {riskData.allergens.map((allergen, index) => (
+                <div
+                  key={index}
+                  className={`flex items-start space-x-3 ${
+                    allergen?.below_one_percent ? "opacity-70" : ""
+                  }`}
+                >
+                  <div className="w-1.5 h-1.5 bg-current rounded-full mt-2 flex-shrink-0 opacity-60"></div>
+                  <div className="flex-1">
+                    <div className="flex items-center justify-between">
+                      <Link
+                        to={getIngredientPath(allergen?.name)}
+                        className="text-sm font-medium text-foreground hover:underline"
+                      >
+                        {allergen?.name}
+                      </Link>
+                      {allergen?.concentration_text && (
+                        <span className="text-xs text-muted-foreground font-data">
+                          {allergen.concentration_text}
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-xs text-muted-foreground font-caption mt-1">
+                      {allergen?.reason}
+                    </p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* EU annex entries from CosIng, independent of the risk levels */}
+        {riskData?.regulatory?.length > 0 && (
+          <div className="border rounded-lg p-4 bg-muted border-border">
+            <div className="flex items-center space-x-3 mb-3">
+              <Icon name="Scale" size={18} className="text-foreground" />
+              <h4 className="font-heading font-semibold text-foreground">
+                EU Regulations
+              </h4>
+              <span className="text-sm px-2 py-1 rounded-full bg-background text-foreground">
+                {riskData.regulatory.length} ingredient
+                {riskData.regulatory.length > 1 ? "s" : ""}
+              </span>
+            </div>
+            <div className="space-y-2">
+              {riskData.regulatory.map((ingredient, index) => (
+                <div key={index} className="flex items-start space-x-3">
+                  <div className="w-1.5 h-1.5 bg-current rounded-full mt-2 flex-shrink-0 opacity-60"></div>
+                  <div className="flex-1">
+                    <div className="flex items-center justify-between">
+                      <Link
+                        to={getIngredientPath(ingredient?.name)}
+                        className="text-sm font-medium text-foreground hover:underline"
+                      >
+                        {ingredient?.name}
+                      </Link>
+                      <span
+                        className={`text-xs font-data ${
+                          ingredient?.status === "prohibited"
+                            ? "text-destructive"
+                            : "text-warning"
+                        }`}
+                      >
+                        {ingredient?.status === "prohibited"
+                          ? "Prohibited"
+                          : "Restricted"}
+                      </span>
+                    </div>
+                    <p className="text-xs text-muted-foreground font-caption mt-1">
+                      {ingredient?.reason}
+                    </p>
+                    {ingredient?.regulations
+                      ?.filter((regulation) => regulation.warnings)
+                      .map((regulation) => (
+                        <p
+                          key={regulation.reference}
+                          className="text-xs text-muted-foreground font-caption italic"
+                        >
+                          {regulation.warnings}
+                        </p>
+                      ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Risk Categories */}
         <div className="space-y-4">
           {riskData?.categories ? Object.entries(riskData.categories)?.map(
@@ -88,18 +193,36 @@ const RiskAssessmentCard = ({ riskData }) => {
                     </span>
                   </div>
                   <div className="space-y-2">
+                    {/* Ordered by weight in the formula; trace ingredients are dimmed */}
                     {ingredients?.map((ingredient, index) => (
-                      <div key={index} className="flex items-start space-x-3">
+                      <div
+                        key={index}
+                        className={`flex items-start space-x-3 ${
+                          ingredient?.below_one_percent ? "opacity-70" : ""
+                        }`}
+                      >
                         <div className="w-1.5 h-1.5 bg-current rounded-full mt-2 flex-shrink-0 opacity-60"></div>
                         <div className="flex-1">
                           <div className="flex items-center justify-between">
-                            <span className="text-sm font-medium text-foreground">
+                            <Link
+                              to={getIngredientPath(ingredient?.name)}
+                              className="text-sm font-medium text-foreground hover:underline"
+                            >
                               {ingredient?.name}
-                            </span>
-                            {ingredient?.concentration && (
+                            </Link>
+                            {ingredient?.concentration_text ? (
                               <span className="text-xs text-muted-foreground font-data">
-                                {ingredient?.concentration}
+                                {ingredient.concentration_text}
                               </span>
+                            ) : (
+                              ingredient?.below_one_percent && (
+                                <span
+                                  className="text-xs text-muted-foreground font-data"
+                                  title="Listed after the estimated 1% line, counts less in the assessment"
+                                >
+                                  ≤ 1%
+                                </span>
+                              )
                             )}
                           </div>
                           <p className="text-xs text-muted-foreground font-caption mt-1">
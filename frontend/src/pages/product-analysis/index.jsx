@@ -4,8 +4,10 @@ import Header from "../../components/ui/Header";
 import ImageUploadZone from "./components/ImageUploadZone";
 import OverviewCard from "./components/OverviewCard";
 import RiskAssessmentCard from "./components/RiskAssessmentCard";
+import InteractionWarningsCard from "./components/InteractionWarningsCard";
 import IngredientsCard from "./components/IngredientsCard";
 import AnalysisProgress from "./components/AnalysisProgress";
+import LabelOverlayCard from "./components/LabelOverlayCard";
 import Icon from "../../components/AppIcon";
 import Button from "../../components/ui/Button";
 import ApiService from "../../services/api";
@@ -14,19 +16,34 @@ import config from "../../config";
 const ProductAnalysis = () => {
   const location = useLocation();
   const navigate = useNavigate();
+  // The back label may span several images, kept in reading order
   const [uploadedImages, setUploadedImages] = useState({
     front: null,
-    back: null,
+    back: [],
   });
   const [uploadedFiles, setUploadedFiles] = useState({
     front: null,
-    back: null,
+    back: [],
+  });
+  // Product name/brand typed by the user when there is no front image
+  const [manualProductInfo, setManualProductInfo] = useState({
+    name: "",
+    brand: "",
+  });
+  // "image" uploads the back label, "text" analyzes a pasted ingredient list
+  const [backInputMode, setBackInputMode] = useState("image");
+  const [pastedIngredients, setPastedIngredients] = useState({
+    text: "",
+    name: "",
+    brand: "",
   });
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [analysisProgress, setAnalysisProgress] = useState(0);
   const [currentStep, setCurrentStep] = useState("upload");
   const [analysisResults, setAnalysisResults] = useState(null);
   const [showResults, setShowResults] = useState(false);
+  // Ingredient picked on the label overlay, opened in IngredientsCard
+  const [focusedIngredient, setFocusedIngredient] = useState(null);
   const [error, setError] = useState(null);
   const [useRealAPI, setUseRealAPI] = useState(config.features.useRealAPI);
 
@@ -43,14 +60,23 @@ const ProductAnalysis = () => {
         },
         risk: {
           categories: scanData.data.risk || {}, // Backend already has risk levels as keys
+          allergens: scanData.data.allergens || [],
+          regulatory: scanData.data.regulatory || [],
         },
+        conflicts: scanData.data.conflicts || [],
         ingredients: (scanData.data.ingredients || []).map((ing) => ({
           name: ing.name,
           riskLevel: ing.risk_level,
           benefits: ing.benefits || [ing.description],
           concentration: "N/A",
           reason: ing.reason || "No specific concerns",
+          ocr_text: ing.ocr_text,
+          ocr_confidence: ing.ocr_confidence ?? null,
+          match_score: ing.match_score ?? null,
+          low_confidence: Boolean(ing.low_confidence),
+          locations: ing.locations || [],
         })),
+        labelImages: scanData.data.label_images || [],
       };
     } // Check if this is already the frontend format (has product.suitable, risk.categories)
     if (scanData.product && scanData.risk && scanData.risk.categories) {
@@ -93,7 +119,16 @@ const ProductAnalysis = () => {
     };
   };
 
-  // Load analysis results from navigation state (from scan history)
+  // Results only live in component state; keeping them in the history entry brings them back
+  // when the user returns from an ingredient page. Photos are left out, history state is size-limited.
+  const keepResultsInHistory = (results) => {
+    navigate(location.pathname, {
+      replace: true,
+      state: { analysisResults: results, showResults: true },
+    });
+  };
+
+  // Load analysis results from navigation state (from scan history, or a finished analysis)
   useEffect(() => {
     if (location.state?.analysisResults && location.state?.showResults) {
       // Check if this is raw backend response (has status/data) or already transformed
@@ -120,7 +155,11 @@ const ProductAnalysis = () => {
 
       // If coming from history, use the real uploaded images
       if (location.state.fromHistory && location.state.uploadedImages) {
-        setUploadedImages(location.state.uploadedImages);
+        const { front, back } = location.state.uploadedImages;
+        setUploadedImages({
+          front,
+          back: (Array.isArray(back) ? back : [back]).filter(Boolean),
+        });
       }
     } else if (location.state?.skipUpload) {
       // Force skip upload even if no analysis results
@@ -286,52 +325,61 @@ const ProductAnalysis = () => {
     ],
   };
 
+  const isTextMode = backInputMode === "text";
+  const canAnalyze = isTextMode
+    ? pastedIngredients.text.trim().length > 0
+    : uploadedImages?.back?.length > 0;
+
   const handleImageUpload = (type, imageData, file) => {
+    // Back images are appended; the front label holds a single image
     setUploadedImages((prev) => ({
       ...prev,
-      [type]: imageData,
+      [type]: type === "back" ? [...prev.back, imageData] : imageData,
     }));
 
     // Store file object for API upload
     setUploadedFiles((prev) => ({
       ...prev,
-      [type]: file,
+      [type]: type === "back" ? [...prev.back, file] : file,
     }));
   };
 
-  // Real API analysis
-  const analyzeProductWithAPI = async () => {
+  const handleImageRemove = (type, index) => {
+    setUploadedImages((prev) => ({
+      ...prev,
+      [type]: prev[type].filter((_, i) => i !== index),
+    }));
+    setUploadedFiles((prev) => ({
+      ...prev,
+      [type]: prev[type].filter((_, i) => i !== index),
+    }));
+  };
+
+  // Real API analysis; re-runs after corrections don't add another history entry
+  const analyzeProductWithAPI = async ({ saveToHistory = true } = {}) => {
     setIsAnalyzing(true);
     setAnalysisProgress(0);
     setCurrentStep("upload");
     setError(null);
 
-    let progressInterval;
-
     try {
-      // Progress simulation while API call happens
-      progressInterval = setInterval(() => {
-        setAnalysisProgress((prev) => {
-          if (prev >= 90) return prev;
-          return prev + Math.random() * 10;
-        });
-      }, 500);
-
-      // Update progress steps
-      setCurrentStep("ocr");
-      setAnalysisProgress(30);
-
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-      setCurrentStep("analysis");
-      setAnalysisProgress(60);
-
-      // Call real API
-      const response = await ApiService.analyzeProduct(
-        uploadedFiles.front,
-        uploadedFiles.back
-      );
-
-      clearInterval(progressInterval);
+      // Submit the analysis as a job, then follow its stage events
+      const job = isTextMode
+        ? await ApiService.submitIngredientTextJob(pastedIngredients.text, {
+            name: pastedIngredients.name,
+            brand: pastedIngredients.brand,
+          })
+        : await ApiService.submitProductAnalysisJob(
+            uploadedFiles.front,
+            uploadedFiles.back,
+            { productInfo: uploadedFiles.front ? {} : manualProductInfo }
+          );
+      const response = await ApiService.waitForAnalysisJob(job.job_id, {
+        onProgress: ({ stage, progress }) => {
+          setCurrentStep(stage);
+          setAnalysisProgress(progress);
+        },
+      });
 
       // Check if backend returned success field
       if (response.success === false) {
@@ -339,25 +387,26 @@ const ProductAnalysis = () => {
         throw new Error(
           response.message ||
             response.error ||
-            "Analysis failed. Please try again with clearer images."
+            (isTextMode
+              ? "No known ingredients found. Please check the pasted list."
+              : "Analysis failed. Please try again with clearer images.")
         );
       }
 
-      setCurrentStep("risk");
-      setAnalysisProgress(90);
-
       // Transform backend response to frontend format
       const transformedResults = ApiService.transformAnalysisResponse(response);
 
-      await new Promise((resolve) => setTimeout(resolve, 500));
       setCurrentStep("complete");
       setAnalysisProgress(100);
 
       await new Promise((resolve) => setTimeout(resolve, 500));
       setIsAnalyzing(false);
+      keepResultsInHistory(transformedResults);
       setAnalysisResults(transformedResults);
       setShowResults(true);
 
+      if (!saveToHistory) return;
+
       // Save scan result to history - Follow routine pattern
       try {
         const userProfile = JSON.parse(
@@ -394,9 +443,9 @@ const ProductAnalysis = () => {
           productName: transformedResults.product?.name || "Unknown Product",
           productBrand: transformedResults.product?.brand || "",
           productCategory: transformedResults.product?.category || "",
-          safetyLevel: "safe", // Calculate from risk
+          safetyLevel: transformedResults.safetyLevel,
           overallScore: transformedResults.product?.suitable || 75,
-          riskScore: 25, // Calculate from ingredients
+          riskScore: transformedResults.riskScore,
           ingredients:
             transformedResults.ingredients?.map((ing) => ({
               name: ing.name || "",
@@ -404,13 +453,18 @@ const ProductAnalysis = () => {
               purpose: ing.description || "",
               concerns: ing.reason ? [ing.reason] : [],
             })) || [],
+          // Images stored by the analysis, referenced by key
           productImages: {
-            front: uploadedImages?.front || "",
-            back: uploadedImages?.back || "",
+            front: response.data?.stored_images?.front || "",
+            back: response.data?.stored_images?.back || "",
           },
-          analysisSource: "api", // Use correct enum value
+          // Links later scans of the same product
+          barcode: response.data?.barcode?.value || "",
+          analysisSource: isTextMode ? "text" : "api", // Use correct enum value
           recommendations: transformedResults.product?.benefits || [],
-          warnings: [],
+          warnings: (response.data?.conflicts || []).map(
+            (conflict) => conflict.title
+          ),
           fullAnalysis: response, // Store raw backend response, not transformed version
         };
 
@@ -421,11 +475,6 @@ const ProductAnalysis = () => {
     } catch (error) {
       console.error("API Analysis failed:", error);
 
-      // Clear progress interval if it's still running
-      if (progressInterval) {
-        clearInterval(progressInterval);
-      }
-
       setError(error.message || "Analysis failed. Please try again.");
       setIsAnalyzing(false);
       setAnalysisProgress(0);
@@ -441,10 +490,12 @@ const ProductAnalysis = () => {
     setCurrentStep("upload");
 
     const steps = [
-      { step: "upload", duration: 1000, progress: 20 },
-      { step: "ocr", duration: 1500, progress: 40 },
-      { step: "analysis", duration: 2000, progress: 70 },
-      { step: "risk", duration: 1500, progress: 90 },
+      { step: "upload", duration: 500, progress: 5 },
+      { step: "convert", duration: 500, progress: 10 },
+      { step: "ocr", duration: 1500, progress: 25 },
+      { step: "match", duration: 1000, progress: 50 },
+      { step: "enrich", duration: 1500, progress: 65 },
+      { step: "summarize", duration: 1500, progress: 85 },
       { step: "complete", duration: 500, progress: 100 },
     ];
 
@@ -463,6 +514,7 @@ const ProductAnalysis = () => {
     }
 
     setIsAnalyzing(false);
+    keepResultsInHistory(mockAnalysisData);
     setAnalysisResults(mockAnalysisData);
     setShowResults(true);
 
@@ -514,7 +566,7 @@ const ProductAnalysis = () => {
           })) || [],
         productImages: {
           front: uploadedImages?.front || "",
-          back: uploadedImages?.back || "",
+          back: uploadedImages?.back?.[0] || "",
         },
         analysisSource: "mock",
         recommendations: mockAnalysisData.product?.benefits || [],
@@ -537,11 +589,14 @@ const ProductAnalysis = () => {
   };
 
   const handleAnalyzeProduct = () => {
-    if (uploadedImages?.front && uploadedImages?.back) {
+    if (canAnalyze) {
       // Clear any previous error
       setError(null);
 
-      if (useRealAPI && uploadedFiles?.front && uploadedFiles?.back) {
+      if (
+        useRealAPI &&
+        (isTextMode || uploadedFiles?.back?.length > 0)
+      ) {
         analyzeProductWithAPI();
       } else {
         simulateAnalysis();
@@ -549,16 +604,31 @@ const ProductAnalysis = () => {
     }
   };
 
+  // The original input is still at hand for pasted lists and fresh uploads (not history)
+  const canReanalyze =
+    useRealAPI &&
+    (isTextMode ? canAnalyze : uploadedFiles?.back?.length > 0);
+
+  const handleApplyCorrections = async (corrections) => {
+    await ApiService.submitIngredientCorrections(corrections);
+    if (canReanalyze) {
+      setShowResults(false);
+      await analyzeProductWithAPI({ saveToHistory: false });
+    }
+  };
+
   const handleReset = () => {
-    setUploadedImages({ front: null, back: null });
-    setUploadedFiles({ front: null, back: null });
+    setUploadedImages({ front: null, back: [] });
+    setUploadedFiles({ front: null, back: [] });
+    setManualProductInfo({ name: "", brand: "" });
+    setPastedIngredients({ text: "", name: "", brand: "" });
     setAnalysisResults(null);
     setShowResults(false);
     setAnalysisProgress(0);
     setError(null);
+    navigate(location.pathname, { replace: true, state: null });
   };
 
-  const canAnalyze = uploadedImages?.front && uploadedImages?.back;
 
   return (
     <div className="min-h-screen bg-background">
@@ -584,20 +654,71 @@ const ProductAnalysis = () => {
         {!showResults ? (
           <>
             {/* Image Upload Section */}
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
-              <ImageUploadZone
-                type="front"
-                onImageUpload={handleImageUpload}
-                uploadedImage={uploadedImages?.front}
-              />
+            <div
+              className={`grid grid-cols-1 gap-8 mb-8 ${
+                isTextMode ? "max-w-2xl mx-auto" : "lg:grid-cols-2"
+              }`}
+            >
+              {!isTextMode && (
+                <ImageUploadZone
+                  type="front"
+                  onImageUpload={handleImageUpload}
+                  uploadedImage={uploadedImages?.front}
+                  optional
+                />
+              )}
 
               <ImageUploadZone
                 type="back"
                 onImageUpload={handleImageUpload}
                 uploadedImage={uploadedImages?.back}
+                multiple
+                onImageRemove={handleImageRemove}
+                inputMode={backInputMode}
+                onInputModeChange={setBackInputMode}
+                pastedText={pastedIngredients}
+                onPastedTextChange={setPastedIngredients}
               />
             </div>
 
+            {/* Product details when only the back label is uploaded */}
+            {!isTextMode &&
+              !uploadedImages?.front &&
+              uploadedImages?.back?.length > 0 && (
+                <div className="glass-card rounded-xl p-4 mb-8 max-w-2xl mx-auto">
+                  <p className="text-sm text-muted-foreground font-caption mb-3">
+                    No front label? Enter the product name, or leave it empty
+                    and we will try to read it from the back label.
+                  </p>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                    <input
+                      type="text"
+                      value={manualProductInfo.name}
+                      onChange={(e) =>
+                        setManualProductInfo((prev) => ({
+                          ...prev,
+                          name: e?.target?.value,
+                        }))
+                      }
+                      placeholder="Product name (optional)"
+                      className="bg-background border border-border rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20"
+                    />
+                    <input
+                      type="text"
+                      value={manualProductInfo.brand}
+                      onChange={(e) =>
+                        setManualProductInfo((prev) => ({
+                          ...prev,
+                          brand: e?.target?.value,
+                        }))
+                      }
+                      placeholder="Brand (optional)"
+                      className="bg-background border border-border rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20"
+                    />
+                  </div>
+                </div>
+              )}
+
             {/* Action Buttons */}
             <div className="flex flex-col sm:flex-row items-center justify-center space-y-4 sm:space-y-0 sm:space-x-4 mb-8">
               <Button
@@ -621,7 +742,7 @@ const ProductAnalysis = () => {
                   iconPosition="left"
                   className="w-full sm:w-auto rounded-3xl border border-foreground hover:bg-[rgba(255,144,187,0.2)]"
                 >
-                  Upload Another Image
+                  {isTextMode ? "Clear Ingredient List" : "Upload Another Image"}
                 </Button>
               )}
             </div>
@@ -785,13 +906,35 @@ const ProductAnalysis = () => {
                 <div className="space-y-8">
                   <OverviewCard
                     productData={analysisResults?.product}
-                    uploadedImages={uploadedImages}
+                    uploadedImages={{
+                      front: uploadedImages?.front,
+                      back: uploadedImages?.back?.[0],
+                    }}
+                  />
+                  <InteractionWarningsCard
+                    conflicts={analysisResults?.conflicts}
+                  />
+                  <LabelOverlayCard
+                    images={uploadedImages?.back}
+                    labelImages={analysisResults?.labelImages}
+                    ingredients={analysisResults?.ingredients}
+                    onIngredientSelect={(ingredient) =>
+                      setFocusedIngredient({
+                        name: ingredient?.name,
+                        selectedAt: Date.now(),
+                      })
+                    }
                   />
                   <RiskAssessmentCard riskData={analysisResults?.risk} />
                 </div>
                 <div>
                   <IngredientsCard
                     ingredientsData={analysisResults?.ingredients}
+                    focusedIngredient={focusedIngredient}
+                    unmatched={analysisResults?.unmatched}
+                    onApplyCorrections={handleApplyCorrections}
+                    canReanalyze={canReanalyze}
+                    onePercentLine={analysisResults?.onePercentLine}
                   />
                 </div>
               </div>
@@ -853,6 +996,7 @@ const ProductAnalysis = () => {
         isAnalyzing={isAnalyzing}
         progress={analysisProgress}
         currentStep={currentStep}
+        isTextMode={isTextMode}
       />
     </div>
   );
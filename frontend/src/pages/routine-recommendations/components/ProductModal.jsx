@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
 import Icon from "../../../components/AppIcon";
 import Image from "../../../components/AppImage";
 import Button from "../../../components/ui/Button";
 import { getCachedImage, getProductImage } from "../../../utils/imageCache";
+import { getIngredientPath } from "../../../utils/ingredientLinks";
 
 const ProductModal = ({ isOpen, onClose, category, products, isLoading }) => {
   const [productImages, setProductImages] = useState({});
@@ -171,7 +173,7 @@ const ProductModal = ({ isOpen, onClose, category, products, isLoading }) => {
                             {product?.ingredients
                               ?.slice(0, 3)
                               ?.map((ingredient, index) => (
-                                <span
+                                <Link
                                   key={
                                     product?._id || product?.id
                                       ? `${
@@ -179,12 +181,14 @@ const ProductModal = ({ isOpen, onClose, category, products, isLoading }) => {
                                         }-${ingredient}`
                                       : index
                                   }
-                                  className="px-2 py-1 text-xs bg-gradient-primary/20 text-primary rounded-full"
+                                  to={getIngredientPath(ingredient)}
+                                  title={ingredient}
+                                  className="px-2 py-1 text-xs bg-gradient-primary/20 text-primary rounded-full hover:underline"
                                 >
                                   {ingredient.length > 50
                                     ? `${ingredient.substring(0, 50)}...`
                                     : ingredient}
-                                </span>
+                                </Link>
                               ))}
                           </div>
                         </div>
@@ -253,8 +253,9 @@ const ScanHistoryTab = ({ scanHistory, onHistoryUpdate }) => {
                 <div className="w-14 h-14 sm:w-16 sm:h-16 rounded-lg overflow-hidden bg-white/10 flex-shrink-0">
                   <Image
                     src={
-                      item?.productImages?.front ||
-                      "/assets/images/placeholder.png"
+                      ApiService.getScanImageUrl(item?.productImages?.front, {
+                        thumbnail: true,
+                      }) || "/assets/images/placeholder.png"
                     }
                     alt={`${item?.productName} product image`}
                     className="w-full h-full object-cover"
@@ -320,8 +321,12 @@ const ScanHistoryTab = ({ scanHistory, onHistoryUpdate }) => {
                             state: {
                               analysisResults: item?.fullAnalysis,
                               uploadedImages: {
-                                front: item?.productImages?.front || null,
-                                back: item?.productImages?.back || null,
+                                front: ApiService.getScanImageUrl(
+                                  item?.productImages?.front
+                                ),
+                                back: ApiService.getScanImageUrl(
+                                  item?.productImages?.back
+                                ),
                               },
                               showResults: true,
                               fromHistory: true,
@@ -0,0 +1,333 @@
+import React, { useState, useRef } from "react";
+import Icon from "../../../components/AppIcon";
+import Image from "../../../components/AppImage";
+import Button from "../../../components/ui/Button";
+import ApiService from "../../../services/api";
+
+const IRRITATION_LEVELS = [
+  { value: 0, label: "None" },
+  { value: 1, label: "Very mild" },
+  { value: 2, label: "Mild" },
+  { value: 3, label: "Moderate" },
+  { value: 4, label: "Strong" },
+  { value: 5, label: "Severe" },
+];
+
+const formatLabel = (value) =>
+  value ? value.charAt(0).toUpperCase() + value.slice(1) : "";
+
+const SkinJournalTab = ({ userId, journalEntries, onJournalUpdate }) => {
+  const [notes, setNotes] = useState("");
+  const [irritationLevel, setIrritationLevel] = useState(null);
+  const [photo, setPhoto] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Helper function to format date
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString("vi-VN", {
+      day: "2-digit",
+      month: "2-digit",
+      year: "numeric",
+    });
+  };
+
+  const handlePhotoSelect = (e) => {
+    const file = e?.target?.files?.[0];
+    if (file && file?.type?.startsWith("image/")) {
+      const reader = new FileReader();
+      reader.onload = (event) => setPhoto(event?.target?.result);
+      reader?.readAsDataURL(file);
+    }
+  };
+
+  const resetForm = () => {
+    setNotes("");
+    setIrritationLevel(null);
+    setPhoto(null);
+    if (fileInputRef.current) fileInputRef.current.value = "";
+  };
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    if (!userId || (!notes.trim() && irritationLevel === null && !photo)) {
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await ApiService.createJournalEntry(userId, {
+        notes: notes.trim(),
+        irritationLevel,
+        photo,
+      });
+      resetForm();
+      if (onJournalUpdate) {
+        onJournalUpdate(); // Refresh the timeline in parent component
+      }
+    } catch (error) {
+      console.error("Failed to save journal entry:", error);
+      alert("Could not save your journal entry. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (entryId) => {
+    if (!window.confirm("Delete this journal entry?")) return;
+    try {
+      await ApiService.deleteJournalEntry(userId, entryId);
+      if (onJournalUpdate) {
+        onJournalUpdate();
+      }
+    } catch (error) {
+      console.error("Failed to delete journal entry:", error);
+    }
+  };
+
+  const renderProfileChange = (entry) => {
+    const added = (entry?.concerns || []).filter(
+      (c) => !(entry?.previousConcerns || []).includes(c)
+    );
+    const removed = (entry?.previousConcerns || []).filter(
+      (c) => !(entry?.concerns || []).includes(c)
+    );
+
+    return (
+      <div className="space-y-2 text-sm">
+        <h4 className="font-heading font-semibold text-foreground">
+          {entry?.previousSkinType ? "Skin profile updated" : "Skin profile created"}
+        </h4>
+        {entry?.previousSkinType !== entry?.skinType && (
+          <p className="text-muted-foreground font-caption">
+            Skin type:{" "}
+            {entry?.previousSkinType && (
+              <>
+                <span className="line-through">
+                  {formatLabel(entry.previousSkinType)}
+                </span>{" "}
+                →{" "}
+              </>
+            )}
+            <span className="font-medium text-foreground">
+              {formatLabel(entry?.skinType)}
+            </span>
+          </p>
+        )}
+        {(added.length > 0 || removed.length > 0) && (
+          <div className="flex flex-wrap gap-2">
+            {added.map((concern) => (
+              <span
+                key={`added-${concern}`}
+                className="px-2 py-0.5 rounded-full text-xs font-medium bg-success/10 text-success"
+              >
+                + {formatLabel(concern)}
+              </span>
+            ))}
+            {removed.map((concern) => (
+              <span
+                key={`removed-${concern}`}
+                className="px-2 py-0.5 rounded-full text-xs font-medium bg-muted text-muted-foreground line-through"
+              >
+                {formatLabel(concern)}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderNote = (entry) => {
+    const level = IRRITATION_LEVELS.find(
+      (l) => l.value === entry?.irritationLevel
+    );
+    return (
+      <div className="flex items-start gap-3">
+        {entry?.photoUrl && (
+          <div className="w-16 h-16 rounded-lg overflow-hidden bg-white/10 flex-shrink-0">
+            <Image
+              src={ApiService.getJournalPhotoUrl(entry)}
+              alt="Skin journal photo"
+              className="w-full h-full object-cover"
+            />
+          </div>
+        )}
+        <div className="flex-1 min-w-0 space-y-1 text-sm">
+          {level && (
+            <span
+              className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium ${
+                level.value >= 4
+                  ? "bg-destructive/10 text-destructive"
+                  : level.value >= 2
+                  ? "bg-warning/10 text-warning"
+                  : "bg-success/10 text-success"
+              }`}
+            >
+              Irritation: {level.label}
+            </span>
+          )}
+          {entry?.notes && (
+            <p className="text-foreground whitespace-pre-line break-words">
+              {entry.notes}
+            </p>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="rounded-3xl space-y-6">
+      {/* New entry */}
+      <form
+        onSubmit={handleSubmit}
+        className="rounded-2xl glass-card p-3 sm:p-4 space-y-3"
+      >
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e?.target?.value)}
+          placeholder="How does your skin feel today? New products, reactions, changes..."
+          rows={3}
+          className="w-full bg-background border border-border rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20"
+        />
+
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <div className="flex items-center gap-2 flex-wrap">
+            <span className="text-sm text-muted-foreground font-caption whitespace-nowrap">
+              Irritation:
+            </span>
+            {IRRITATION_LEVELS.map((level) => (
+              <button
+                key={level.value}
+                type="button"
+                title={level.label}
+                onClick={() =>
+                  setIrritationLevel((prev) =>
+                    prev === level.value ? null : level.value
+                  )
+                }
+                className={`w-8 h-8 rounded-full text-xs font-medium transition-smooth ${
+                  irritationLevel === level.value
+                    ? "bg-primary text-white"
+                    : "bg-muted text-muted-foreground hover:bg-primary/10"
+                }`}
+              >
+                {level.value}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex items-center gap-2 sm:ml-auto">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/*"
+              onChange={handlePhotoSelect}
+              className="hidden"
+            />
+            {photo ? (
+              <div className="relative w-10 h-10 rounded-lg overflow-hidden">
+                <Image
+                  src={photo}
+                  alt="Selected journal photo"
+                  className="w-full h-full object-cover"
+                />
+                <button
+                  type="button"
+                  onClick={() => {
+                    setPhoto(null);
+                    if (fileInputRef.current) fileInputRef.current.value = "";
+                  }}
+                  className="absolute inset-0 flex items-center justify-center bg-black/40 text-white opacity-0 hover:opacity-100"
+                >
+                  <Icon name="X" size={14} />
+                </button>
+              </div>
+            ) : (
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={() => fileInputRef?.current?.click()}
+                iconName="Camera"
+                iconPosition="left"
+              >
+                Photo
+              </Button>
+            )}
+            <Button
+              type="submit"
+              size="sm"
+              loading={isSaving}
+              disabled={
+                isSaving ||
+                (!notes.trim() && irritationLevel === null && !photo)
+              }
+              iconName="Plus"
+              iconPosition="left"
+              className="rounded-3xl"
+            >
+              Add entry
+            </Button>
+          </div>
+        </div>
+      </form>
+
+      {/* Timeline */}
+      {journalEntries?.length === 0 ? (
+        <div className="text-center py-12">
+          <div className="w-16 h-16 bg-muted/20 rounded-full flex items-center justify-center mx-auto mb-4">
+            <Icon name="BookOpen" size={24} className="text-muted-foreground" />
+          </div>
+          <h3 className="font-heading font-semibold text-foreground mb-2">
+            Your skin journal is empty
+          </h3>
+          <p className="text-muted-foreground font-caption">
+            Track how your skin changes over time
+          </p>
+        </div>
+      ) : (
+        <ol className="relative border-l border-border ml-3 space-y-4">
+          {journalEntries?.map((entry) => (
+            <li key={entry?._id} className="ml-6">
+              <span
+                className={`absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full ${
+                  entry?.type === "profile_change"
+                    ? "bg-secondary/20 text-secondary"
+                    : "bg-primary/20 text-primary"
+                }`}
+              >
+                <Icon
+                  name={entry?.type === "profile_change" ? "User" : "PenLine"}
+                  size={12}
+                />
+              </span>
+              <div className="rounded-2xl glass-card p-3 sm:p-4">
+                <div className="flex items-center justify-between gap-2 mb-2">
+                  <span className="flex items-center gap-1 text-xs text-muted-foreground font-caption">
+                    <Icon name="Calendar" size={14} />
+                    {formatDate(entry?.entryDate || entry?.createdAt)}
+                  </span>
+                  <button
+                    onClick={() => handleDelete(entry?._id)}
+                    className="text-muted-foreground hover:text-destructive transition-smooth"
+                    title="Delete entry"
+                  >
+                    <Icon name="Trash2" size={14} />
+                  </button>
+                </div>
+                {entry?.type === "profile_change"
+                  ? renderProfileChange(entry)
+                  : renderNote(entry)}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default SkinJournalTab;
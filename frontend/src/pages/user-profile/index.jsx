@@ -7,8 +7,35 @@ import Button from "../../components/ui/Button";
 import ProfileHeader from "./components/ProfileHeader";
 import ScanHistoryTab from "./components/ScanHistoryTab";
 import SavedRoutinesTab from "./components/SavedRoutinesTab";
+import SkinJournalTab from "./components/SkinJournalTab";
 import ApiService from "../../services/api";
 
+const plural = (count, singular, pluralForm = `${singular}s`) =>
+  `${count} ${count === 1 ? singular : pluralForm}`;
+
+// Confirmation text from the willRemove counts of a scheduled deletion
+const describeDeletion = (deletionScheduledFor, willRemove = {}) => {
+  const removed = [
+    plural(willRemove.savedRoutines || 0, "saved routine"),
+    plural(willRemove.scanHistory || 0, "scan"),
+    plural(willRemove.scanImages || 0, "product photo"),
+    plural(willRemove.journalEntries || 0, "journal entry", "journal entries"),
+    plural(willRemove.sessions || 0, "signed-in session"),
+  ];
+  const lines = [
+    `Delete your account? On ${new Date(deletionScheduledFor).toLocaleDateString("en-US")} your profile will be permanently removed, with:`,
+    ...removed.map((item) => `• ${item}`),
+  ];
+  if (willRemove.ingredientCorrections) {
+    lines.push(
+      "",
+      `${plural(willRemove.ingredientCorrections, "ingredient correction")} you submitted or accepted will stay in use for other users, without your name.`
+    );
+  }
+  lines.push("", "You can undo this until then. Press Cancel to keep your account.");
+  return lines.join("\n");
+};
+
 const UserProfileDashboard = () => {
   const navigate = useNavigate();
   const [activeTab, setActiveTab] = useState("history");
@@ -22,6 +49,8 @@ const UserProfileDashboard = () => {
   });
 
   const [scanHistory, setScanHistory] = useState([]);
+  const [journalEntries, setJournalEntries] = useState([]);
+  const [isExporting, setIsExporting] = useState(false);
 
   // Load scan history from localStorage on component mount
   useEffect(() => {
@@ -137,6 +166,28 @@ const UserProfileDashboard = () => {
 
   const [savedRoutines, setSavedRoutines] = useState([]);
 
+  const loadSkinJournal = async (userId = userProfile?.id) => {
+    if (!userId) return;
+    try {
+      const response = await ApiService.getSkinJournal(userId);
+      setJournalEntries(response.data || []);
+    } catch (error) {
+      console.error("Failed to load skin journal:", error);
+      setJournalEntries([]);
+    }
+  };
+
+  // Load the journal timeline once the profile (and its id) is known
+  useEffect(() => {
+    if (!userProfile?.id) return;
+    ApiService.getSkinJournal(userProfile.id)
+      .then((response) => setJournalEntries(response.data || []))
+      .catch((error) => {
+        console.error("Failed to load skin journal:", error);
+        setJournalEntries([]);
+      });
+  }, [userProfile?.id]);
+
   const [preferences, setPreferences] = useState({
     language: "vi",
     currency: "vnd",
@@ -179,11 +230,19 @@ const UserProfileDashboard = () => {
       icon: "Star",
       count: savedRoutines?.length || 0,
     },
+    {
+      id: "journal",
+      label: "Skin Journal",
+      icon: "BookOpen",
+      count: journalEntries?.length || 0,
+    },
   ];
 
   const handleUpdateProfile = (updatedProfile) => {
     // Merge and persist to localStorage for future sessions
-    setUserProfile(updatedProfile);
+    setUserProfile((prev) => ({ ...prev, ...updatedProfile }));
+    // A skin type/concern change adds an entry to the journal timeline
+    loadSkinJournal();
 
     try {
       const saved = localStorage.getItem("userProfile");
@@ -205,8 +264,71 @@ const UserProfileDashboard = () => {
     console.log("Preferences updated:", updatedPreferences);
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem("isAuthenticated");
+  const handleExportData = async () => {
+    setIsExporting(true);
+    try {
+      const blob = await ApiService.exportAccountData(userProfile.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `skincare-export-${userProfile.username}.zip`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Data export failed:", error);
+      alert("Could not download your data. Please try again.");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleDeleteAccount = async () => {
+    let response;
+    try {
+      response = await ApiService.deleteAccount(userProfile.id);
+    } catch (error) {
+      console.error("Account deletion failed:", error);
+      alert("Could not delete your account. Please try again.");
+      return;
+    }
+    // Nothing is removed before the grace period, so the deletion is scheduled first
+    // to list what it will remove, and undone right away if the user cancels
+    setUserProfile((prev) => ({
+      ...prev,
+      deletionScheduledFor: response.deletionScheduledFor,
+    }));
+    if (
+      !window.confirm(
+        describeDeletion(response.deletionScheduledFor, response.willRemove)
+      )
+    ) {
+      // Keeps the pending deletion banner (with its undo button) if this fails
+      await handleUndoDeletion();
+      return;
+    }
+    // The chatbot conversation id lives only on this device
+    localStorage.removeItem("chatUserId");
+  };
+
+  const handleUndoDeletion = async () => {
+    try {
+      await ApiService.restoreAccount(userProfile.id);
+      setUserProfile((prev) => ({ ...prev, deletionScheduledFor: null }));
+    } catch (error) {
+      console.error("Undo account deletion failed:", error);
+      alert("Could not restore your account. Please try again.");
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      // Revokes the refresh token server-side and clears the stored session
+      await ApiService.logout();
+    } catch (error) {
+      console.error("Logout error:", error);
+    }
     localStorage.removeItem("userEmail");
     localStorage.removeItem("loginTimestamp");
     navigate("/login");
@@ -237,10 +359,11 @@ const UserProfileDashboard = () => {
         navigate("/login");
         return;
       }
-      ApiService.getUserByUsername(username)
+      ApiService.getCurrentUser()
         .then((res) => {
           const dbUser = res.user;
           setUserProfile({
+            id: dbUser._id,
             username: dbUser.username,
             name: dbUser.name,
             avatar:
@@ -251,10 +374,11 @@ const UserProfileDashboard = () => {
             concerns: dbUser.concerns || [],
             joinDate:
               dbUser.createdAt || new Date().toLocaleDateString("en-US"),
+            deletionScheduledFor: dbUser.deletionScheduledFor || null,
           });
         })
         .catch(() => {
-          // If not found in DB, redirect to login
+          // Session is invalid or the user no longer exists
           navigate("/login");
         });
     } else {
@@ -279,6 +403,14 @@ const UserProfileDashboard = () => {
             onRoutinesChange={setSavedRoutines}
           />
         );
+      case "journal":
+        return (
+          <SkinJournalTab
+            userId={userProfile?.id}
+            journalEntries={journalEntries}
+            onJournalUpdate={() => loadSkinJournal()}
+          />
+        );
       default:
         return (
           <ScanHistoryTab
@@ -318,6 +450,31 @@ const UserProfileDashboard = () => {
                 />
               </div>
 
+              {/* Pending deletion banner */}
+              {userProfile.deletionScheduledFor && (
+                <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-3 mb-6 px-4 py-3 rounded-2xl border border-red-200 bg-red-50 text-sm text-red-600">
+                  <div className="flex items-center gap-2">
+                    <Icon name="AlertTriangle" size={18} />
+                    <span>
+                      Your account and all its data will be deleted on{" "}
+                      {new Date(
+                        userProfile.deletionScheduledFor
+                      ).toLocaleDateString("en-US")}
+                      .
+                    </span>
+                  </div>
+                  <Button
+                    variant="outline"
+                    onClick={handleUndoDeletion}
+                    iconName="RotateCcw"
+                    iconPosition="left"
+                    className="rounded-3xl border-red-500 text-red-500 hover:bg-[rgba(255,144,187,0.2)] w-full sm:w-auto"
+                  >
+                    Undo deletion
+                  </Button>
+                </div>
+              )}
+
               {/* Quick Actions */}
               <div className="flex flex-col sm:flex-row items-stretch sm:items-center justify-between gap-3 sm:gap-4 mb-6 sm:mb-8">
                 <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-3 w-full sm:w-auto">
@@ -376,8 +533,30 @@ const UserProfileDashboard = () => {
                 <div className="p-4 sm:p-6">{renderTabContent()}</div>
               </div>
 
-              {/* Logout Button */}
-              <div className="flex justify-center sm:justify-end mb-4">
+              {/* Account Actions */}
+              <div className="flex flex-col sm:flex-row justify-center sm:justify-end gap-3 mb-4">
+                <Button
+                  variant="outline"
+                  onClick={handleExportData}
+                  loading={isExporting}
+                  disabled={isExporting}
+                  iconName="Download"
+                  iconPosition="left"
+                  className="rounded-3xl border hover:bg-[rgba(255,144,187,0.2)] w-full sm:w-auto"
+                >
+                  Download my data
+                </Button>
+                {!userProfile.deletionScheduledFor && (
+                  <Button
+                    variant="outline"
+                    onClick={handleDeleteAccount}
+                    iconName="Trash2"
+                    iconPosition="left"
+                    className="rounded-3xl text-red-500 border-red-500 hover:bg-[rgba(255,144,187,0.2)] w-full sm:w-auto"
+                  >
+                    Delete account
+                  </Button>
+                )}
                 <Button
                   variant="outline"
                   onClick={handleLogout}
@@ -5,20 +5,30 @@
 const API_BASE_URL =
   import.meta.env.VITE_API_URL || "http://localhost:5731/api";
 
+const ACCESS_TOKEN_KEY = "accessToken";
+const REFRESH_TOKEN_KEY = "refreshToken";
+const JOB_POLL_INTERVAL_MS = 2000;
+const ERROR_CODE_PATTERN = /^[A-Z][A-Z0-9_]+$/;
+
 class ApiService {
   constructor() {
     this.baseURL = API_BASE_URL;
+    this.refreshPromise = null;
   }
 
   // Generic request handler
-  async request(endpoint, options = {}) {
+  async request(endpoint, options = {}, retryOnUnauthorized = true) {
     const url = `${this.baseURL}${endpoint}`;
+    const accessToken = localStorage.getItem(ACCESS_TOKEN_KEY);
+    // responseType: "blob" for file downloads, JSON otherwise
+    const { responseType, ...fetchOptions } = options;
     const config = {
+      ...fetchOptions,
       headers: {
         "Content-Type": "application/json",
-        ...options.headers,
+        ...(accessToken && { Authorization: `Bearer ${accessToken}` }),
+        ...fetchOptions.headers,
       },
-      ...options,
     };
 
     // Don't set Content-Type for FormData (multipart)
@@ -29,13 +39,37 @@ class ApiService {
     try {
       const response = await fetch(url, config);
 
+      // Access token expired: refresh once and replay the request
+      if (
+        response.status === 401 &&
+        retryOnUnauthorized &&
+        localStorage.getItem(REFRESH_TOKEN_KEY)
+      ) {
+        const refreshed = await this.refreshSession();
+        if (refreshed) {
+          return this.request(endpoint, options, false);
+        }
+      }
+
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(
-          errorData.error || `HTTP error! status: ${response.status}`
+        // `message` is meant for people; `error` is either a code (DUPLICATE_USERNAME) or the only text
+        const error = new Error(
+          errorData.message ||
+            errorData.error ||
+            `HTTP error! status: ${response.status}`
         );
+        error.status = response.status;
+        if (ERROR_CODE_PATTERN.test(errorData.error || "")) {
+          error.code = errorData.error;
+        }
+        error.data = errorData;
+        throw error;
       }
 
+      if (responseType === "blob") {
+        return await response.blob();
+      }
       return await response.json();
     } catch (error) {
       console.error(`API request failed: ${endpoint}`, error);
@@ -43,8 +77,111 @@ class ApiService {
     }
   }
 
+  /**
+   * Session helpers
+   */
+  storeSession({ accessToken, refreshToken, user }) {
+    if (accessToken) localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+    if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    if (user) {
+      const userProfile = {
+        id: user._id,
+        role: user.role,
+        email: user.email,
+        username: user.username,
+        name: user.name,
+        skinType: user.skinType,
+        skinStatus: user.concerns || [],
+        primaryStatus: user.concerns || [],
+        joinDate: new Date(user.createdAt).toLocaleDateString("en-US"),
+      };
+      localStorage.setItem("userProfile", JSON.stringify(userProfile));
+      localStorage.setItem("isAuthenticated", "true");
+    }
+  }
+
+  clearSession() {
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    localStorage.removeItem("isAuthenticated");
+    localStorage.removeItem("userProfile");
+  }
+
+  // Concurrent 401s share a single refresh call
+  async refreshSession() {
+    if (!this.refreshPromise) {
+      const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+      this.refreshPromise = fetch(`${this.baseURL}/users/refresh`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+      })
+        .then(async (response) => {
+          if (!response.ok) {
+            this.clearSession();
+            return false;
+          }
+          this.storeSession(await response.json());
+          return true;
+        })
+        .catch(() => false)
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Auth APIs
+   */
+  async register(registerData) {
+    const response = await this.request("/users/register", {
+      method: "POST",
+      body: JSON.stringify(registerData),
+    });
+    this.storeSession(response);
+    return response;
+  }
+
+  async login(username, password) {
+    const response = await this.request(
+      "/users/login",
+      {
+        method: "POST",
+        body: JSON.stringify({ username, password }),
+      },
+      false
+    );
+    this.storeSession(response);
+    return response;
+  }
+
+  async logout() {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    try {
+      if (refreshToken) {
+        await this.request(
+          "/users/logout",
+          {
+            method: "POST",
+            body: JSON.stringify({ refreshToken }),
+          },
+          false
+        );
+      }
+    } finally {
+      this.clearSession();
+    }
+  }
+
+  async getCurrentUser() {
+    return this.request("/users/me");
+  }
+
   // Product Analysis APIs
-  async analyzeProduct(frontImage, backImage, options = {}) {
+  // Analyses run as background jobs: submit, then follow with waitForAnalysisJob
+  async submitProductAnalysisJob(frontImage, backImage, options = {}) {
     const formData = new FormData();
 
     if (frontImage) {
@@ -57,16 +194,141 @@ class ApiService {
       }
     }
 
-    if (backImage) {
-      if (typeof backImage === "string" && backImage.startsWith("data:")) {
-        const file = this.dataURLtoFile(backImage, "back-image.jpg");
+    // Several back images are sent in reading order
+    const backImages = Array.isArray(backImage) ? backImage : [backImage];
+    backImages.filter(Boolean).forEach((image, index) => {
+      if (typeof image === "string" && image.startsWith("data:")) {
+        const file = this.dataURLtoFile(image, `back-image-${index + 1}.jpg`);
         formData.append("backImage", file);
       } else {
-        formData.append("backImage", backImage);
+        formData.append("backImage", image);
       }
+    });
+
+    // Without a front image the user may fill in the product info
+    if (options.productInfo?.name) {
+      formData.append("productName", options.productInfo.name);
     }
+    if (options.productInfo?.brand) {
+      formData.append("brand", options.productInfo.brand);
+    }
+
+    // Send combined skin info to backend as individual form fields
+    this.getUserSkin().forEach((skinType) => {
+      formData.append("userSkin", skinType);
+    });
+
+    return this.request("/ingredient/jobs", {
+      method: "POST",
+      body: formData,
+    });
+  }
+
+  // Analyze a pasted ingredient list (no OCR), same result shape as submitProductAnalysisJob
+  async submitIngredientTextJob(ingredientsText, productInfo = {}) {
+    return this.request("/ingredient/jobs", {
+      method: "POST",
+      body: JSON.stringify({
+        ingredientsText,
+        productName: productInfo.name,
+        brand: productInfo.brand,
+        userSkin: this.getUserSkin(),
+      }),
+    });
+  }
 
-    // Get user skin info from localStorage
+  async getAnalysisJob(jobId) {
+    return this.request(`/ingredient/jobs/${jobId}`);
+  }
+
+  // Follows a job until it finishes and resolves to its { success, data } result.
+  // onProgress receives { stage, progress } as each stage starts. Listens to the
+  // job's event stream and falls back to polling if the stream is unavailable or drops.
+  waitForAnalysisJob(jobId, { onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      let source = null;
+      let pollTimer = null;
+      let finished = false;
+
+      const finish = (error, result) => {
+        if (finished) return;
+        finished = true;
+        source?.close();
+        clearTimeout(pollTimer);
+        if (error) reject(error);
+        else resolve(result);
+      };
+      const fail = (message) =>
+        finish(new Error(message || "Analysis failed. Please try again."));
+      // Returns true once the job has finished
+      const handleJob = (job) => {
+        if (job.stage) onProgress?.({ stage: job.stage, progress: job.progress });
+        if (job.status === "completed") finish(null, job.result);
+        else if (job.status === "failed") fail(job.error);
+        return finished;
+      };
+      const poll = async () => {
+        try {
+          const job = await this.getAnalysisJob(jobId);
+          if (!handleJob(job)) {
+            pollTimer = setTimeout(poll, JOB_POLL_INTERVAL_MS);
+          }
+        } catch (error) {
+          finish(error);
+        }
+      };
+
+      if (typeof EventSource === "undefined") {
+        poll();
+        return;
+      }
+      source = new EventSource(
+        `${this.baseURL}/ingredient/jobs/${jobId}/events`
+      );
+      source.addEventListener("snapshot", (event) =>
+        handleJob(JSON.parse(event.data))
+      );
+      source.addEventListener("stage", (event) =>
+        onProgress?.(JSON.parse(event.data))
+      );
+      source.addEventListener("completed", (event) =>
+        finish(null, JSON.parse(event.data).result)
+      );
+      source.addEventListener("failed", (event) =>
+        fail(JSON.parse(event.data).error)
+      );
+      // EventSource would keep reconnecting on its own; poll instead
+      source.onerror = () => {
+        if (finished) return;
+        source.close();
+        source = null;
+        poll();
+      };
+    });
+  }
+
+  // Store corrections for label text no ingredient matched: [{ ocr_text, inci_name }]
+  async submitIngredientCorrections(corrections) {
+    return this.request("/ingredient/corrections", {
+      method: "POST",
+      body: JSON.stringify({ corrections }),
+    });
+  }
+
+  // Ingredient lookup across CosIng, Renude and the AI knowledge base
+  async searchIngredients(query, limit = 10) {
+    const queryParams = new URLSearchParams({ q: query, limit });
+    return this.request(`/ingredient/search?${queryParams}`);
+  }
+
+  // Merged profile with CosIng functions and the catalog products containing it;
+  // a 404 error carries the closest names in error.data.suggestions
+  async getIngredientProfile(name) {
+    return this.request(`/ingredient/${encodeURIComponent(name)}`);
+  }
+
+  // Skin type and skin conditions of the stored profile, e.g. ["combination", "acne"]
+  getUserSkin() {
     try {
       const userProfile = JSON.parse(
         localStorage.getItem("userProfile") || "{}"
@@ -84,20 +346,11 @@ class ApiService {
         userSkinTypes.push(...userProfile.primaryStatus);
       }
 
-      // Send combined skin info to backend as individual form fields
-      if (userSkinTypes.length > 0) {
-        userSkinTypes.forEach((skinType) => {
-          formData.append("userSkin", skinType);
-        });
-      }
+      return userSkinTypes;
     } catch (error) {
       console.warn("Failed to load user skin info from localStorage:", error);
+      return [];
     }
-
-    return this.request("/ingredient/upload", {
-      method: "POST",
-      body: formData,
-    });
   }
 
   /**
@@ -144,6 +397,20 @@ class ApiService {
     return this.request(`/users/${userId}`);
   }
 
+  // Schedules deletion of the account and all its data after a grace period
+  async deleteAccount(userId) {
+    return this.request(`/users/${userId}`, { method: "DELETE" });
+  }
+
+  async restoreAccount(userId) {
+    return this.request(`/users/${userId}/restore`, { method: "POST" });
+  }
+
+  // ZIP with profile, saved routines, scan history and scan images
+  async exportAccountData(userId) {
+    return this.request(`/users/${userId}/export`, { responseType: "blob" });
+  }
+
   /**
    * Routine Management APIs
    */
@@ -245,7 +512,20 @@ class ApiService {
       throw new Error("Invalid response format from backend");
     }
 
-    const { product, ingredients, risk, suitable } = backendResponse.data;
+    const {
+      product,
+      ingredients,
+      risk,
+      allergens,
+      regulatory,
+      conflicts,
+      suitable,
+      safety_level,
+      risk_score,
+      label_images,
+      unmatched,
+      one_percent_line,
+    } = backendResponse.data;
 
     // Transform to match frontend expectations
     const transformed = {
@@ -269,8 +549,17 @@ class ApiService {
           "moderate-risk": [],
           "high-risk": [],
         },
+        allergens: allergens || [],
+        regulatory: regulatory || [],
       },
+      // Weighted by concentration and list position on the backend
+      safetyLevel: safety_level || "safe",
+      riskScore: risk_score ?? 0,
+      conflicts: conflicts || [],
       ingredients: this.transformIngredients(ingredients) || [],
+      labelImages: label_images || [],
+      unmatched: unmatched || [],
+      onePercentLine: one_percent_line || null,
     };
 
     console.log("🔍 DEBUG Transform - final transformed:", transformed);
@@ -287,6 +576,16 @@ class ApiService {
       good_for: ing.good_for || [],
       risk_level: ing.risk_level || "Unknown",
       reason: ing.reason || "No safety information available",
+      position: ing.position ?? null,
+      concentration: ing.concentration ?? null,
+      concentration_text: ing.concentration_text || null,
+      weight: ing.weight ?? null,
+      below_one_percent: ing.below_one_percent ?? null,
+      ocr_text: ing.ocr_text,
+      ocr_confidence: ing.ocr_confidence ?? null,
+      match_score: ing.match_score ?? null,
+      low_confidence: Boolean(ing.low_confidence),
+      locations: ing.locations || [],
     }));
   }
 
@@ -317,6 +616,14 @@ class ApiService {
   /**
    * Scan History APIs
    */
+  // URL of a scan history image: stored images are keys ("scans/<uuid>.jpg"),
+  // older entries may still hold data URLs or remote URLs
+  getScanImageUrl(reference, { thumbnail = false } = {}) {
+    if (!reference || !reference.startsWith("scans/")) return reference || null;
+    const url = `${this.baseURL}/images/${reference}`;
+    return thumbnail ? `${url}/thumbnail` : url;
+  }
+
   async saveScanHistory(scanData) {
     return this.request("/users/scan-history", {
       method: "POST",
@@ -324,13 +631,12 @@ class ApiService {
     });
   }
 
-  async getScanHistory(userId, page = 1, limit = 50) {
-    return this.request(
-      `/users/${userId}/scan-history?page=${page}&limit=${limit}`,
-      {
-        method: "GET",
-      }
-    );
+  // filters: { barcode } or { ingredient } to narrow the history
+  async getScanHistory(userId, page = 1, limit = 50, filters = {}) {
+    const queryParams = new URLSearchParams({ page, limit, ...filters });
+    return this.request(`/users/${userId}/scan-history?${queryParams}`, {
+      method: "GET",
+    });
   }
 
   async getScanHistoryStats(userId) {
@@ -352,6 +658,36 @@ class ApiService {
     });
   }
 
+  /**
+   * Skin Journal APIs
+   */
+  // URL of a journal photo: photoUrl is a path on the API server, except for
+  // entries not migrated yet, which still carry a data URL
+  getJournalPhotoUrl(entry) {
+    const photoUrl = entry?.photoUrl;
+    if (!photoUrl || !photoUrl.startsWith("/")) return photoUrl || null;
+    return new URL(photoUrl, this.baseURL).href;
+  }
+
+  async getSkinJournal(userId, page = 1, limit = 50) {
+    return this.request(
+      `/users/${userId}/journal?page=${page}&limit=${limit}`
+    );
+  }
+
+  async createJournalEntry(userId, entryData) {
+    return this.request(`/users/${userId}/journal`, {
+      method: "POST",
+      body: JSON.stringify(entryData),
+    });
+  }
+
+  async deleteJournalEntry(userId, entryId) {
+    return this.request(`/users/${userId}/journal/${entryId}`, {
+      method: "DELETE",
+    });
+  }
+
   /**
    * Transform analysis results to scan history format
    */
@@ -361,50 +697,16 @@ class ApiService {
     }
 
     const product = analysisResults.product || {};
-    const risk = analysisResults.risk || {};
     const ingredients = analysisResults.ingredients || [];
 
-    // Calculate safety level based on risk categories
-    let safetyLevel = "safe";
-    if (risk.categories) {
-      const riskCategories = risk.categories;
-      if (riskCategories["high-risk"]?.length > 0) {
-        safetyLevel = "caution";
-      } else if (riskCategories["moderate-risk"]?.length > 1) {
-        safetyLevel = "moderate";
-      }
-    }
-
-    // Calculate risk score based on ingredients risk levels
-    let riskScore = 0;
-    if (ingredients.length > 0) {
-      const riskValues = ingredients.map((ing) => {
-        switch (ing.risk_level?.toLowerCase()) {
-          case "high-risk":
-            return 4;
-          case "moderate-risk":
-            return 3;
-          case "low-risk":
-            return 2;
-          case "no-risk":
-            return 1;
-          default:
-            return 2;
-        }
-      });
-      const avgRisk =
-        riskValues.reduce((sum, val) => sum + val, 0) / riskValues.length;
-      riskScore = Math.round((avgRisk / 4) * 100); // Convert to 0-100 scale
-    }
-
     return {
       userId,
       productName: product.name || "Unknown Product",
       productBrand: product.brand || "",
       productCategory: product.category || "",
-      safetyLevel,
+      safetyLevel: analysisResults.safetyLevel,
       overallScore: product.suitable || 75, // Use suitable score as overall score
-      riskScore,
+      riskScore: analysisResults.riskScore,
       ingredients: ingredients.map((ing) => ({
         name: ing.name || "",
         riskLevel: ing.risk_level || "low-risk", // Keep original format from backend
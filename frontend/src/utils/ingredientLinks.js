@@ -0,0 +1,3 @@
+// Route of an ingredient's detail page; INCI names may contain "/" (e.g. "Acrylates/C10-30 ...")
+export const getIngredientPath = (name) =>
+  `/ingredient/${encodeURIComponent(name?.trim() || "")}`;